@@ -1,17 +1,19 @@
 
 import Provider from '@liquality/provider'
 import axios from 'axios'
+import { applyRetryPolicy, withCancelToken } from '@liquality/utils'
 
 import { version } from '../package.json'
 
 export default class BitcoinEarnFeeProvider extends Provider {
-  constructor (endpoint = 'https://bitcoinfees.earn.com/api/v1/fees/recommended') {
+  constructor (endpoint = 'https://bitcoinfees.earn.com/api/v1/fees/recommended', options = {}) {
     super()
     this._endpoint = endpoint
+    this._axios = applyRetryPolicy(axios.create(), options.retry)
   }
 
   async getFees () {
-    const result = await axios.get(this._endpoint)
+    const result = await withCancelToken(this.signal, cancelToken => this._axios.get(this._endpoint, { cancelToken }))
     const data = result.data
 
     return {
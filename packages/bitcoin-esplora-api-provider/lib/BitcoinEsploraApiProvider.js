@@ -1,31 +1,47 @@
 import axios from 'axios'
 import Provider from '@liquality/provider'
-import { isArray, flatten } from 'lodash'
-import { decodeRawTransaction, normalizeTransactionObject } from '@liquality/bitcoin-utils'
+import { isArray, isString, flatten } from 'lodash'
+import { decodeRawTransaction, normalizeTransactionObject, AddressValidationProvider } from '@liquality/bitcoin-utils'
+import { TransactionStatus } from '@liquality/schema'
+import { TxNotFoundError } from '@liquality/errors'
 import BigNumber from 'bignumber.js'
 
-import { addressToString } from '@liquality/utils'
+import { addressToString, applyRetryPolicy, withCancelToken } from '@liquality/utils'
+import { satoshiToBtc } from '@liquality/units'
 
 import { version } from '../package.json'
 
-export default class BitcoinEsploraApiProvider extends Provider {
-  constructor (url, network, numberOfBlockConfirmation = 1, defaultFeePerByte = 3) {
+export default class BitcoinEsploraApiProvider extends AddressValidationProvider(Provider) {
+  constructor (url, network, numberOfBlockConfirmation = 1, defaultFeePerByte = 3, options = {}) {
     super()
     this.url = url
     this._network = network
     this._numberOfBlockConfirmation = numberOfBlockConfirmation
     this._defaultFeePerByte = defaultFeePerByte
 
-    this._axios = axios.create({
+    this._axios = applyRetryPolicy(axios.create({
       baseURL: url,
       responseType: 'text',
       transformResponse: undefined // https://github.com/axios/axios/issues/907,
-    })
+    }), options.retry)
+  }
+
+  async setNetwork (network) {
+    this._network = network
+  }
+
+  /**
+   * Send a request, cancelled with the signal of the client view returned by
+   * `withSignal`.
+   * @param {!function} request - Sends the request with the axios config
+   */
+  _request (request) {
+    return withCancelToken(this.signal, cancelToken => request({ cancelToken }))
   }
 
   async getFeePerByte (numberOfBlocks = this._numberOfBlockConfirmation) {
     try {
-      const feeEstimates = (await this._axios('/fee-estimates')).data
+      const feeEstimates = (await this._request(config => this._axios('/fee-estimates', config))).data
       const blockOptions = Object.keys(feeEstimates)
       const closestBlockOption = blockOptions.reduce((prev, curr) => {
         return Math.abs(prev - numberOfBlocks) < Math.abs(curr - numberOfBlocks) ? prev : curr
@@ -60,12 +76,12 @@ export default class BitcoinEsploraApiProvider extends Provider {
   }
 
   async _getUnspentTransactions (address) {
-    const response = await this._axios.get(`/address/${addressToString(address)}/utxo`)
+    const response = await this._request(config => this._axios.get(`/address/${addressToString(address)}/utxo`, config))
     return response.data.map(utxo => ({
       ...utxo,
       address: addressToString(address),
       satoshis: utxo.value,
-      amount: BigNumber(utxo.value).dividedBy(1e8).toNumber(),
+      amount: satoshiToBtc(utxo.value).toNumber(),
       blockHeight: utxo.status.block_height
     }))
   }
@@ -77,7 +93,7 @@ export default class BitcoinEsploraApiProvider extends Provider {
   }
 
   async _getAddressTransactionCount (address) {
-    const response = await this._axios.get(`/address/${addressToString(address)}`)
+    const response = await this._request(config => this._axios.get(`/address/${addressToString(address)}`, config))
     return response.data.chain_stats.tx_count + response.data.mempool_stats.tx_count
   }
 
@@ -90,15 +106,27 @@ export default class BitcoinEsploraApiProvider extends Provider {
     return transactionCounts
   }
 
+  async _getTransactionData (transactionHash, path = '') {
+    try {
+      const response = await this._request(config => this._axios.get(`/tx/${transactionHash}${path}`, config))
+      return response.data
+    } catch (e) {
+      if (e.response && e.response.status === 404) {
+        throw new TxNotFoundError(`Transaction not found: ${transactionHash}`, { txHash: transactionHash })
+      }
+
+      throw e
+    }
+  }
+
   async getTransactionHex (transactionHash) {
-    const response = await this._axios.get(`/tx/${transactionHash}/hex`)
-    return response.data
+    return this._getTransactionData(transactionHash, '/hex')
   }
 
   async getTransaction (transactionHash) {
-    const response = await this._axios.get(`/tx/${transactionHash}`)
+    const data = await this._getTransactionData(transactionHash)
     const currentHeight = await this.getBlockHeight()
-    return this.formatTransaction(response.data, currentHeight)
+    return this.formatTransaction(data, currentHeight)
   }
 
   async formatTransaction (tx, currentHeight) {
@@ -109,8 +137,43 @@ export default class BitcoinEsploraApiProvider extends Provider {
     return normalizeTransactionObject(decodedTx, tx.fee, { hash: tx.status.block_hash, number: tx.status.block_height })
   }
 
+  async isTransactionReplaced (tx) {
+    const outspends = await Promise.all(
+      tx._raw.vin.map(({ txid, vout }) => this._request(config => this._axios.get(`/tx/${txid}/outspend/${vout}`, config)))
+    )
+
+    return outspends.some(({ data }) => data.spent && data.txid !== tx.hash)
+  }
+
+  /**
+   * Get the normalized status of a transaction.
+   * @param {!string|Transaction} tx - Hash of the transaction, or the
+   *  transaction as last seen to tell replaced and dropped ones apart
+   * @return {Promise<object>} Resolves with `{ status, confirmations, transaction }`
+   */
+  async getTransactionStatus (tx) {
+    const hash = isString(tx) ? tx : tx.hash
+
+    let transaction
+    try {
+      transaction = await this.getTransaction(hash)
+    } catch (e) {
+      if (!(e instanceof TxNotFoundError)) throw e
+    }
+
+    if (transaction) {
+      const status = transaction.confirmations > 0 ? TransactionStatus.CONFIRMED : TransactionStatus.PENDING
+      return { status, confirmations: transaction.confirmations, transaction }
+    }
+
+    if (isString(tx)) return { status: TransactionStatus.UNKNOWN, confirmations: 0 }
+
+    const replaced = await this.isTransactionReplaced(tx)
+    return { status: replaced ? TransactionStatus.REPLACED : TransactionStatus.DROPPED, confirmations: 0, transaction: tx }
+  }
+
   async getBlockByHash (blockHash) {
-    const response = await this._axios.get(`/block/${blockHash}`)
+    const response = await this._request(config => this._axios.get(`/block/${blockHash}`, config))
     const data = response.data
     const {
       id: hash,
@@ -133,7 +196,7 @@ export default class BitcoinEsploraApiProvider extends Provider {
   }
 
   async getBlockHash (blockNumber) {
-    const response = await this._axios.get(`/block-height/${blockNumber}`)
+    const response = await this._request(config => this._axios.get(`/block-height/${blockNumber}`, config))
     return response.data
   }
 
@@ -142,10 +205,19 @@ export default class BitcoinEsploraApiProvider extends Provider {
   }
 
   async getBlockHeight () {
-    const response = await this._axios.get('/blocks/tip/height')
+    const response = await this._request(config => this._axios.get('/blocks/tip/height', config))
     return parseInt(response.data)
   }
 
+  /**
+   * Median time past of the latest block, the time checked by timelocks.
+   */
+  async getChainTime () {
+    const tip = await this._request(config => this._axios.get('/blocks/tip/hash', config))
+    const response = await this._request(config => this._axios.get(`/block/${tip.data}`, config))
+    return response.data.mediantime
+  }
+
   async getTransactionByHash (transactionHash) {
     return this.getRawTransactionByHash(transactionHash, true)
   }
@@ -155,7 +227,7 @@ export default class BitcoinEsploraApiProvider extends Provider {
   }
 
   async sendRawTransaction (rawTransaction) {
-    const response = await this._axios.post('/tx', rawTransaction)
+    const response = await this._request(config => this._axios.post('/tx', rawTransaction, config))
     return response.data
   }
 }
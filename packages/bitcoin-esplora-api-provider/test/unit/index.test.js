@@ -1,11 +1,13 @@
 /* eslint-env mocha */
 
 import chai, { expect } from 'chai'
+import nock from 'nock'
 import Client from '../../../client/lib'
 import BitcoinEsploraApiProvider from '../../lib'
 import Networks from '../../../bitcoin-networks/lib'
 import mockEsploraApi from '../mock/mockEsploraApi'
 chai.use(require('chai-bignumber')())
+chai.use(require('chai-as-promised'))
 chai.config.truncateThreshold = 0
 
 describe('Bitcoin Esplora Api Provider', () => {
@@ -33,7 +35,7 @@ describe('Bitcoin Esplora Api Provider', () => {
       const tx = await provider.getTransactionByHash('d4b1add055db58343500157a6525a73ceb9c8850f0fb435f1f60071e8cad6540')
       expect(tx).to.deep.equal({
         'hash': 'd4b1add055db58343500157a6525a73ceb9c8850f0fb435f1f60071e8cad6540',
-        'value': 950018,
+        'value': '950018',
         '_raw': {
           'hex': '01000000000101447a5770e07bd7b1f8fa771ea59d5cf486937aef9ce4d897fdb9c7b41ab903cc01000000232200200153e49dbc4a122f47a87755382629dbdf7ede36e3c1c42b52da81f93ca3e6c3ffffffff02a08601000000000017a9149d3c916e0ebea90c4fc385aed2f8a5bed9595c298762f80c000000000017a914b1ca47496d9e10b431358ab9cb013b6fe00699108704004730440220232266d87dfba9ffd31632d4622a2067b9b00585a576f9e556e165fd19e73f2f022016277e17a658ec3d5d9c4f2d1cc224c38324f3af79227c61ece057e78ed6bc5b014730440220285b4e87b91a521e164f206e551b40ddc1bfd3780a7390511d069ebcae49353602207ab1c35a9b550c799bbb7ec3f0fcdcb60df637e39b1707fa5d9220aad1c470db01475221021b082273dfca34fa34501dd892968815ecb9dc1f0601db1e91c37ef85834c6ec210300dc67d16010e32b98bd66690ab0ea56e9e24cd0287a5fa22ac8040fbe9f7c7652ae00000000',
           'hash': '69f77ac56edfd27835d8e90a22164bfd63cf7352820ef54c3e40a8358c734944',
@@ -93,9 +95,84 @@ describe('Bitcoin Esplora Api Provider', () => {
         'blockHash': '000000000000015df12c1a2656f4284edc7c8130d68112d5e522b5d22f79b2b0',
         'blockNumber': 1574469,
         'confirmations': 233632,
-        'fee': 26780,
+        'fee': '26780',
         'feePrice': 131
       })
     })
   })
+
+  describe('getChainTime', () => {
+    it('should return the median time past of the tip', async () => {
+      const url = 'https://esplora.example.com/api'
+      const tipProvider = new BitcoinEsploraApiProvider(url, Networks.bitcoin_testnet)
+      const hash = '000000000000003a4b6bd2e8e4deee8bb5f2f0aa9a81ff0e6c5dc20ad2f2f8c6'
+
+      nock(url).get('/blocks/tip/hash').reply(200, hash)
+      nock(url).get(`/block/${hash}`).reply(200, { id: hash, height: 1574470, timestamp: 1590563400, mediantime: 1590561700 })
+
+      expect(await tipProvider.getChainTime()).to.equal(1590561700)
+    })
+  })
+
+  describe('retry policy', () => {
+    it('should retry failed requests', async () => {
+      const url = 'https://esplora.example.com/api'
+      const retryProvider = new BitcoinEsploraApiProvider(url, Networks.bitcoin_testnet, 1, 3, { retry: { minDelay: 0 } })
+
+      nock(url).get('/blocks/tip/height').reply(502, 'Bad Gateway')
+      nock(url).get('/blocks/tip/height').reply(200, '1574470')
+
+      expect(await retryProvider.getBlockHeight()).to.equal(1574470)
+    })
+
+    it('should give up after the maximum number of attempts', async () => {
+      const url = 'https://esplora.example.com/api'
+      const retryProvider = new BitcoinEsploraApiProvider(url, Networks.bitcoin_testnet, 1, 3, { retry: { minDelay: 0, maxAttempts: 3 } })
+
+      let requests = 0
+      nock(url).get('/blocks/tip/height').times(10).reply(() => {
+        requests++
+        return [ 503, 'Service Unavailable' ]
+      })
+
+      await expect(retryProvider.getBlockHeight()).to.be.rejected
+      expect(requests).to.equal(3)
+      nock.cleanAll()
+    })
+
+    it('should not retry errors that are not retryable', async () => {
+      const url = 'https://esplora.example.com/api'
+      const retryProvider = new BitcoinEsploraApiProvider(url, Networks.bitcoin_testnet, 1, 3, { retry: { minDelay: 0 } })
+
+      let requests = 0
+      nock(url).get('/blocks/tip/height').times(10).reply(() => {
+        requests++
+        return [ 404, 'Not Found' ]
+      })
+
+      await expect(retryProvider.getBlockHeight()).to.be.rejected
+      expect(requests).to.equal(1)
+      nock.cleanAll()
+    })
+  })
+
+  describe('cancellation', () => {
+    it('should stop listening to the signal once requests settled', async () => {
+      const url = 'https://esplora.example.com/api'
+      const client = new Client(new BitcoinEsploraApiProvider(url, Networks.bitcoin_testnet))
+      const listeners = new Set()
+      const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+      }
+
+      nock(url).get('/blocks/tip/height').reply(200, '1574470')
+      nock(url).get('/blocks/tip/height').reply(404, 'Not Found')
+
+      expect(await client.withSignal(signal).chain.getBlockHeight()).to.equal(1574470)
+      await expect(client.withSignal(signal).chain.getBlockHeight()).to.be.rejected
+      expect(listeners.size).to.equal(0)
+    })
+  })
 })
@@ -1,36 +1,36 @@
 import axios from 'axios'
 import BitcoinEsploraApiProvider from '@liquality/bitcoin-esplora-api-provider'
 import { flatten, uniq } from 'lodash'
-import BigNumber from 'bignumber.js'
 
-import { addressToString } from '@liquality/utils'
+import { addressToString, applyRetryPolicy } from '@liquality/utils'
+import { satoshiToBtc } from '@liquality/units'
 
 import { version } from '../package.json'
 
 export default class BitcoinEsploraBatchApiProvider extends BitcoinEsploraApiProvider {
-  constructor (batchUrl, url, network, numberOfBlockConfirmation = 1, defaultFeePerByte = 3) {
-    super(url, network, numberOfBlockConfirmation, defaultFeePerByte)
+  constructor (batchUrl, url, network, numberOfBlockConfirmation = 1, defaultFeePerByte = 3, options = {}) {
+    super(url, network, numberOfBlockConfirmation, defaultFeePerByte, options)
 
     this.batchUrl = batchUrl
 
-    this._batchAxios = axios.create({
+    this._batchAxios = applyRetryPolicy(axios.create({
       baseURL: batchUrl,
       responseType: 'text',
       transformResponse: undefined // https://github.com/axios/axios/issues/907,
-    })
+    }), options.retry)
   }
 
   async getUnspentTransactions (addresses) {
-    const { data } = await this._batchAxios.post('/addresses/utxo', {
+    const { data } = await this._request(config => this._batchAxios.post('/addresses/utxo', {
       addresses: uniq(addresses.map(addressToString))
-    })
+    }, config))
 
     const utxos = data.map(({ address, utxo }) => {
       return utxo.map(obj => ({
         ...obj,
         address,
         satoshis: obj.value,
-        amount: BigNumber(obj.value).dividedBy(1e8).toNumber(),
+        amount: satoshiToBtc(obj.value).toNumber(),
         blockHeight: obj.status.block_height
       }))
     })
@@ -39,9 +39,9 @@ export default class BitcoinEsploraBatchApiProvider extends BitcoinEsploraApiPro
   }
 
   async getAddressTransactionCounts (addresses) {
-    const { data } = await this._batchAxios.post('/addresses', {
+    const { data } = await this._request(config => this._batchAxios.post('/addresses', {
       addresses: uniq(addresses.map(addressToString))
-    })
+    }, config))
 
     return data.reduce((acc, obj) => {
       acc[obj.address] = obj.chain_stats.tx_count + obj.mempool_stats.tx_count
@@ -1,23 +1,24 @@
 import axios from 'axios'
 import Provider from '@liquality/provider'
+import { applyRetryPolicy, withCancelToken } from '@liquality/utils'
 
 import { version } from '../package.json'
 
 export default class BitcoinEsploraSwapFindProvider extends Provider {
-  constructor (url) {
+  constructor (url, options = {}) {
     super()
     this.url = url
-    this._axios = axios.create({
+    this._axios = applyRetryPolicy(axios.create({
       baseURL: url,
       responseType: 'text',
       transformResponse: undefined // https://github.com/axios/axios/issues/907,
-    })
+    }), options.retry)
   }
 
   async findAddressTransaction (address, currentHeight, predicate) {
     // TODO: This does not go through pages as swap addresses have at most 2 transactions
     // Investigate whether retrieving more transactions is required.
-    const response = await this._axios.get(`/address/${address}/txs`)
+    const response = await withCancelToken(this.signal, cancelToken => this._axios.get(`/address/${address}/txs`, { cancelToken }))
     const transactions = response.data
     for (const transaction of transactions) {
       const formattedTransaction = await this.getMethod('formatTransaction')(transaction, currentHeight)
@@ -36,10 +37,7 @@ export default class BitcoinEsploraSwapFindProvider extends Provider {
       if (addressTransaction) return addressTransaction
     }
   }
-
-  doesBlockScan () {
-    return false
-  }
 }
 
+BitcoinEsploraSwapFindProvider.capabilities = { doesBlockScan: false }
 BitcoinEsploraSwapFindProvider.version = version
@@ -1,5 +1,6 @@
 import BitcoinWalletProvider from '@liquality/bitcoin-wallet-provider'
 import WalletProvider from '@liquality/wallet-provider'
+import { verifyMessage } from '@liquality/bitcoin-utils'
 import * as bitcoin from 'bitcoinjs-lib'
 import * as bitcoinMessage from 'bitcoinjs-message'
 import { addressToString } from '@liquality/utils'
@@ -17,6 +18,13 @@ export default class BitcoinJsWalletProvider extends BitcoinWalletProvider(Walle
     this._mnemonic = mnemonic
   }
 
+  async setNetwork (network) {
+    await super.setNetwork(network)
+
+    this._seedNode = null
+    this._baseDerivationNode = null
+  }
+
   async seedNode () {
     if (this._seedNode) return this._seedNode
 
@@ -48,6 +56,10 @@ export default class BitcoinJsWalletProvider extends BitcoinWalletProvider(Walle
     return signature.toString('hex')
   }
 
+  async verifyMessage (message, signature, address) {
+    return verifyMessage(message, signature, address, this._network)
+  }
+
   async _buildTransaction (outputs, feePerByte, fixedInputs) {
     const network = this._network
 
@@ -1,5 +1,7 @@
 import KibaProvider from '@liquality/kiba-provider'
-import { Address } from '@liquality/utils'
+import { Address, addressToString } from '@liquality/utils'
+import { satoshiToBtc } from '@liquality/units'
+import { AddressNotInWalletError } from '@liquality/errors'
 import * as bitcoin from 'bitcoinjs-lib'
 import { calculateFee, getAddressNetwork } from '@liquality/bitcoin-utils'
 
@@ -116,13 +118,13 @@ export default class BitcoinKibaProvider extends KibaProvider {
   }
 
   async _buildTransaction (to, value) {
-    value = value + calculateFee(3, 3, 9) // Currently Kiba assumes txfee is 5004 satoshis
+    value = Number(value) + calculateFee(3, 3, 9) // Currently Kiba assumes txfee is 5004 satoshis
 
     const method = 'SIGN_TXN'
     const params = {
       blockchain: 'bitcoin',
       amount: {
-        value: parseFloat(parseInt(value) / 10e7).toString(),
+        value: satoshiToBtc(parseInt(value)).toString(),
         unit: 'bitcoin'
       },
       to,
@@ -154,7 +156,7 @@ export default class BitcoinKibaProvider extends KibaProvider {
 
         transactions.push({
           amount: {
-            amount: parseFloat(parseInt(value) / 10e7).toString(),
+            amount: satoshiToBtc(parseInt(value)).toString(),
             unit: {
               power: 0,
               value: 'bitcoin',
@@ -279,7 +281,7 @@ export default class BitcoinKibaProvider extends KibaProvider {
       }
     }
 
-    throw new Error('BitcoinJs: Wallet does not contain address')
+    throw new AddressNotInWalletError('BitcoinJs: Wallet does not contain address', { address: addressToString(address) })
   }
 
   async getConnectedNetwork () {
@@ -24,12 +24,19 @@ export default class BitcoinLedgerProvider extends BitcoinWalletProvider(LedgerP
     this._walletPublicKeyCache = {}
   }
 
+  async setNetwork (network) {
+    await super.setNetwork(network)
+
+    this._walletPublicKeyCache = {}
+  }
+
   async signMessage (message, from) {
     const app = await this.getApp()
     const address = await this.getWalletAddress(from)
     const hex = Buffer.from(message).toString('hex')
     const sig = await app.signMessageNew(address.derivationPath, hex)
-    return sig.r + sig.s
+    // r and s are read from DER and may be shorter than 32 bytes
+    return padHexStart(sig.r, 64) + padHexStart(sig.s, 64)
   }
 
   async _buildTransaction (_outputs, feePerByte, fixedInputs) {
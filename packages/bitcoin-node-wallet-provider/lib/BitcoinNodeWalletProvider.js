@@ -1,7 +1,7 @@
 import WalletProvider from '@liquality/wallet-provider'
 import JsonRpcProvider from '@liquality/jsonrpc-provider'
 import BitcoinNetworks from '@liquality/bitcoin-networks'
-import { AddressTypes } from '@liquality/bitcoin-utils'
+import { AddressTypes, AddressValidationProvider } from '@liquality/bitcoin-utils'
 import * as bitcoin from 'bitcoinjs-lib'
 import { sha256 } from '@liquality/crypto'
 import { Address, addressToString } from '@liquality/utils'
@@ -15,7 +15,7 @@ const BIP70_CHAIN_TO_NETWORK = {
   'regtest': BitcoinNetworks.bitcoin_regtest
 }
 
-export default class BitcoinNodeWalletProvider extends WalletProvider {
+export default class BitcoinNodeWalletProvider extends AddressValidationProvider(WalletProvider) {
   constructor (network, uri, username, password, addressType = 'bech32') {
     super()
     if (!AddressTypes.includes(addressType)) {
@@ -31,6 +31,11 @@ export default class BitcoinNodeWalletProvider extends WalletProvider {
     return this._rpc.jsonrpc('signmessage', from, message).then(result => Buffer.from(result, 'base64').toString('hex'))
   }
 
+  async verifyMessage (message, signature, address) {
+    address = addressToString(address)
+    return this._rpc.jsonrpc('verifymessage', address, Buffer.from(signature, 'hex').toString('base64'), message)
+  }
+
   async signP2SHTransaction (inputTxHex, tx, address, vout, outputScript, lockTime = 0, segwit = false) {
     const wif = await this.dumpPrivKey(address)
     const wallet = bitcoin.ECPair.fromWIF(wif, this._network)
@@ -3,21 +3,97 @@ import BigNumber from 'bignumber.js'
 
 import JsonRpcProvider from '@liquality/jsonrpc-provider'
 import { addressToString } from '@liquality/utils'
-import { normalizeTransactionObject, decodeRawTransaction } from '@liquality/bitcoin-utils'
+import { btcToSatoshi, satoshiToBtc } from '@liquality/units'
+import { normalizeTransactionObject, decodeRawTransaction, AddressValidationProvider } from '@liquality/bitcoin-utils'
+import networks from '@liquality/bitcoin-networks'
+import { TransactionStatus } from '@liquality/schema'
+import { TxNotFoundError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
-export default class BitcoinRpcProvider extends JsonRpcProvider {
-  constructor (uri, username, password, numberOfBlockConfirmation = 1, defaultFeePerByte = 3) {
-    super(uri, username, password)
+const RPC_INVALID_ADDRESS_OR_KEY = -5 // No such mempool or blockchain transaction
+
+// Read-only methods, which can be sent again after a timeout or an internal
+// error. Other methods may have been applied by the node, e.g. a broadcast.
+const RETRYABLE_METHODS = [
+  'decoderawtransaction',
+  'estimatesmartfee',
+  'getaddressesbylabel',
+  'getbestblockhash',
+  'getblock',
+  'getblockchaininfo',
+  'getblockcount',
+  'getblockhash',
+  'getmempoolentry',
+  'getnetworkinfo',
+  'getrawmempool',
+  'getrawtransaction',
+  'getreceivedbyaddress',
+  'gettransaction',
+  'gettxout',
+  'getwalletinfo',
+  'listaddressgroupings',
+  'listreceivedbyaddress',
+  'listunspent',
+  'validateaddress',
+  'verifymessage'
+]
+
+// Networks of the `chain` returned by `getblockchaininfo`
+const CHAIN_NETWORKS = {
+  main: networks.bitcoin,
+  test: networks.bitcoin_testnet,
+  regtest: networks.bitcoin_regtest
+}
+
+export default class BitcoinRpcProvider extends AddressValidationProvider(JsonRpcProvider) {
+  constructor (uri, username, password, numberOfBlockConfirmation = 1, defaultFeePerByte = 3, options = {}) {
+    super(uri, username, password, options)
     this._numberOfBlockConfirmation = numberOfBlockConfirmation
     this._defaultFeePerByte = defaultFeePerByte
   }
 
+  async setNetwork (network) {
+    this._network = network
+  }
+
+  /**
+   * Network of the node, from the `chain` of `getblockchaininfo`.
+   * @return {Promise<object>} Resolves with the network, or `{ name: 'unknown' }`
+   *  for chains without a network in `@liquality/bitcoin-networks`
+   */
+  async getConnectedNetwork () {
+    return (await this._getNodeNetwork()) || { name: 'unknown' }
+  }
+
+  /**
+   * Network of the client, or of the node when the client has none.
+   */
+  async _getAddressNetwork () {
+    return this._network || this._getNodeNetwork()
+  }
+
+  async _getNodeNetwork () {
+    if (!this._nodeNetwork) {
+      this._nodeNetwork = this.jsonrpc('getblockchaininfo')
+        .then(({ chain }) => CHAIN_NETWORKS[chain])
+        .catch(e => {
+          this._nodeNetwork = null
+          throw e
+        })
+    }
+
+    return this._nodeNetwork
+  }
+
+  _isRetryableMethod (method) {
+    return RETRYABLE_METHODS.includes(method)
+  }
+
   async decodeRawTransaction (rawTransaction) {
     const data = await this.jsonrpc('decoderawtransaction', rawTransaction)
     const { txid: hash, vout } = data
-    const value = vout.reduce((p, n) => p + parseInt(n.value), 0)
+    const value = vout.reduce((p, n) => p.plus(btcToSatoshi(n.value)), BigNumber(0)).toFixed()
     const output = { hash, value, _raw: { hex: rawTransaction, ...data } }
     return output
   }
@@ -27,7 +103,7 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
       const { feerate } = await this.jsonrpc('estimatesmartfee', numberOfBlocks)
 
       if (feerate && feerate > 0) {
-        return Math.ceil((feerate * 1e8) / 1000)
+        return Math.ceil(btcToSatoshi(feerate).div(1000).toNumber())
       }
 
       throw new Error('Invalid estimated fee')
@@ -38,11 +114,11 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
 
   async getMinRelayFee () {
     const { relayfee } = await this.jsonrpc('getnetworkinfo')
-    return relayfee * 1e8 / 1000
+    return btcToSatoshi(relayfee).div(1000).toNumber()
   }
 
   async withTxFee (func, feePerByte) {
-    const feePerKB = BigNumber(feePerByte).div(1e8).times(1000).toNumber()
+    const feePerKB = satoshiToBtc(feePerByte).times(1000).toNumber()
     const originalTxFee = (await this.jsonrpc('getwalletinfo')).paytxfee
     await this.jsonrpc('settxfee', feePerKB)
 
@@ -55,12 +131,12 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
 
   async sendTransaction (to, value, data, feePerByte) {
     to = addressToString(to)
-    value = BigNumber(value).dividedBy(1e8).toNumber()
+    value = satoshiToBtc(value).toNumber()
 
     const send = async () => {
       const hash = await this.jsonrpc('sendtoaddress', to, value, '', '', false, true)
       const transaction = await this.jsonrpc('gettransaction', hash, true)
-      const fee = BigNumber(transaction.fee).abs().times(1e8).toNumber()
+      const fee = btcToSatoshi(transaction.fee).abs()
       return normalizeTransactionObject(decodeRawTransaction(transaction.hex), fee)
     }
 
@@ -72,7 +148,7 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
     return this.withTxFee(async () => {
       const result = await this.jsonrpc('bumpfee', txHash)
       const transaction = await this.jsonrpc('gettransaction', result.txid, true)
-      const fee = BigNumber(transaction.fee).abs().times(1e8).toNumber()
+      const fee = btcToSatoshi(transaction.fee).abs()
       return normalizeTransactionObject(decodeRawTransaction(transaction.hex), fee)
     }, newFeePerByte)
   }
@@ -98,7 +174,7 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
   async getUnspentTransactions (addresses) {
     addresses = addresses.map(addressToString)
     const utxos = await this.jsonrpc('listunspent', 0, 9999999, addresses)
-    return utxos.map(utxo => ({ ...utxo, satoshis: BigNumber(utxo.amount).times(1e8).toNumber() }))
+    return utxos.map(utxo => ({ ...utxo, satoshis: btcToSatoshi(utxo.amount).toNumber() }))
   }
 
   async getAddressTransactionCounts (addresses) {
@@ -123,7 +199,19 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
   }
 
   async getTransactionHex (transactionHash) {
-    return this.jsonrpc('getrawtransaction', transactionHash)
+    return this._getRawTransaction(transactionHash, 0)
+  }
+
+  async _getRawTransaction (transactionHash, verbose) {
+    try {
+      return await this.jsonrpc('getrawtransaction', transactionHash, verbose)
+    } catch (e) {
+      if (e.code === RPC_INVALID_ADDRESS_OR_KEY) {
+        throw new TxNotFoundError(`Transaction not found: ${transactionHash}`, { txHash: transactionHash })
+      }
+
+      throw e
+    }
   }
 
   async generateBlock (numberOfBlocks) {
@@ -171,6 +259,14 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
     return this.jsonrpc('getblockcount')
   }
 
+  /**
+   * Median time past of the latest block, the time checked by timelocks.
+   */
+  async getChainTime () {
+    const { mediantime } = await this.jsonrpc('getblockchaininfo')
+    return mediantime
+  }
+
   async getTransactionByHash (transactionHash) {
     return this.getRawTransactionByHash(transactionHash, true, true)
   }
@@ -187,16 +283,55 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
     const inputValues = inputTransactions.map((inputTx, index) => {
       const vout = inputs[index].vout
       const output = inputTx.vout[vout]
-      return output.value * 1e8
+      return btcToSatoshi(output.value)
     })
-    const inputValue = inputValues.reduce((a, b) => a.plus(BigNumber(b)), BigNumber(0))
-    const outputValue = tx.vout.reduce((a, b) => a.plus(BigNumber(b.value).times(BigNumber(1e8))), BigNumber(0))
+    const inputValue = inputValues.reduce((a, b) => a.plus(b), BigNumber(0))
+    const outputValue = tx.vout.reduce((a, b) => a.plus(btcToSatoshi(b.value)), BigNumber(0))
     const feeValue = inputValue.minus(outputValue)
     return feeValue.toNumber()
   }
 
+  /**
+   * Called for a transaction the node no longer knows: it was replaced if any
+   * of its inputs was spent by another transaction.
+   */
+  async isTransactionReplaced (tx) {
+    const outputs = await Promise.all(
+      tx._raw.vin.map(({ txid, vout }) => this.jsonrpc('gettxout', txid, vout, true))
+    )
+
+    return outputs.some(output => output === null)
+  }
+
+  /**
+   * Get the normalized status of a transaction.
+   * @param {!string|Transaction} tx - Hash of the transaction, or the
+   *  transaction as last seen to tell replaced and dropped ones apart
+   * @return {Promise<object>} Resolves with `{ status, confirmations, transaction }`
+   */
+  async getTransactionStatus (tx) {
+    const hash = isString(tx) ? tx : tx.hash
+
+    let transaction
+    try {
+      transaction = await this.getRawTransactionByHash(hash, true)
+    } catch (e) {
+      if (!(e instanceof TxNotFoundError)) throw e
+    }
+
+    if (transaction) {
+      const status = transaction.confirmations > 0 ? TransactionStatus.CONFIRMED : TransactionStatus.PENDING
+      return { status, confirmations: transaction.confirmations || 0, transaction }
+    }
+
+    if (isString(tx)) return { status: TransactionStatus.UNKNOWN, confirmations: 0 }
+
+    const replaced = await this.isTransactionReplaced(tx)
+    return { status: replaced ? TransactionStatus.REPLACED : TransactionStatus.DROPPED, confirmations: 0, transaction: tx }
+  }
+
   async getRawTransactionByHash (transactionHash, decode = false, addFees = false) {
-    const tx = await this.jsonrpc('getrawtransaction', transactionHash, decode ? 1 : 0)
+    const tx = await this._getRawTransaction(transactionHash, decode ? 1 : 0)
     if (!decode) return tx
 
     return normalizeTransactionObject(
@@ -213,12 +348,12 @@ export default class BitcoinRpcProvider extends JsonRpcProvider {
   async sendBatchTransaction (transactions) {
     let outputs = {}
     for (const tx of transactions) {
-      outputs[addressToString(tx.to)] = BigNumber(tx.value).dividedBy(1e8).toNumber()
+      outputs[addressToString(tx.to)] = satoshiToBtc(tx.value).toNumber()
     }
     const rawTxOutputs = await this.createRawTransaction([], outputs)
     const rawTxFunded = await this.fundRawTransaction(rawTxOutputs)
     const rawTxSigned = await this.signRawTransaction(rawTxFunded.hex)
-    const fee = BigNumber(rawTxFunded.fee).times(1e8).toNumber()
+    const fee = btcToSatoshi(rawTxFunded.fee)
     await this.sendRawTransaction(rawTxSigned.hex)
     return normalizeTransactionObject(decodeRawTransaction(rawTxSigned.hex), fee)
   }
@@ -2,6 +2,10 @@
 
 import BigNumber from 'bignumber.js'
 import chai, { expect } from 'chai'
+import nock from 'nock'
+
+import { NetworkMismatchError, TxNotFoundError } from '@liquality/errors'
+import networks from '@liquality/bitcoin-networks'
 
 import Client from '../../../client/lib'
 import BitcoinRpcProvider from '../../lib'
@@ -9,6 +13,7 @@ import BitcoinRpcProvider from '../../lib'
 const mockJsonRpc = require('../../../../test/mock/mockJsonRpc')
 const bitcoinRpc = require('../../../../test/mock/bitcoin/rpc')
 
+chai.use(require('chai-as-promised'))
 chai.use(require('chai-bignumber')())
 chai.config.truncateThreshold = 0
 
@@ -36,6 +41,33 @@ describe('Bitcoin RPC provider', () => {
     })
   })
 
+  describe('validateAddress', () => {
+    it('should validate addresses for the network of the node', async () => {
+      expect(await provider.validateAddress('mpJJQJzJhjceFabMVXAMB8i4VJcwwWQmcc')).to.include({ isValid: true, network: 'bitcoin_regtest' })
+      expect(await provider.validateAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).to.include({ isValid: false })
+    })
+
+    it('should validate addresses for the network of the client', async () => {
+      await provider.setNetwork(networks.bitcoin)
+
+      expect(await provider.validateAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).to.include({ isValid: true, network: 'bitcoin' })
+      expect(await provider.validateAddress('mpJJQJzJhjceFabMVXAMB8i4VJcwwWQmcc')).to.include({ isValid: false })
+    })
+  })
+
+  describe('getConnectedNetwork', () => {
+    it('should return the network of the node', async () => {
+      await provider.setNetwork(networks.bitcoin_testnet)
+
+      expect(await client.chain.getConnectedNetwork()).to.equal(networks.bitcoin_regtest)
+    })
+
+    it('should reject switching the client to another network than the node', async () => {
+      await expect(client.setNetwork(networks.bitcoin_testnet)).to.be.rejectedWith(NetworkMismatchError)
+      await client.setNetwork(networks.bitcoin_regtest)
+    })
+  })
+
   describe('getFeePerByte', () => {
     it('should return default value 3 sat per byte', async () => {
       const fee = await provider.getFeePerByte(null)
@@ -50,6 +82,13 @@ describe('Bitcoin RPC provider', () => {
     })
   })
 
+  describe('getChainTime', () => {
+    it('should return the median time past', async () => {
+      const time = await provider.getChainTime()
+      expect(time).to.equal(1590562814)
+    })
+  })
+
   describe('sendTransaction', () => {
     it('should return transaction', async () => {
       const tx = await provider.sendTransaction('2MxxsHz5Y9KM847ttEoZNcmmaKSCQDa5Z23', 1000)
@@ -63,7 +102,7 @@ describe('Bitcoin RPC provider', () => {
 
       expect(tx).to.deep.equal({
         'hash': 'cb14f7e8a9b7838a2f9057a19f1eebcccaf3a3aaf1b2b4802924ae41b1fc5dc4',
-        'value': 50,
+        'value': '5000003840',
         '_raw': {
           'hex': '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff0401660101ffffffff010001062a01000000232103106e56019acc637afca6202e526ada2d2c8653157c19839d0ea1c32c5925deffac00000000',
           'txid': 'cb14f7e8a9b7838a2f9057a19f1eebcccaf3a3aaf1b2b4802924ae41b1fc5dc4',
@@ -135,7 +174,7 @@ describe('Bitcoin RPC provider', () => {
       const tx = await provider.getTransactionByHash('504fc23592b61c262902e8574d5a053e8eb3f7d9d80d3c49f20ef4cd9167d2fd')
       expect(tx).to.deep.equal({
         'hash': '504fc23592b61c262902e8574d5a053e8eb3f7d9d80d3c49f20ef4cd9167d2fd',
-        'value': 624996260,
+        'value': '624996260',
         '_raw': {
           'txid': '504fc23592b61c262902e8574d5a053e8eb3f7d9d80d3c49f20ef4cd9167d2fd',
           'hash': '504fc23592b61c262902e8574d5a053e8eb3f7d9d80d3c49f20ef4cd9167d2fd',
@@ -192,9 +231,164 @@ describe('Bitcoin RPC provider', () => {
         'confirmations': 20,
         'blockHash': '494a5c635fd483c82a4a684f3982f52af27a29ee5217a0409cdad45afc2709d7',
         'blockNumber': 630,
-        'fee': 3740,
+        'fee': '3740',
         'feePrice': 20
       })
     })
   })
+
+  describe('getTransactionStatus', () => {
+    const uri = 'http://localhost:18446'
+    const jsonHeaders = { 'Content-Type': 'application/json' }
+    const txHash = 'f'.repeat(64)
+    const lastSeenTx = { hash: txHash, value: 1, confirmations: 0, _raw: { vin: [{ txid: 'e'.repeat(64), vout: 0 }] } }
+
+    let statusProvider
+
+    const mockMethod = (method, response) => nock(uri)
+      .post('/', body => body.method === method)
+      .reply(200, response, jsonHeaders)
+
+    beforeEach(() => {
+      statusProvider = new BitcoinRpcProvider(uri, 'bitcoin', 'local321', 1, 3, { retry: false })
+      mockMethod('getrawtransaction', { error: { code: -5, message: 'No such mempool or blockchain transaction' } })
+    })
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    it('should return confirmed for a mined transaction', async () => {
+      const { status, confirmations } = await provider.getTransactionStatus('504fc23592b61c262902e8574d5a053e8eb3f7d9d80d3c49f20ef4cd9167d2fd')
+      expect(status).to.equal('confirmed')
+      expect(confirmations).to.equal(20)
+    })
+
+    it('should return unknown for an unknown hash', async () => {
+      expect((await statusProvider.getTransactionStatus(txHash)).status).to.equal('unknown')
+    })
+
+    it('should throw TxNotFoundError when fetching an unknown hash', async () => {
+      const error = await statusProvider.getTransactionByHash(txHash).catch(e => e)
+      expect(error).to.be.instanceOf(TxNotFoundError)
+      expect(error.txHash).to.equal(txHash)
+    })
+
+    it('should return replaced when an input was spent by another transaction', async () => {
+      mockMethod('gettxout', { result: null })
+      expect((await statusProvider.getTransactionStatus(lastSeenTx)).status).to.equal('replaced')
+    })
+
+    it('should return dropped when the inputs are unspent', async () => {
+      mockMethod('gettxout', { result: { value: 1, confirmations: 10 } })
+      expect((await statusProvider.getTransactionStatus(lastSeenTx)).status).to.equal('dropped')
+    })
+  })
+
+  describe('retry policy', () => {
+    const uri = 'http://localhost:18444'
+    const jsonHeaders = { 'Content-Type': 'application/json' }
+
+    let retryProvider
+
+    beforeEach(() => {
+      retryProvider = new BitcoinRpcProvider(uri, 'bitcoin', 'local321', 1, 3, { retry: { minDelay: 0 } })
+    })
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    it('should retry on HTTP 503', async () => {
+      nock(uri).post('/').reply(503, 'Service Unavailable')
+      nock(uri).post('/').reply(200, { result: 630 }, jsonHeaders)
+
+      expect(await retryProvider.getBlockHeight()).to.equal(630)
+    })
+
+    it('should retry on JSON-RPC internal errors', async () => {
+      nock(uri).post('/').reply(200, { error: { code: -32603, message: 'Internal error' } }, jsonHeaders)
+      nock(uri).post('/').reply(200, { result: 630 }, jsonHeaders)
+
+      expect(await retryProvider.getBlockHeight()).to.equal(630)
+    })
+
+    it('should give up after the maximum number of attempts', async () => {
+      const scope = nock(uri).post('/').times(3).reply(429, 'Too Many Requests')
+
+      await expect(retryProvider.getBlockHeight()).to.be.rejectedWith(/Too Many Requests/)
+      expect(scope.isDone()).to.equal(true)
+    })
+
+    it('should not retry other JSON-RPC errors', async () => {
+      nock(uri).post('/').reply(200, { error: { code: -5, message: 'Invalid address' } }, jsonHeaders)
+      nock(uri).post('/').reply(200, { result: 630 }, jsonHeaders)
+
+      await expect(retryProvider.getBlockHeight()).to.be.rejectedWith(/Invalid address/)
+    })
+
+    it('should not retry sendtoaddress', async () => {
+      nock(uri).post('/').reply(503, 'Service Unavailable')
+      nock(uri).post('/').reply(200, { result: 'txid' }, jsonHeaders)
+
+      await expect(retryProvider.jsonrpc('sendtoaddress', 'address', 1)).to.be.rejectedWith(/Service Unavailable/)
+    })
+
+    it('should not retry methods that are not read-only', async () => {
+      for (const method of [ 'sendrawtransaction', 'bumpfee', 'generatetoaddress', 'getnewaddress' ]) {
+        nock(uri).post('/').reply(200, { error: { code: -32603, message: 'Internal error' } }, jsonHeaders)
+        nock(uri).post('/').reply(200, { result: 'txid' }, jsonHeaders)
+
+        await expect(retryProvider.jsonrpc(method, 'hex')).to.be.rejectedWith(/Internal error/)
+        nock.cleanAll()
+      }
+    })
+  })
+
+  describe('batching', () => {
+    const uri = 'http://localhost:18445'
+
+    let batchProvider
+
+    beforeEach(() => {
+      batchProvider = new BitcoinRpcProvider(uri, 'bitcoin', 'local321', 1, 3, { batch: true })
+    })
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    it('should send calls made in the same tick as one request', async () => {
+      const scope = mockJsonRpc(uri, bitcoinRpc, 1)
+
+      const results = await Promise.all([
+        batchProvider.isAddressUsed('n187i8H1sA5RcFPESf2sgzufirnKcxBfhg'),
+        batchProvider.isAddressUsed('mpJJQJzJhjceFabMVXAMB8i4VJcwwWQmcc'),
+        batchProvider.getBlockHeight()
+      ])
+
+      expect(results).to.deep.equal([false, true, 114])
+      expect(scope.isDone()).to.equal(true)
+    })
+
+    it('should use unique ids and reject failed items only', async () => {
+      let ids
+      nock(uri).post('/').reply(200, (uri, body) => {
+        ids = JSON.parse(body).map(req => req.id)
+        return JSON.stringify([
+          { id: ids[1], result: 114 },
+          { id: ids[0], error: { code: -8, message: 'Block height out of range' } }
+        ])
+      }, { 'Content-Type': 'application/json' })
+
+      const [ hash, height ] = await Promise.all([
+        batchProvider.jsonrpc('getblockhash', 1000).catch(e => e),
+        batchProvider.getBlockHeight()
+      ])
+
+      expect(ids[0]).to.not.equal(ids[1])
+      expect(height).to.equal(114)
+      expect(hash.message).to.match(/Block height out of range/)
+    })
+  })
 })
@@ -8,6 +8,8 @@ import {
   normalizeTransactionObject
 } from '@liquality/bitcoin-utils'
 import { addressToString } from '@liquality/utils'
+import { btcToSatoshi } from '@liquality/units'
+import { DustOutputError } from '@liquality/errors'
 import networks from '@liquality/bitcoin-networks'
 
 import { version } from '../package.json'
@@ -22,6 +24,10 @@ export default class BitcoinSwapProvider extends Provider {
     this._mode = mode
   }
 
+  async setNetwork (network) {
+    this._network = network
+  }
+
   getPubKeyHash (address) {
     const outputScript = bitcoin.address.toOutputScript(address, this._network)
     const type = classify.output(outputScript)
@@ -139,10 +145,10 @@ export default class BitcoinSwapProvider extends Provider {
     const txfee = calculateFee(1, 1, feePerByte)
 
     swapVout.txid = initiationTxHash
-    swapVout.vSat = BigNumber(swapVout.value).times(1e8).toNumber()
+    swapVout.vSat = btcToSatoshi(swapVout.value).toNumber()
 
     if (swapVout.vSat - txfee < 0) {
-      throw new Error('Transaction amount does not cover fee.')
+      throw new DustOutputError('Transaction amount does not cover fee.', { value: swapVout.vSat, fee: txfee })
     }
 
     const txb = new bitcoin.TransactionBuilder(network)
@@ -206,12 +212,12 @@ export default class BitcoinSwapProvider extends Provider {
 
         const address = transaction.vout[0].scriptPubKey.addresses[0]
         const prevout = inputTx.vout[transaction.vin[0].vout]
-        prevout.vSat = BigNumber(prevout.value).times(1e8).toNumber()
+        prevout.vSat = btcToSatoshi(prevout.value).toNumber()
 
         const txfee = calculateFee(1, 1, newFeePerByte)
 
         if (prevout.vSat - txfee < 0) {
-          throw new Error('Transaction amount does not cover fee.')
+          throw new DustOutputError('Transaction amount does not cover fee.', { value: prevout.vSat, fee: txfee })
         }
 
         tx.outs[0].value = BigNumber(prevout.vSat).minus(BigNumber(txfee)).toNumber()
@@ -277,7 +283,7 @@ export default class BitcoinSwapProvider extends Provider {
     const vout = transaction._raw.vout.find(vout =>
       Object.values(swapPaymentVariants).find(payment =>
         payment.output.toString('hex') === vout.scriptPubKey.hex &&
-        BigNumber(vout.value).times(1e8).eq(BigNumber(value))
+        btcToSatoshi(vout.value).eq(BigNumber(value))
       )
     )
     return Boolean(vout)
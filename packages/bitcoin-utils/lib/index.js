@@ -1,9 +1,12 @@
-import { findKey } from 'lodash'
+import { findKey, isObject, isString } from 'lodash'
 import BigNumber from 'bignumber.js'
 import { base58, padHexStart } from '@liquality/crypto'
 import * as bitcoin from 'bitcoinjs-lib'
 import * as classify from 'bitcoinjs-lib/src/classify'
+import * as bitcoinMessage from 'bitcoinjs-message'
 import networks from '@liquality/bitcoin-networks'
+import { btcToSatoshi, satoshiToBtc } from '@liquality/units'
+import { addressToString } from '@liquality/utils'
 import coinselect from 'coinselect'
 import coinselectAccumulative from 'coinselect/accumulative'
 import { version } from '../package.json'
@@ -48,6 +51,79 @@ function getAddressNetwork (address) {
   return networks[networkKey]
 }
 
+/**
+ * Validate an address and find its type and network.
+ * @param {string} address - The address to validate
+ * @param {Network} [network] - Network the address should belong to. If
+ *  omitted, the address is matched against the bitcoin networks.
+ * @return {{ isValid: boolean, address: string, type: string, network: string, reason: string }}
+ *  `address` is the normalized address, `type` one of p2pkh, p2sh, p2wpkh or
+ *  p2wsh. `reason` is only set for invalid addresses.
+ */
+function validateAddress (address, network) {
+  const candidates = network ? [ network ] : Object.values(networks).filter(isObject)
+  const invalid = reason => ({
+    isValid: false,
+    address,
+    network: network ? network.name : undefined,
+    reason
+  })
+
+  if (!isString(address) || address.length === 0) return invalid('Address should be a non empty string')
+
+  let bech32
+  try {
+    bech32 = bitcoin.address.fromBech32(address)
+  } catch (e) {}
+
+  if (bech32) {
+    const match = candidates.find(candidate => candidate.bech32 === bech32.prefix)
+    if (!match) return invalid(`Address prefix ${bech32.prefix} does not match the network`)
+    if (bech32.version !== 0) return invalid(`Unsupported witness version ${bech32.version}`)
+
+    const type = { 20: 'p2wpkh', 32: 'p2wsh' }[bech32.data.length]
+    if (!type) return invalid('Invalid witness program length')
+
+    return { isValid: true, address: address.toLowerCase(), type, network: match.name }
+  }
+
+  let base58
+  try {
+    base58 = bitcoin.address.fromBase58Check(address)
+  } catch (e) {
+    return invalid('Address is neither a valid base58check nor a bech32 address')
+  }
+
+  for (const candidate of candidates) {
+    if (base58.version === candidate.pubKeyHash) {
+      return { isValid: true, address, type: 'p2pkh', network: candidate.name }
+    }
+
+    if ([ candidate.scriptHash, candidate.scriptHash2 ].includes(base58.version)) {
+      return { isValid: true, address, type: 'p2sh', network: candidate.name }
+    }
+  }
+
+  return invalid(`Address version ${base58.version} does not match the network`)
+}
+
+/**
+ * Coin selection and bitcoinjs work with numbers, which are exact for any
+ * satoshi amount. Values may be passed as BigNumber or decimal strings.
+ */
+function toSatoshiOutputs (transactions) {
+  return transactions.map(tx => ({ ...tx, value: BigNumber(tx.value).toNumber() }))
+}
+
+/**
+ * Total value of outputs, whose values may be numbers, BigNumber or decimal
+ * strings.
+ * @return {string} Decimal string of the total
+ */
+function sumOutputValues (outputs) {
+  return outputs.reduce((sum, output) => sum.plus(output.value), BigNumber(0)).toFixed()
+}
+
 function selectCoins (utxos, targets, feePerByte, fixedInputs = []) {
   let selectUtxos = utxos
   let inputs, outputs
@@ -93,7 +169,7 @@ function decodeRawTransaction (hex, network) {
     const type = classify.output(output.script)
 
     var vout = {
-      value: output.value / 1e8,
+      value: satoshiToBtc(output.value).toNumber(),
       n,
       scriptPubKey: {
         asm: bitcoin.script.toASM(output.script),
@@ -127,18 +203,18 @@ function decodeRawTransaction (hex, network) {
 }
 
 function normalizeTransactionObject (tx, fee, block) {
-  const value = tx.vout.reduce((p, n) => p.plus(BigNumber(n.value).times(1e8)), BigNumber(0))
+  const value = tx.vout.reduce((p, n) => p.plus(btcToSatoshi(n.value)), BigNumber(0))
   const result = {
     hash: tx.txid,
-    value: value.toNumber(),
+    value: value.toFixed(),
     _raw: tx,
     confirmations: 0
   }
 
   if (fee) {
-    const feePrice = Math.round(fee / tx.vsize)
+    const feePrice = Math.round(BigNumber(fee).div(tx.vsize).toNumber())
     Object.assign(result, {
-      fee,
+      fee: BigNumber(fee).toFixed(),
       feePrice
     })
   }
@@ -154,6 +230,71 @@ function normalizeTransactionObject (tx, fee, block) {
   return result
 }
 
+/**
+ * Mixin adding `validateAddress` to a provider. Addresses are validated for
+ * the network returned by `_getAddressNetwork`, which defaults to the
+ * `_network` of the provider.
+ * @param {!function} superclass - Provider class to extend
+ * @return {function} Provider class implementing `validateAddress`
+ */
+const AddressValidationProvider = superclass => class extends superclass {
+  async validateAddress (address) {
+    return validateAddress(addressToString(address), await this._getAddressNetwork())
+  }
+
+  async _getAddressNetwork () {
+    return this._network
+  }
+}
+
+/**
+ * Signatures are made with the header of P2PKH addresses. Segwit addresses
+ * are only verified with the header of their address type.
+ */
+function withAddressHeader (signature, address, network) {
+  const recovery = (signature[0] - 27) & 3
+  let header = signature[0]
+
+  try {
+    bitcoin.address.fromBech32(address)
+    header = 39 + recovery
+  } catch (e) {
+    if (bitcoin.address.fromBase58Check(address).version === network.scriptHash) header = 35 + recovery
+  }
+
+  return Buffer.concat([ Buffer.from([ header ]), signature.slice(1) ])
+}
+
+/**
+ * Verify a message signed by `signMessage` of the Bitcoin wallets. Ledger
+ * signatures have no header, so every recovery id of the compressed key is
+ * tried.
+ * @param {!string} message
+ * @param {!string} signature - Signature in hex: header, r and s, or only r
+ *  and s as signed by Ledger
+ * @param {!string|Address} address - Address expected to have signed
+ * @param {!object} network - Network of the address
+ * @return {boolean}
+ */
+function verifyMessage (message, signature, address, network) {
+  if (!isString(signature)) return false
+
+  address = addressToString(address)
+  signature = Buffer.from(signature, 'hex')
+
+  const signatures = signature.length === 64
+    ? [ 0, 1, 2, 3 ].map(recovery => Buffer.concat([ Buffer.from([ 31 + recovery ]), signature ]))
+    : [ signature ]
+
+  return signatures.some(signature => {
+    try {
+      return bitcoinMessage.verify(message, address, withAddressHeader(signature, address, network))
+    } catch (e) {
+      return false
+    }
+  })
+}
+
 const AddressTypes = [
   'legacy', 'p2sh-segwit', 'bech32'
 ]
@@ -162,7 +303,12 @@ export {
   calculateFee,
   compressPubKey,
   getAddressNetwork,
+  validateAddress,
+  AddressValidationProvider,
+  toSatoshiOutputs,
+  sumOutputValues,
   selectCoins,
+  verifyMessage,
   decodeRawTransaction,
   normalizeTransactionObject,
   AddressTypes,
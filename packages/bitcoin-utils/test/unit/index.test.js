@@ -1,8 +1,10 @@
 /* eslint-env mocha */
 
 import { expect } from 'chai'
+import BigNumber from 'bignumber.js'
 
 import BitcoinNetworks from '../../../bitcoin-networks/lib'
+import LitecoinNetworks from '../../../litecoin-networks/lib'
 import * as BitcoinUtil from '../../lib'
 
 describe('Bitcoin Util', () => {
@@ -21,6 +23,87 @@ describe('Bitcoin Util', () => {
     })
   })
 
+  describe('validateAddress', () => {
+    it('should detect the type and network of addresses', () => {
+      expect(BitcoinUtil.validateAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')).to.deep.equal({
+        isValid: true, address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', type: 'p2pkh', network: 'bitcoin'
+      })
+      expect(BitcoinUtil.validateAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy').type).to.equal('p2sh')
+      expect(BitcoinUtil.validateAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4').type).to.equal('p2wpkh')
+      expect(BitcoinUtil.validateAddress('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7')).to.deep.equal({
+        isValid: true, address: 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', type: 'p2wsh', network: 'bitcoin_testnet'
+      })
+    })
+
+    it('should normalize bech32 addresses to lowercase', () => {
+      const { isValid, address } = BitcoinUtil.validateAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', BitcoinNetworks.bitcoin)
+      expect(isValid).to.equal(true)
+      expect(address).to.equal('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')
+    })
+
+    it('should reject addresses of another network', () => {
+      const result = BitcoinUtil.validateAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', BitcoinNetworks.bitcoin_testnet)
+      expect(result.isValid).to.equal(false)
+      expect(result.network).to.equal('bitcoin_testnet')
+      expect(BitcoinUtil.validateAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', BitcoinNetworks.bitcoin_regtest).isValid).to.equal(false)
+    })
+
+    it('should reject malformed addresses', () => {
+      expect(BitcoinUtil.validateAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3').isValid).to.equal(false)
+      expect(BitcoinUtil.validateAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5').isValid).to.equal(false)
+      expect(BitcoinUtil.validateAddress('').reason).to.be.a('string')
+    })
+
+    it('should validate litecoin addresses', () => {
+      expect(BitcoinUtil.validateAddress('LVuDpNCSSj6pQ7t9Pv6d6sUkLKoqDEVUnJ', LitecoinNetworks.litecoin)).to.deep.equal({
+        isValid: true, address: 'LVuDpNCSSj6pQ7t9Pv6d6sUkLKoqDEVUnJ', type: 'p2pkh', network: 'litecoin'
+      })
+      expect(BitcoinUtil.validateAddress('ltc1qw508d6qejxtdg4y5r3zarvary0c5xw7kgmn4n9', LitecoinNetworks.litecoin).type).to.equal('p2wpkh')
+      expect(BitcoinUtil.validateAddress('LVuDpNCSSj6pQ7t9Pv6d6sUkLKoqDEVUnJ', BitcoinNetworks.bitcoin).isValid).to.equal(false)
+    })
+  })
+
+  describe('toSatoshiOutputs', () => {
+    it('should convert values to numbers', () => {
+      const outputs = BitcoinUtil.toSatoshiOutputs([ { to: 'a', value: '100000' }, { to: 'b', value: BigNumber(2500) } ])
+      expect(outputs).to.deep.equal([ { to: 'a', value: 100000 }, { to: 'b', value: 2500 } ])
+    })
+  })
+
+  describe('sumOutputValues', () => {
+    it('should sum numbers, BigNumber and decimal strings', () => {
+      expect(BitcoinUtil.sumOutputValues([ { value: '100000' }, { value: 2500 }, { value: BigNumber('9007199254740993') } ])).to.equal('9007199254843493')
+      expect(BitcoinUtil.sumOutputValues([])).to.equal('0')
+    })
+  })
+
+  describe('verifyMessage', () => {
+    const signature = '1ff8052fbef1ea03ccf9192c1e4b9dcdecb2c4a3a7db213176fe9301badf8416ce1bf0e790d60d9769659d5ef73f89adfd5714f0569c1fc9c78090a84ea1bb4a0f'
+
+    it('should verify signatures of every address type of the key', () => {
+      for (const address of [ '1C6Rc3w25VHud3dLDamutaqfKWqhrLRTaD', '35LM1A29K95ADiQ8rJ9uEfVZCKffZE4D9i', 'bc1q0xcqpzrky6eff2g52qdye53xkk9jxkvrh6yhyw' ]) {
+        expect(BitcoinUtil.verifyMessage('swap offer', signature, address, BitcoinNetworks.bitcoin)).to.equal(true)
+      }
+    })
+
+    it('should reject other messages, addresses and malformed signatures', () => {
+      expect(BitcoinUtil.verifyMessage('swap offer!', signature, 'bc1q0xcqpzrky6eff2g52qdye53xkk9jxkvrh6yhyw', BitcoinNetworks.bitcoin)).to.equal(false)
+      expect(BitcoinUtil.verifyMessage('swap offer', signature, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', BitcoinNetworks.bitcoin)).to.equal(false)
+      expect(BitcoinUtil.verifyMessage('swap offer', 'abcd', 'bc1q0xcqpzrky6eff2g52qdye53xkk9jxkvrh6yhyw', BitcoinNetworks.bitcoin)).to.equal(false)
+      expect(BitcoinUtil.verifyMessage('swap offer', signature, 'not an address', BitcoinNetworks.bitcoin)).to.equal(false)
+      expect(BitcoinUtil.verifyMessage('swap offer', { r: signature.slice(2, 66), s: signature.slice(66) }, 'bc1q0xcqpzrky6eff2g52qdye53xkk9jxkvrh6yhyw', BitcoinNetworks.bitcoin)).to.equal(false)
+    })
+
+    it('should verify signatures of Ledger, which have no header', () => {
+      for (const address of [ 'bc1q0xcqpzrky6eff2g52qdye53xkk9jxkvrh6yhyw', '35LM1A29K95ADiQ8rJ9uEfVZCKffZE4D9i', '1C6Rc3w25VHud3dLDamutaqfKWqhrLRTaD' ]) {
+        expect(BitcoinUtil.verifyMessage('swap offer', signature.slice(2), address, BitcoinNetworks.bitcoin)).to.equal(true)
+      }
+
+      expect(BitcoinUtil.verifyMessage('swap offer!', signature.slice(2), 'bc1q0xcqpzrky6eff2g52qdye53xkk9jxkvrh6yhyw', BitcoinNetworks.bitcoin)).to.equal(false)
+      expect(BitcoinUtil.verifyMessage('swap offer', signature.slice(2), '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', BitcoinNetworks.bitcoin)).to.equal(false)
+    })
+  })
+
   describe('txHashToObject', () => {
     it('p2pkh', () => {
       const hash = '020000000001011182e546883117f452e149d6c41860b44aee08d78301f2c4b5c2c6ad101b7d8d0100000000feffffff02d09d0000000000001600140384470c5c402867c6e40119231e7a732ac3b4d5a8ac0000000000001600146a2418bf6c2793de2e9bd1c9d6678da8a7b040c002473044022041f7089160898e4e2cec53750d2de21246dd8266d9fd7668cfdf4533ae5768f9022037182f3e079ab520d870d83e6641d88bad7b4e2e52d4d5f67a80583c4300b55c012102ab26c5b6f37b9a6c7067bbc1d73ba83e2bb00e37154ded1792b9585c51383b1314000000'
@@ -1,7 +1,8 @@
-import { AddressTypes, selectCoins, normalizeTransactionObject, decodeRawTransaction } from '@liquality/bitcoin-utils'
+import { AddressTypes, selectCoins, normalizeTransactionObject, decodeRawTransaction, toSatoshiOutputs, sumOutputValues, AddressValidationProvider } from '@liquality/bitcoin-utils'
 import * as bitcoin from 'bitcoinjs-lib'
-import { Address, addressToString, asyncSetImmediate } from '@liquality/utils'
-import { BigNumber } from 'bignumber.js'
+import { Address, addressToString, asyncSetImmediate, throwIfAborted } from '@liquality/utils'
+import { btcToSatoshi } from '@liquality/units'
+import { AddressNotInWalletError, FeeTooLowError, InsufficientBalanceError } from '@liquality/errors'
 
 const ADDRESS_GAP = 20
 const NONCHANGE_ADDRESS = 0
@@ -14,7 +15,7 @@ const ADDRESS_TYPE_TO_PREFIX = {
   'bech32': 84
 }
 
-export default superclass => class BitcoinWalletProvider extends superclass {
+export default superclass => class BitcoinWalletProvider extends AddressValidationProvider(superclass) {
   constructor (network, addressType = 'bech32', superArgs = []) {
     if (!AddressTypes.includes(addressType)) {
       throw new Error(`addressType must be one of ${AddressTypes.join(',')}`)
@@ -30,16 +31,24 @@ export default superclass => class BitcoinWalletProvider extends superclass {
     this._addressesCache = {}
   }
 
+  async setNetwork (network) {
+    await super.setNetwork(network)
+
+    this._baseDerivationPath = `${ADDRESS_TYPE_TO_PREFIX[this._addressType]}'/${network.coinType}'/0'`
+    this._network = network
+    this._addressesCache = {}
+  }
+
   async buildTransaction (to, value, data, feePerByte) {
-    return this._buildTransaction([{ to, value }], feePerByte)
+    return this._buildTransaction(toSatoshiOutputs([{ to, value }]), feePerByte)
   }
 
   async buildBatchTransaction (transactions) {
-    return this._buildTransaction(transactions)
+    return this._buildTransaction(toSatoshiOutputs(transactions))
   }
 
   async _sendTransaction (transactions, feePerByte) {
-    const { hex, fee } = await this._buildTransaction(transactions, feePerByte)
+    const { hex, fee } = await this._buildTransaction(toSatoshiOutputs(transactions), feePerByte)
     await this.getMethod('sendRawTransaction')(hex)
     return normalizeTransactionObject(decodeRawTransaction(hex), fee)
   }
@@ -61,6 +70,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
     let changeOutput
     let index = 0
     while (index < 1000 && !changeOutput) {
+      throwIfAborted(this.signal)
       const changeAddresses = (await this.getAddresses(index, addressesPerCall, true)).map(a => a.address)
       changeOutput = transaction.vout.find(vout => changeAddresses.includes(vout.scriptPubKey.addresses[0]))
       index += addressesPerCall
@@ -73,7 +83,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
 
     // TODO more checks?
     const transactions = outputs.map(output =>
-      ({ to: output.scriptPubKey.addresses[0], value: BigNumber(output.value).times(1e8).toNumber() })
+      ({ to: output.scriptPubKey.addresses[0], value: btcToSatoshi(output.value).toNumber() })
     )
     const { hex, fee } = await this._buildTransaction(transactions, newFeePerByte, fixedInputs)
     await this.getMethod('sendRawTransaction')(hex)
@@ -90,6 +100,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
     const addressesPerCall = 50
 
     while (index < maxAddresses) {
+      throwIfAborted(this.signal)
       const addrs = await this.getAddresses(index, addressesPerCall, change)
       const addr = addrs.find(addr => addr.equals(address))
       if (addr) return addr
@@ -101,7 +112,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
       }
     }
 
-    throw new Error('Wallet does not contain address')
+    throw new AddressNotInWalletError('Wallet does not contain address', { address: addressToString(address) })
   }
 
   getAddressFromPublicKey (publicKey) {
@@ -182,6 +193,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
       (addressType === CHANGE_ADDRESS && addressCountMap.change < ADDRESS_GAP)
     ) {
       /* eslint-enable no-unmodified-loop-condition */
+      throwIfAborted(this.signal)
       addrList = []
 
       if ((addressType === NONCHANGE_OR_CHANGE_ADDRESS || addressType === CHANGE_ADDRESS) &&
@@ -262,6 +274,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
     let feePerByte = _feePerByte || false
 
     while (addressCountMap.change < ADDRESS_GAP || addressCountMap.nonChange < ADDRESS_GAP) {
+      throwIfAborted(this.signal)
       let addrList = []
 
       if (addressCountMap.change < ADDRESS_GAP) {
@@ -283,7 +296,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
         const addr = addrList.find(a => a.equals(utxo.address))
         return {
           ...utxo,
-          value: BigNumber(utxo.amount).times(1e8).toNumber(),
+          value: btcToSatoshi(utxo.amount).toNumber(),
           derivationPath: addr.derivationPath
         }
       })
@@ -293,13 +306,13 @@ export default superclass => class BitcoinWalletProvider extends superclass {
       if (feePerByte === false) feePerByte = await feePerBytePromise
       const minRelayFee = await this.getMethod('getMinRelayFee')()
       if (feePerByte < minRelayFee) {
-        throw new Error(`Fee supplied (${feePerByte} sat/b) too low. Minimum relay fee is ${minRelayFee} sat/b`)
+        throw new FeeTooLowError(`Fee supplied (${feePerByte} sat/b) too low. Minimum relay fee is ${minRelayFee} sat/b`, { feePerByte, minRelayFee })
       }
 
       if (fixedInputs.length) {
         for (const input of fixedInputs) {
           const tx = await this.getMethod('getTransactionByHash')(input.txid)
-          input.value = BigNumber(tx._raw.vout[input.vout].value).times(1e8).toNumber()
+          input.value = btcToSatoshi(tx._raw.vout[input.vout].value).toNumber()
           input.address = tx._raw.vout[input.vout].scriptPubKey.addresses[0]
           const walletAddress = await this.getWalletAddress(input.address)
           input.derivationPath = walletAddress.derivationPath
@@ -339,6 +352,7 @@ export default superclass => class BitcoinWalletProvider extends superclass {
       addressIndex += numAddressPerCall
     }
 
-    throw new Error('Not enough balance')
+    const amount = sumOutputValues(_targets)
+    throw new InsufficientBalanceError('Not enough balance', { amount })
   }
 }
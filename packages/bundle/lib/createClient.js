@@ -0,0 +1,178 @@
+import { isObject, isString } from 'lodash'
+
+import Client from '@liquality/client'
+import BitcoinNetworks from '@liquality/bitcoin-networks'
+import EthereumNetworks from '@liquality/ethereum-networks'
+
+import { bitcoin, ethereum } from './providers'
+
+const DEFAULT_NETWORKS = {
+  bitcoin: 'bitcoin',
+  ethereum: 'mainnet'
+}
+
+function assertConfig (condition, message) {
+  if (!condition) throw new TypeError(`Invalid client config: ${message}`)
+}
+
+function assertType (name, section, types) {
+  assertConfig(isObject(section), `"${name}" should be an object`)
+  assertConfig(types.includes(section.type), `"${name}.type" should be one of ${types.join(', ')}`)
+}
+
+function getNetwork (networks, network) {
+  if (isObject(network)) return network
+
+  assertConfig(isString(network) && isObject(networks[network]), `unknown network "${network}"`)
+  return networks[network]
+}
+
+function createBitcoinProviders (config) {
+  const { backend, wallet, swap = {}, fees = { type: 'rpc' } } = config
+  const network = getNetwork(BitcoinNetworks, config.network || DEFAULT_NETWORKS.bitcoin)
+  const providers = []
+
+  assertType('backend', backend, [ 'rpc', 'esplora' ])
+  if (backend.type === 'rpc') {
+    assertConfig(isString(backend.uri), '"backend.uri" is required')
+    providers.push(new bitcoin.BitcoinRpcProvider(
+      backend.uri, backend.username, backend.password,
+      backend.numberOfBlockConfirmation, backend.defaultFeePerByte, backend.options
+    ))
+  } else {
+    assertConfig(isString(backend.url), '"backend.url" is required')
+    providers.push(new bitcoin.BitcoinEsploraApiProvider(
+      backend.url, network,
+      backend.numberOfBlockConfirmation, backend.defaultFeePerByte, backend.options
+    ))
+  }
+
+  if (fees) {
+    assertType('fees', fees, [ 'rpc', 'earn' ])
+    providers.push(fees.type === 'rpc'
+      ? new bitcoin.BitcoinRpcFeeProvider(fees.slowTargetBlocks, fees.averageTargetBlocks, fees.fastTargetBlocks)
+      : new bitcoin.BitcoinEarnFeeProvider(fees.endpoint, fees.options))
+  }
+
+  if (wallet) {
+    assertType('wallet', wallet, [ 'js', 'node', 'ledger' ])
+    if (wallet.type === 'js') {
+      assertConfig(isString(wallet.mnemonic), '"wallet.mnemonic" is required')
+      providers.push(new bitcoin.BitcoinJsWalletProvider(network, wallet.mnemonic, wallet.addressType))
+    } else if (wallet.type === 'node') {
+      const { uri = backend.uri, username = backend.username, password = backend.password } = wallet
+      assertConfig(isString(uri), '"wallet.uri" is required')
+      providers.push(new bitcoin.BitcoinNodeWalletProvider(network, uri, username, password, wallet.addressType))
+    } else {
+      providers.push(new bitcoin.BitcoinLedgerProvider(network, wallet.addressType))
+    }
+  }
+
+  if (swap) {
+    assertConfig(isObject(swap), '"swap" should be an object')
+    providers.push(new bitcoin.BitcoinSwapProvider(network, swap.mode))
+
+    if (swap.find) {
+      assertType('swap.find', swap.find, [ 'esplora' ])
+      assertConfig(isString(swap.find.url), '"swap.find.url" is required')
+      providers.push(new bitcoin.BitcoinEsploraSwapFindProvider(swap.find.url, swap.find.options))
+    }
+  }
+
+  return providers
+}
+
+function createEthereumProviders (config) {
+  const { backend, wallet, token, swap = {}, fees = { type: 'rpc' } } = config
+  const network = getNetwork(EthereumNetworks, config.network || DEFAULT_NETWORKS.ethereum)
+  const providers = []
+
+  assertType('backend', backend, [ 'rpc' ])
+  assertConfig(isString(backend.uri), '"backend.uri" is required')
+  providers.push(new ethereum.EthereumRpcProvider(backend.uri, backend.username, backend.password, backend.options))
+
+  if (fees) {
+    assertType('fees', fees, [ 'rpc', 'gasStation' ])
+    providers.push(fees.type === 'rpc'
+      ? new ethereum.EthereumRpcFeeProvider(fees.slowMultiplier, fees.averageMultiplier, fees.fastMultiplier)
+      : new ethereum.EthereumGasStationFeeProvider(fees.endpoint, fees.options))
+  }
+
+  if (wallet) {
+    assertType('wallet', wallet, [ 'js', 'ledger', 'metamask' ])
+    if (wallet.type === 'js') {
+      assertConfig(isString(wallet.mnemonic), '"wallet.mnemonic" is required')
+      providers.push(new ethereum.EthereumJsWalletProvider(network, wallet.mnemonic, wallet.hardfork))
+    } else if (wallet.type === 'metamask') {
+      assertConfig(isObject(wallet.provider), '"wallet.provider" is required')
+      providers.push(new ethereum.EthereumMetaMaskProvider(wallet.provider, network))
+    } else {
+      providers.push(new ethereum.EthereumLedgerProvider(network))
+    }
+  }
+
+  if (token) {
+    assertConfig(isObject(token) && isString(token.contractAddress), '"token.contractAddress" is required')
+    providers.push(new ethereum.EthereumErc20Provider(token.contractAddress))
+  }
+
+  if (swap) {
+    assertConfig(isObject(swap), '"swap" should be an object')
+    providers.push(token ? new ethereum.EthereumErc20SwapProvider() : new ethereum.EthereumSwapProvider())
+
+    if (swap.find) {
+      assertType('swap.find', swap.find, token ? [ 'scraper' ] : [ 'scraper', 'blockscout' ])
+      assertConfig(isString(swap.find.url), '"swap.find.url" is required')
+
+      const SwapFindProvider = token
+        ? ethereum.EthereumErc20ScraperSwapFindProvider
+        : swap.find.type === 'scraper'
+          ? ethereum.EthereumScraperSwapFindProvider
+          : ethereum.EthereumBlockscoutSwapFindProvider
+      providers.push(new SwapFindProvider(swap.find.url, swap.find.options))
+    }
+  }
+
+  return providers
+}
+
+const CHAINS = {
+  bitcoin: createBitcoinProviders,
+  ethereum: createEthereumProviders
+}
+
+/**
+ * Create a client with the provider stack described by a configuration.
+ * Providers are added in stack order: backend, fees, wallet, token, swap and
+ * swap find.
+ * @param {!object} config
+ * @param {!string} config.chain - `bitcoin` or `ethereum`. Litecoin has no
+ *  backend or swap provider yet and is not supported.
+ * @param {string|object} [config.network] - Network name or object. Defaults
+ *  to the mainnet of the chain.
+ * @param {!object} config.backend - Node or API serving chain data:
+ *  `{ type: 'rpc', uri, username, password }` or, for bitcoin,
+ *  `{ type: 'esplora', url }`
+ * @param {object} [config.wallet] - `{ type: 'js', mnemonic }`, `{ type: 'ledger' }`,
+ *  bitcoin `{ type: 'node' }` using the backend credentials by default, or
+ *  ethereum `{ type: 'metamask', provider }`. Omit it for a read-only client.
+ * @param {object} [config.token] - ERC20 token `{ contractAddress }` (ethereum)
+ * @param {object|boolean} [config.swap={}] - Swap options: bitcoin `mode`
+ *  (defaults to `p2wsh`) and `find` `{ type, url }` to look up swap
+ *  transactions with an explorer API. `false` leaves out the swap providers.
+ * @param {object|boolean} [config.fees={ type: 'rpc' }] - Fee provider:
+ *  `rpc`, bitcoin `earn` or ethereum `gasStation`. `false` leaves it out.
+ * @return {Client}
+ * @throws {TypeError} When the configuration is invalid
+ */
+export default function createClient (config) {
+  assertConfig(isObject(config), 'config should be an object')
+
+  const createProviders = CHAINS[config.chain]
+  assertConfig(createProviders, `"chain" should be one of ${Object.keys(CHAINS).join(', ')}`)
+
+  const client = new Client()
+  createProviders(config).forEach(provider => client.addProvider(provider))
+
+  return client
+}
@@ -2,14 +2,17 @@ import Client from '@liquality/client'
 import Provider from '@liquality/provider'
 import JsonRpcProvider from '@liquality/jsonrpc-provider'
 import LedgerProvider from '@liquality/ledger-provider'
+import CachingProvider from '@liquality/caching-provider'
 import Debug from '@liquality/debug'
 
 import * as crypto from '@liquality/crypto'
 import * as schema from '@liquality/schema'
 import * as errors from '@liquality/errors'
 import * as utils from '@liquality/utils'
+import * as units from '@liquality/units'
 
 import * as providers from './providers'
+import createClient from './createClient'
 
 import { version } from '../package.json'
 
@@ -18,14 +21,17 @@ export {
   Provider,
   JsonRpcProvider,
   LedgerProvider,
+  CachingProvider,
   Debug,
 
   crypto,
   schema,
   errors,
   utils,
+  units,
 
   providers,
+  createClient,
 
   version
 }
@@ -0,0 +1,173 @@
+/* eslint-env mocha */
+
+import './ledgerTransport'
+
+import { expect } from 'chai'
+
+import BitcoinNetworks from '@liquality/bitcoin-networks'
+import EthereumNetworks from '@liquality/ethereum-networks'
+
+import createClient from '../../lib/createClient'
+import { bitcoin, ethereum } from '../../lib/providers'
+
+const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+function expectStack (client, classes) {
+  expect(client._providers).to.have.lengthOf(classes.length)
+  classes.forEach((Class, i) => expect(client._providers[i]).to.be.instanceOf(Class))
+}
+
+describe('createClient', () => {
+  describe('bitcoin', () => {
+    it('should create an rpc backend with fees, wallet and swap providers', () => {
+      const client = createClient({
+        chain: 'bitcoin',
+        backend: { type: 'rpc', uri: 'http://localhost:18443', username: 'bitcoin', password: 'local321' },
+        wallet: { type: 'js', mnemonic }
+      })
+
+      expectStack(client, [
+        bitcoin.BitcoinRpcProvider,
+        bitcoin.BitcoinRpcFeeProvider,
+        bitcoin.BitcoinJsWalletProvider,
+        bitcoin.BitcoinSwapProvider
+      ])
+    })
+
+    it('should create an esplora backend with earn fees, ledger wallet and swap find providers', () => {
+      const client = createClient({
+        chain: 'bitcoin',
+        network: 'bitcoin_testnet',
+        backend: { type: 'esplora', url: 'https://blockstream.info/testnet/api' },
+        wallet: { type: 'ledger' },
+        swap: { find: { type: 'esplora', url: 'https://blockstream.info/testnet/api' } },
+        fees: { type: 'earn' }
+      })
+
+      expectStack(client, [
+        bitcoin.BitcoinEsploraApiProvider,
+        bitcoin.BitcoinEarnFeeProvider,
+        bitcoin.BitcoinLedgerProvider,
+        bitcoin.BitcoinSwapProvider,
+        bitcoin.BitcoinEsploraSwapFindProvider
+      ])
+      expect(client._providers[0]._network).to.equal(BitcoinNetworks.bitcoin_testnet)
+    })
+
+    it('should create a node wallet with the credentials of the backend', () => {
+      const client = createClient({
+        chain: 'bitcoin',
+        network: BitcoinNetworks.bitcoin_regtest,
+        backend: { type: 'rpc', uri: 'http://localhost:18443', username: 'bitcoin', password: 'local321' },
+        wallet: { type: 'node' },
+        swap: false,
+        fees: false
+      })
+
+      expectStack(client, [ bitcoin.BitcoinRpcProvider, bitcoin.BitcoinNodeWalletProvider ])
+      expect(client._providers[1]._network).to.equal(BitcoinNetworks.bitcoin_regtest)
+    })
+
+    it('should create a read-only client', () => {
+      const client = createClient({
+        chain: 'bitcoin',
+        backend: { type: 'rpc', uri: 'http://localhost:18443' },
+        swap: false,
+        fees: false
+      })
+
+      expectStack(client, [ bitcoin.BitcoinRpcProvider ])
+    })
+  })
+
+  describe('ethereum', () => {
+    it('should create an rpc backend with fees, wallet and swap providers', () => {
+      const client = createClient({
+        chain: 'ethereum',
+        network: 'local',
+        backend: { type: 'rpc', uri: 'http://localhost:8545' },
+        wallet: { type: 'js', mnemonic }
+      })
+
+      expectStack(client, [
+        ethereum.EthereumRpcProvider,
+        ethereum.EthereumRpcFeeProvider,
+        ethereum.EthereumJsWalletProvider,
+        ethereum.EthereumSwapProvider
+      ])
+      expect(client._providers[2]._network).to.equal(EthereumNetworks.local)
+    })
+
+    it('should create a metamask wallet with a blockscout swap find provider', () => {
+      const client = createClient({
+        chain: 'ethereum',
+        backend: { type: 'rpc', uri: 'http://localhost:8545' },
+        wallet: { type: 'metamask', provider: { sendAsync () {} } },
+        swap: { find: { type: 'blockscout', url: 'https://blockscout.com/eth/mainnet/api' } }
+      })
+
+      expectStack(client, [
+        ethereum.EthereumRpcProvider,
+        ethereum.EthereumRpcFeeProvider,
+        ethereum.EthereumMetaMaskProvider,
+        ethereum.EthereumSwapProvider,
+        ethereum.EthereumBlockscoutSwapFindProvider
+      ])
+    })
+
+    it('should create ERC20 token providers', () => {
+      const client = createClient({
+        chain: 'ethereum',
+        backend: { type: 'rpc', uri: 'http://localhost:8545' },
+        wallet: { type: 'ledger' },
+        token: { contractAddress: '0x6b175474e89094c44da98b954eedeac495271d0f' },
+        swap: { find: { type: 'scraper', url: 'http://localhost:3000' } },
+        fees: { type: 'gasStation' }
+      })
+
+      expectStack(client, [
+        ethereum.EthereumRpcProvider,
+        ethereum.EthereumGasStationFeeProvider,
+        ethereum.EthereumLedgerProvider,
+        ethereum.EthereumErc20Provider,
+        ethereum.EthereumErc20SwapProvider,
+        ethereum.EthereumErc20ScraperSwapFindProvider
+      ])
+    })
+  })
+
+  describe('errors', () => {
+    it('should throw TypeError for an unknown chain', () => {
+      expect(() => createClient()).to.throw(TypeError, 'config should be an object')
+      expect(() => createClient({ chain: 'litecoin', backend: { type: 'rpc', uri: 'http://localhost:9332' } }))
+        .to.throw(TypeError, '"chain" should be one of bitcoin, ethereum')
+    })
+
+    it('should throw TypeError for an unknown network', () => {
+      expect(() => createClient({ chain: 'bitcoin', network: 'litecoin', backend: { type: 'rpc', uri: 'http://localhost:18443' } }))
+        .to.throw(TypeError, 'unknown network "litecoin"')
+    })
+
+    it('should throw TypeError for unknown option types', () => {
+      const backend = { type: 'rpc', uri: 'http://localhost:8545' }
+
+      expect(() => createClient({ chain: 'ethereum', backend: { type: 'esplora', url: 'http://localhost:3000' } }))
+        .to.throw(TypeError, '"backend.type" should be one of rpc')
+      expect(() => createClient({ chain: 'ethereum', backend, wallet: { type: 'node' } }))
+        .to.throw(TypeError, '"wallet.type" should be one of js, ledger, metamask')
+      expect(() => createClient({ chain: 'ethereum', backend, fees: { type: 'earn' } }))
+        .to.throw(TypeError, '"fees.type" should be one of rpc, gasStation')
+      expect(() => createClient({ chain: 'ethereum', backend, token: { contractAddress: '0x6b175474e89094c44da98b954eedeac495271d0f' }, swap: { find: { type: 'blockscout', url: 'http://localhost:3000' } } }))
+        .to.throw(TypeError, '"swap.find.type" should be one of scraper')
+    })
+
+    it('should throw TypeError for missing options', () => {
+      expect(() => createClient({ chain: 'bitcoin' })).to.throw(TypeError, '"backend" should be an object')
+      expect(() => createClient({ chain: 'bitcoin', backend: { type: 'esplora' } })).to.throw(TypeError, '"backend.url" is required')
+      expect(() => createClient({ chain: 'bitcoin', backend: { type: 'esplora', url: 'http://localhost:3000' }, wallet: { type: 'node' } }))
+        .to.throw(TypeError, '"wallet.uri" is required')
+      expect(() => createClient({ chain: 'ethereum', backend: { type: 'rpc', uri: 'http://localhost:8545' }, wallet: { type: 'js' } }))
+        .to.throw(TypeError, '"wallet.mnemonic" is required')
+    })
+  })
+})
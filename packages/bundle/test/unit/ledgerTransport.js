@@ -0,0 +1,26 @@
+/* eslint-env mocha */
+
+// The Ledger HID transport loads the native usb and node-hid modules, which
+// are not built everywhere. The tests only construct the Ledger providers, so
+// the transport is replaced before the providers are imported.
+
+const Module = require('module')
+const path = require('path')
+
+const resolveFrom = (request, from) => require.resolve(request, { paths: [ path.dirname(from) ] })
+
+const ledgerProvider = resolveFrom('@liquality/ledger-provider', resolveFrom('@liquality/bitcoin-ledger-provider', __filename))
+const transportPath = resolveFrom('@ledgerhq/hw-transport-node-hid', ledgerProvider)
+
+class TransportStub {
+  static async isSupported () {
+    return false
+  }
+}
+
+const transport = new Module(transportPath)
+transport.filename = transportPath
+transport.loaded = true
+transport.exports = { __esModule: true, default: TransportStub }
+
+require.cache[transportPath] = transport
@@ -0,0 +1,5 @@
+export default class FileStorage {
+  constructor () {
+    throw new Error('FileStorage is only available in Node, use BrowserStorage')
+  }
+}
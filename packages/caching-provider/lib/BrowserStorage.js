@@ -0,0 +1,43 @@
+const DEFAULT_PREFIX = 'liquality:cal:cache:'
+
+export default class BrowserStorage {
+  /**
+   * Storage adapter backed by a Web Storage object such as `localStorage`.
+   * @param {Storage} [storage=window.localStorage] - Web Storage instance
+   * @param {string} [prefix] - Prefix of the keys written to the storage
+   */
+  constructor (storage = global.window && global.window.localStorage, prefix = DEFAULT_PREFIX) {
+    if (!storage) {
+      throw new Error('Web Storage is not available')
+    }
+
+    this._storage = storage
+    this._prefix = prefix
+  }
+
+  async get (key) {
+    const value = this._storage.getItem(this._prefix + key)
+    return value === null ? undefined : value
+  }
+
+  async set (key, value) {
+    this._storage.setItem(this._prefix + key, value)
+  }
+
+  async remove (key) {
+    this._storage.removeItem(this._prefix + key)
+  }
+
+  async keys () {
+    const keys = []
+
+    for (let i = 0; i < this._storage.length; i++) {
+      const key = this._storage.key(i)
+      if (key.startsWith(this._prefix)) {
+        keys.push(key.substring(this._prefix.length))
+      }
+    }
+
+    return keys
+  }
+}
@@ -0,0 +1,193 @@
+import Provider from '@liquality/provider'
+import { isArray, isString } from 'lodash'
+
+import MemoryStorage from './MemoryStorage'
+import FileStorage from './FileStorage'
+import BrowserStorage from './BrowserStorage'
+
+import { version } from '../package.json'
+
+const KEY_PREFIX = 'cache:'
+
+export default class CachingProvider extends Provider {
+  /**
+   * CachingProvider stores blocks and transactions that are buried deep
+   * enough to be considered immutable, and serves them without hitting the
+   * providers below it in the stack.
+   * @param {object} [storage=MemoryStorage] - Storage adapter implementing
+   *  async `get`, `set`, `remove` and `keys`. Entries of the provider are
+   *  prefixed with `cache:`, other keys of the storage are left alone.
+   * @param {number} [minConfirmations=6] - Confirmations required before a
+   *  block or transaction is cached
+   * @param {number} [maxEntries=1000] - Maximum number of cached entries. The
+   *  least recently used entries are evicted first.
+   */
+  constructor (storage = new MemoryStorage(), minConfirmations = 6, maxEntries = 1000) {
+    super()
+    this._storage = storage
+    this._minConfirmations = minConfirmations
+    this._maxEntries = maxEntries
+    this._index = null
+  }
+
+  async getBlockByHash (blockHash, includeTx = false) {
+    return this._cachedBlock('getBlockByHash', [ blockHash, includeTx ])
+  }
+
+  async getBlockByNumber (blockNumber, includeTx = false) {
+    return this._cachedBlock('getBlockByNumber', [ blockNumber, includeTx ])
+  }
+
+  async getTransactionByHash (transactionHash) {
+    return this._cachedTransaction('getTransactionByHash', [ transactionHash ])
+  }
+
+  async getRawTransactionByHash (transactionHash, decode = false, addFees = false) {
+    if (!decode) return this._cachedHex('getRawTransactionByHash', [ transactionHash ])
+
+    return this._cachedTransaction('getRawTransactionByHash', [ transactionHash, decode, addFees ])
+  }
+
+  async getTransactionHex (transactionHash) {
+    return this._cachedHex('getTransactionHex', [ transactionHash ])
+  }
+
+  /**
+   * Entries of the previous network are removed.
+   */
+  async setNetwork (network) {
+    await this.clearCache()
+  }
+
+  /**
+   * Remove all entries written by this provider from the storage.
+   */
+  async clearCache () {
+    const index = await this._getIndex()
+
+    await Promise.all([ ...index.keys() ].map(key => this._storage.remove(key)))
+    index.clear()
+  }
+
+  async _cachedBlock (method, args) {
+    const key = this._cacheKey(method, args)
+    const cached = await this._read(key)
+    if (cached) {
+      const currentHeight = await this.getMethod('getBlockHeight')()
+      return this._refreshConfirmations(cached, currentHeight)
+    }
+
+    const block = await this.getMethod(method)(...args)
+    if (!block) return block
+
+    const currentHeight = await this.getMethod('getBlockHeight')()
+    if (currentHeight - Number(block.number) + 1 >= this._minConfirmations) {
+      await this._write(key, block)
+    }
+
+    return block
+  }
+
+  async _cachedTransaction (method, args) {
+    const key = this._cacheKey(method, args)
+    const cached = await this._read(key)
+    if (cached) {
+      const currentHeight = await this.getMethod('getBlockHeight')()
+      return this._refreshConfirmations(cached, currentHeight)
+    }
+
+    const tx = await this.getMethod(method)(...args)
+    if (tx && tx.confirmations >= this._minConfirmations) {
+      await this._write(key, tx)
+    }
+
+    return tx
+  }
+
+  async _cachedHex (method, args) {
+    const key = this._cacheKey(method, args)
+    const cached = await this._read(key)
+    if (cached) return cached
+
+    // The serialized transaction is identified by its hash and never changes
+    const hex = await this.getMethod(method)(...args)
+    if (isString(hex)) {
+      await this._write(key, hex)
+    }
+
+    return hex
+  }
+
+  _refreshConfirmations (data, currentHeight) {
+    const number = 'blockNumber' in data ? data.blockNumber : data.number
+
+    if ('confirmations' in data && number !== undefined) {
+      data.confirmations = currentHeight - Number(number) + 1
+    }
+
+    if (isArray(data.transactions)) {
+      data.transactions.forEach(tx => {
+        if (tx && typeof tx === 'object') this._refreshConfirmations(tx, currentHeight)
+      })
+    }
+
+    return data
+  }
+
+  _cacheKey (method, args) {
+    return `${KEY_PREFIX}${method}:${args.map(arg => String(arg)).join(':')}`
+  }
+
+  /**
+   * Index of the entries of the provider, in the order they were used. It is
+   * loaded once from the storage and shared by every call.
+   */
+  async _getIndex () {
+    if (!this._index) {
+      this._index = this._storage.keys()
+        .then(keys => new Map(keys.filter(key => key.startsWith(KEY_PREFIX)).map(key => [ key, true ])))
+        .catch(e => {
+          this._index = null
+          throw e
+        })
+    }
+
+    return this._index
+  }
+
+  async _read (key) {
+    const index = await this._getIndex()
+    if (!index.has(key)) return
+
+    const value = await this._storage.get(key)
+    if (value === undefined) {
+      index.delete(key)
+      return
+    }
+
+    // Move the entry to the end of the index to mark it as recently used
+    index.delete(key)
+    index.set(key, true)
+
+    return JSON.parse(value)
+  }
+
+  async _write (key, data) {
+    const index = await this._getIndex()
+
+    index.delete(key)
+    index.set(key, true)
+    await this._storage.set(key, JSON.stringify(data))
+
+    while (index.size > this._maxEntries) {
+      const [ oldestKey ] = index.keys()
+      index.delete(oldestKey)
+      await this._storage.remove(oldestKey)
+    }
+  }
+}
+
+CachingProvider.MemoryStorage = MemoryStorage
+CachingProvider.FileStorage = FileStorage
+CachingProvider.BrowserStorage = BrowserStorage
+CachingProvider.version = version
@@ -0,0 +1,66 @@
+import fs from 'fs'
+import { promisify } from 'util'
+
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+
+export default class FileStorage {
+  /**
+   * Storage adapter persisting entries to a JSON file. Only available in Node.
+   * @param {!string} path - Path of the JSON file holding the entries
+   */
+  constructor (path) {
+    this._path = path
+    this._loading = null
+    this._writing = Promise.resolve()
+  }
+
+  async _load () {
+    if (!this._loading) {
+      this._loading = readFile(this._path, 'utf8')
+        .then(data => JSON.parse(data))
+        .catch(e => {
+          if (e.code !== 'ENOENT') {
+            this._loading = null
+            throw e
+          }
+          return {}
+        })
+    }
+
+    return this._loading
+  }
+
+  /**
+   * Write the entries after the pending write, so that concurrent writes do
+   * not interleave in the file. Entries are loaded once and shared by every
+   * call.
+   */
+  async _save () {
+    const write = this._writing.then(async () => writeFile(this._path, JSON.stringify(await this._load())))
+    this._writing = write.catch(() => {})
+
+    return write
+  }
+
+  async get (key) {
+    const entries = await this._load()
+    return entries[key]
+  }
+
+  async set (key, value) {
+    const entries = await this._load()
+    entries[key] = value
+    await this._save()
+  }
+
+  async remove (key) {
+    const entries = await this._load()
+    delete entries[key]
+    await this._save()
+  }
+
+  async keys () {
+    return Object.keys(await this._load())
+  }
+}
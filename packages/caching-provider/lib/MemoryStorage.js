@@ -0,0 +1,24 @@
+export default class MemoryStorage {
+  /**
+   * Storage adapter keeping entries in memory for the lifetime of the process.
+   */
+  constructor () {
+    this._entries = new Map()
+  }
+
+  async get (key) {
+    return this._entries.get(key)
+  }
+
+  async set (key, value) {
+    this._entries.set(key, value)
+  }
+
+  async remove (key) {
+    this._entries.delete(key)
+  }
+
+  async keys () {
+    return [ ...this._entries.keys() ]
+  }
+}
@@ -0,0 +1,3 @@
+import CachingProvider from './CachingProvider'
+
+export default CachingProvider
@@ -0,0 +1,205 @@
+/* eslint-env mocha */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import chai, { expect } from 'chai'
+import Client from '../../../client/lib'
+import Provider from '../../../provider/lib'
+import CachingProvider from '../../lib'
+
+chai.config.truncateThreshold = 0
+
+const hash = (prefix, n) => prefix + String(n).padStart(64 - prefix.length, '0')
+const TX_HASH = hash('a', 1)
+const RECENT_TX_HASH = hash('a', 2)
+
+class ChainProvider extends Provider {
+  constructor () {
+    super()
+    this.height = 100
+    this.calls = []
+  }
+
+  async getBlockHeight () {
+    return this.height
+  }
+
+  async getBlockByNumber (blockNumber) {
+    this.calls.push(['getBlockByNumber', blockNumber])
+    return {
+      hash: hash('b', blockNumber),
+      number: blockNumber,
+      timestamp: 1577836800 + blockNumber,
+      size: 1000,
+      parentHash: hash('b', blockNumber - 1),
+      nonce: blockNumber,
+      confirmations: this.height - blockNumber + 1
+    }
+  }
+
+  async getTransactionByHash (transactionHash) {
+    this.calls.push(['getTransactionByHash', transactionHash])
+    const blockNumber = transactionHash === RECENT_TX_HASH ? this.height : 90
+    return { hash: transactionHash, value: 1000, blockNumber, confirmations: this.height - blockNumber + 1 }
+  }
+
+  async getTransactionHex (transactionHash) {
+    this.calls.push(['getTransactionHex', transactionHash])
+    return `hex-${transactionHash}`
+  }
+}
+
+describe('Caching provider', () => {
+  let client
+  let chainProvider
+  let cachingProvider
+  let storage
+
+  beforeEach(() => {
+    client = new Client()
+    storage = new CachingProvider.MemoryStorage()
+    chainProvider = new ChainProvider()
+    cachingProvider = new CachingProvider(storage, 6, 3)
+    client.addProvider(chainProvider)
+    client.addProvider(cachingProvider)
+  })
+
+  describe('getBlockByNumber', () => {
+    it('should serve confirmed blocks from the cache', async () => {
+      await client.chain.getBlockByNumber(10)
+      const block = await client.chain.getBlockByNumber(10)
+      expect(block.hash).to.equal(hash('b', 10))
+      expect(block.confirmations).to.equal(91)
+      expect(chainProvider.calls).to.deep.equal([['getBlockByNumber', 10]])
+    })
+
+    it('should not cache blocks with less than the minimum confirmations', async () => {
+      await client.chain.getBlockByNumber(98)
+      await client.chain.getBlockByNumber(98)
+      expect(chainProvider.calls).to.deep.equal([['getBlockByNumber', 98], ['getBlockByNumber', 98]])
+    })
+
+    it('should refresh confirmations of cached blocks', async () => {
+      await client.chain.getBlockByNumber(10)
+      chainProvider.height = 110
+      const block = await client.chain.getBlockByNumber(10)
+      expect(block.confirmations).to.equal(101)
+    })
+  })
+
+  describe('getTransactionByHash', () => {
+    it('should serve confirmed transactions from the cache', async () => {
+      await client.chain.getTransactionByHash(TX_HASH)
+      const tx = await client.chain.getTransactionByHash(TX_HASH)
+      expect(tx).to.deep.equal({ hash: TX_HASH, value: 1000, blockNumber: 90, confirmations: 11 })
+      expect(chainProvider.calls).to.deep.equal([['getTransactionByHash', TX_HASH]])
+    })
+
+    it('should not cache unconfirmed transactions', async () => {
+      await client.chain.getTransactionByHash(RECENT_TX_HASH)
+      await client.chain.getTransactionByHash(RECENT_TX_HASH)
+      expect(chainProvider.calls).to.have.lengthOf(2)
+    })
+  })
+
+  describe('getTransactionHex', () => {
+    it('should always cache transaction hex', async () => {
+      await client.getMethod('getTransactionHex')('abc')
+      const hex = await client.getMethod('getTransactionHex')('abc')
+      expect(hex).to.equal('hex-abc')
+      expect(chainProvider.calls).to.deep.equal([['getTransactionHex', 'abc']])
+    })
+  })
+
+  describe('eviction', () => {
+    it('should evict the least recently used entries', async () => {
+      await client.chain.getBlockByNumber(1)
+      await client.chain.getBlockByNumber(2)
+      await client.chain.getBlockByNumber(3)
+      await client.chain.getBlockByNumber(1)
+      await client.chain.getBlockByNumber(4)
+      expect(await storage.keys()).to.have.members([
+        'cache:getBlockByNumber:1:false',
+        'cache:getBlockByNumber:3:false',
+        'cache:getBlockByNumber:4:false'
+      ])
+    })
+
+    it('should clear the cache', async () => {
+      await client.chain.getBlockByNumber(1)
+      await cachingProvider.clearCache()
+      expect(await storage.keys()).to.deep.equal([])
+    })
+
+    it('should index entries written by concurrent first reads', async () => {
+      const keys = storage.keys.bind(storage)
+      let calls = 0
+      storage.keys = async () => {
+        const result = await keys()
+        await new Promise(resolve => setTimeout(resolve, 10 * calls++))
+        return result
+      }
+
+      await Promise.all([ 1, 2, 3, 4 ].map(n => client.chain.getBlockByNumber(n)))
+      expect(await storage.keys()).to.have.lengthOf(3)
+
+      await cachingProvider.clearCache()
+      expect(await storage.keys()).to.deep.equal([])
+    })
+
+    it('should leave other entries of the storage alone', async () => {
+      await storage.set('swap:abc', '{}')
+      await client.chain.getBlockByNumber(1)
+      await client.chain.getBlockByNumber(2)
+      await client.chain.getBlockByNumber(3)
+      await client.chain.getBlockByNumber(4)
+      expect(await storage.keys()).to.include('swap:abc')
+
+      await cachingProvider.clearCache()
+      expect(await storage.keys()).to.deep.equal(['swap:abc'])
+    })
+  })
+
+  describe('FileStorage', () => {
+    it('should persist entries across instances', async () => {
+      const file = path.join(os.tmpdir(), `cal-cache-${Date.now()}.json`)
+      try {
+        await new CachingProvider.FileStorage(file).set('key', '"value"')
+        expect(await new CachingProvider.FileStorage(file).get('key')).to.equal('"value"')
+      } finally {
+        fs.unlinkSync(file)
+      }
+    })
+
+    it('should serialize concurrent writes', async () => {
+      const file = path.join(os.tmpdir(), `cal-cache-${Date.now()}.json`)
+      try {
+        const storage = new CachingProvider.FileStorage(file)
+        const keys = Array.from({ length: 20 }, (_, i) => `key${i}`)
+        await Promise.all(keys.map(key => storage.set(key, key)))
+
+        expect(await new CachingProvider.FileStorage(file).keys()).to.deep.equal(keys)
+      } finally {
+        fs.unlinkSync(file)
+      }
+    })
+  })
+
+  describe('BrowserStorage', () => {
+    it('should only list prefixed keys', async () => {
+      const items = { other: 'x' }
+      const webStorage = {
+        getItem: key => key in items ? items[key] : null,
+        setItem: (key, value) => { items[key] = value },
+        removeItem: key => { delete items[key] },
+        key: i => Object.keys(items)[i],
+        get length () { return Object.keys(items).length }
+      }
+      const browserStorage = new CachingProvider.BrowserStorage(webStorage)
+      await browserStorage.set('key', '1')
+      expect(await browserStorage.keys()).to.deep.equal(['key'])
+      expect(await browserStorage.get('key')).to.equal('1')
+    })
+  })
+})
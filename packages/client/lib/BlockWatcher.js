@@ -0,0 +1,213 @@
+import { EventEmitter } from 'events'
+
+const DEFAULT_OPTIONS = {
+  pollInterval: 10000,
+  maxReorgDepth: 100,
+  subscribe: true
+}
+
+export default class BlockWatcher extends EventEmitter {
+  /**
+   * BlockWatcher follows the tip of the chain and emits:
+   *  - `block` (block) for every new block, in order
+   *  - `reorg` ({ orphaned, from, to }) when tracked blocks leave the chain;
+   *    `orphaned` lists the removed blocks and `from`/`to` their number range
+   *  - `tx-confirmed` (tx) when a transaction added with `watchTransaction`
+   *    reaches its number of confirmations
+   *  - `error` (error) when polling fails, if a listener is registered
+   * @param {!Chain} chain - Chain of the client to watch
+   * @param {object} [options]
+   * @param {number} [options.pollInterval=10000] - Milliseconds between polls
+   * @param {number} [options.maxReorgDepth=100] - Number of recent blocks
+   *  tracked to detect reorgs
+   * @param {boolean} [options.subscribe=true] - Poll as soon as the node
+   *  pushes a new block, when the providers support `newHeads` subscriptions
+   */
+  constructor (chain, options = {}) {
+    super()
+    this._chain = chain
+    this._options = { ...DEFAULT_OPTIONS, ...options }
+    this._blocks = new Map()
+    this._transactions = new Map()
+    this._timer = null
+    this._subscription = null
+    this._polling = false
+    this._pollAgain = false
+    this._running = false
+  }
+
+  get running () {
+    return this._running
+  }
+
+  start () {
+    if (this._running) return this
+    this._running = true
+
+    if (this._options.subscribe) {
+      this._chain.subscribe('newHeads', () => this._poll())
+        .then(subscription => {
+          if (this._running) this._subscription = subscription
+          else subscription.unsubscribe().catch(() => {})
+        })
+        .catch(() => {}) // Polling only
+    }
+
+    this._poll()
+    return this
+  }
+
+  stop () {
+    this._running = false
+    clearTimeout(this._timer)
+    this._timer = null
+
+    if (this._subscription) {
+      this._subscription.unsubscribe().catch(() => {})
+      this._subscription = null
+    }
+
+    this.emit('stop')
+    return this
+  }
+
+  /**
+   * Emit `tx-confirmed` once the transaction has enough confirmations.
+   * @param {!string} txHash - Hash of the transaction
+   * @param {number} [confirmations=1] - Required number of confirmations
+   * @return {BlockWatcher}
+   */
+  watchTransaction (txHash, confirmations = 1) {
+    this._transactions.set(txHash, confirmations)
+    return this
+  }
+
+  unwatchTransaction (txHash) {
+    this._transactions.delete(txHash)
+    return this
+  }
+
+  async _poll () {
+    if (!this._running) return
+    if (this._polling) {
+      this._pollAgain = true
+      return
+    }
+
+    this._polling = true
+    clearTimeout(this._timer)
+
+    try {
+      await this._update()
+      await this._checkTransactions()
+    } catch (e) {
+      if (this.listenerCount('error') > 0) this.emit('error', e)
+    }
+
+    this._polling = false
+
+    if (this._pollAgain) {
+      this._pollAgain = false
+      return this._poll()
+    }
+
+    if (this._running) {
+      this._timer = setTimeout(() => this._poll(), this._options.pollInterval)
+    }
+  }
+
+  async _update () {
+    const height = await this._chain.getBlockHeight()
+    const tip = await this._chain.getBlockByNumber(height)
+
+    const tracked = this._blocks.get(tip.number)
+    if (tracked && tracked.hash === tip.hash && this._lastNumber() === tip.number) return
+
+    // Walk back from the tip until the new blocks connect to a tracked block
+    const blocks = [ tip ]
+    const oldest = this._firstNumber()
+    while (this._blocks.size > 0 && blocks[0].number > oldest) {
+      const parent = this._blocks.get(blocks[0].number - 1)
+      if (parent && parent.hash === blocks[0].parentHash) break
+
+      blocks.unshift(await this._chain.getBlockByNumber(blocks[0].number - 1))
+    }
+
+    const canonical = new Map(blocks.map(block => [ block.number, block.hash ]))
+    const orphaned = [ ...this._blocks.values() ]
+      .filter(block => block.number >= blocks[0].number && canonical.get(block.number) !== block.hash)
+
+    if (orphaned.length > 0) {
+      orphaned.forEach(block => this._blocks.delete(block.number))
+      this.emit('reorg', { orphaned, from: orphaned[0].number, to: orphaned[orphaned.length - 1].number })
+    }
+
+    blocks.filter(block => !this._blocks.has(block.number)).forEach(block => {
+      this._blocks.set(block.number, block)
+      this._prune()
+      this.emit('block', block)
+    })
+  }
+
+  async _checkTransactions () {
+    for (const [ txHash, confirmations ] of this._transactions) {
+      const tx = await this._chain.getTransactionByHash(txHash)
+
+      if (tx && tx.confirmations >= confirmations && this._transactions.has(txHash)) {
+        this._transactions.delete(txHash)
+        this.emit('tx-confirmed', tx)
+      }
+    }
+  }
+
+  _firstNumber () {
+    return this._blocks.keys().next().value
+  }
+
+  _lastNumber () {
+    return [ ...this._blocks.keys() ].pop()
+  }
+
+  _prune () {
+    while (this._blocks.size > this._options.maxReorgDepth) {
+      this._blocks.delete(this._firstNumber())
+    }
+  }
+
+  /**
+   * Iterate over new blocks. Breaking out of the loop stops the watcher.
+   */
+  [Symbol.asyncIterator] () {
+    const queue = []
+    const waiting = []
+
+    const onBlock = block => {
+      if (waiting.length > 0) waiting.shift()({ value: block, done: false })
+      else queue.push(block)
+    }
+    const onStop = () => {
+      this.removeListener('block', onBlock)
+      this.removeListener('stop', onStop)
+      waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }))
+    }
+
+    this.on('block', onBlock)
+    this.on('stop', onStop)
+    this.start()
+
+    return {
+      next: () => {
+        if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false })
+        if (!this._running) return Promise.resolve({ value: undefined, done: true })
+        return new Promise(resolve => waiting.push(resolve))
+      },
+      return: () => {
+        this.stop()
+        return Promise.resolve({ value: undefined, done: true })
+      },
+      [Symbol.asyncIterator] () {
+        return this
+      }
+    }
+  }
+}
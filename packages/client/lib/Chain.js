@@ -1,7 +1,31 @@
-import { isArray, isBoolean, isNumber, isString, isObject } from 'lodash'
+import { get, isArray, isBoolean, isFunction, isNumber, isString, isObject } from 'lodash'
 import { BigNumber } from 'bignumber.js'
 
-import { InvalidProviderResponseError } from '@liquality/errors'
+import {
+  AbortError,
+  InvalidProviderResponseError,
+  NoProviderError,
+  UnimplementedMethodError,
+  TimeoutError,
+  TxReplacedError,
+  TxDroppedError,
+  TxRevertedError,
+  TxNotFoundError
+} from '@liquality/errors'
+import { TransactionStatus } from '@liquality/schema'
+import { sleep } from '@liquality/utils'
+
+import BlockWatcher from './BlockWatcher'
+
+/**
+ * Whether a provider error means the node does not know the transaction.
+ * Untyped JSON-RPC -5 (bitcoind) and HTTP 404 (block explorers) errors are
+ * still accepted from providers that do not throw `TxNotFoundError`.
+ */
+function isTxNotFoundError (error) {
+  if (error instanceof TxNotFoundError) return true
+  return error.code === -5 || get(error, 'response.status') === 404
+}
 
 export default class Chain {
   /**
@@ -152,10 +176,32 @@ export default class Chain {
     return this.client.getMethod('isAddressUsed')(address)
   }
 
+  /**
+   * Validate an address for the network of the client.
+   * @param {!string|Address} address - The address to validate.
+   * @return {Promise<object, InvalidProviderResponseError>} Resolves with
+   *  `{ isValid, address, type, network }`: `address` is the normalized form
+   *  of the address and `type` its kind (p2pkh, p2sh, p2wpkh, p2wsh on
+   *  bitcoin based chains, eip55 or unchecksummed on ethereum). Invalid
+   *  addresses resolve with `isValid` false and a `reason`.
+   *  Rejects with InvalidProviderResponseError if provider's response is invalid.
+   */
+  async validateAddress (address) {
+    const result = await this.client.getMethod('validateAddress')(address)
+
+    if (!isObject(result) || !isBoolean(result.isValid)) {
+      throw new InvalidProviderResponseError('Provider returned an invalid response')
+    }
+
+    return result
+  }
+
   /**
    * Create & sign a transaction.
    * @param {!string} to - Recepient address.
-   * @param {!string} value - Value of transaction.
+   * @param {!BigNumber|string|number} value - Value of transaction in base
+   *  units (e.g. satoshi, wei). Pass a BigNumber or a decimal string for
+   *  amounts above `Number.MAX_SAFE_INTEGER`.
    * @param {!string} data - Data to be passed to the transaction.
    * @param {!string} from - The address from which the message is signed.
    * @return {Promise<string>} Resolves with a signed transaction object.
@@ -176,7 +222,9 @@ export default class Chain {
   /**
    * Create, sign & broadcast a transaction.
    * @param {!string} to - Recepient address.
-   * @param {!string} value - Value of transaction.
+   * @param {!BigNumber|string|number} value - Value of transaction in base
+   *  units (e.g. satoshi, wei). Pass a BigNumber or a decimal string for
+   *  amounts above `Number.MAX_SAFE_INTEGER`.
    * @param {!string} data - Data to be passed to the transaction.
    * @param {!string} [fee] - Fee price in native unit (e.g. sat/b, wei)
    * @return {Promise<Transaction>} Resolves with a signed transaction.
@@ -236,10 +284,190 @@ export default class Chain {
     return txHash
   }
 
+  /**
+   * Subscribe to events pushed by the node, e.g. new blocks.
+   * @param {!string} type - Subscription type supported by the provider, e.g.
+   *  `newHeads`, `logs` or `newPendingTransactions` on Ethereum.
+   * @param {object} [params] - Subscription parameters, e.g. a log filter.
+   * @param {!function} callback - Called with each notification.
+   * @return {Promise<object>} Resolves with a subscription object holding the
+   *  subscription `id` and an `unsubscribe` method.
+   */
+  async subscribe (type, params, callback) {
+    if (isFunction(params)) {
+      callback = params
+      params = undefined
+    }
+
+    if (!isString(type)) {
+      throw new TypeError('Subscription type should be a string')
+    }
+
+    if (!isFunction(callback)) {
+      throw new TypeError('Callback should be a function')
+    }
+
+    return this.client.getMethod('subscribe')(type, params, callback)
+  }
+
+  /**
+   * Get the normalized status of a transaction.
+   * @param {!string|ChainAbstractionLayer.schemas.Transaction} tx - Hash of the
+   *  transaction, or the transaction as last seen. Passing the transaction
+   *  lets providers tell a replaced transaction from a dropped one.
+   * @return {Promise<object, TypeError|InvalidProviderResponseError>}
+   *  Resolves with `{ status, confirmations, transaction }` where `status` is
+   *  one of `pending`, `confirmed`, `failed`, `replaced`, `dropped` or
+   *  `unknown`. Providers may add chain specific details, such as the
+   *  Ethereum `receipt`.
+   *  Rejects with InvalidProviderResponseError if provider's response is invalid.
+   */
+  async getTransactionStatus (tx) {
+    const txHash = isObject(tx) ? tx.hash : tx
+
+    if (!isString(txHash)) {
+      throw new TypeError('Transaction hash should be a string')
+    }
+
+    if (!(/^[A-Fa-f0-9]+$/.test(txHash))) {
+      throw new TypeError('Transaction hash should be a valid hex string')
+    }
+
+    const result = await this.client.getMethod('getTransactionStatus')(tx)
+    if (!result || !Object.values(TransactionStatus).includes(result.status)) {
+      throw new InvalidProviderResponseError('Provider returned an invalid transaction status')
+    }
+
+    if (result.transaction) {
+      result.transaction = { ...result.transaction, status: result.status }
+    }
+
+    return result
+  }
+
+  /**
+   * Wait for a transaction to be confirmed.
+   * @param {!string} txHash - Hash of the transaction.
+   * @param {number} [confirmations=1] - Required number of confirmations.
+   * @param {object} [options]
+   * @param {number} [options.timeout=0] - Milliseconds to wait before giving
+   *  up, 0 to wait forever.
+   * @param {number} [options.pollInterval=5000] - Milliseconds between checks.
+   * @return {Promise<ChainAbstractionLayer.schemas.Transaction, TxReplacedError|TxDroppedError|TxRevertedError|TimeoutError>}
+   *  Resolves with the transaction once it has enough confirmations.
+   *  Rejects with TxReplacedError if another transaction spent its inputs
+   *  or used its nonce, TxDroppedError if it left the mempool unconfirmed,
+   *  TxRevertedError if its execution failed and TimeoutError once
+   *  `timeout` is reached.
+   */
+  async waitForConfirmations (txHash, confirmations = 1, { timeout = 0, pollInterval = 5000 } = {}) {
+    if (!isNumber(confirmations) || confirmations < 1) {
+      throw new TypeError('Confirmations should be a positive number')
+    }
+
+    const deadline = timeout > 0 ? Date.now() + timeout : Infinity
+    let lastSeenTx = null
+
+    while (true) {
+      let tx
+      try {
+        tx = await this.getTransactionByHash(txHash)
+      } catch (e) {
+        if (!isTxNotFoundError(e)) throw e
+      }
+
+      if (tx) {
+        lastSeenTx = tx
+
+        if (tx.confirmations >= confirmations) {
+          if (await this._callOptionalMethod('isTransactionReverted', tx)) {
+            throw new TxRevertedError(`Transaction ${txHash} reverted`, { transaction: tx })
+          }
+
+          return tx
+        }
+      } else if (lastSeenTx) {
+        if (await this._callOptionalMethod('isTransactionReplaced', lastSeenTx)) {
+          throw new TxReplacedError(`Transaction ${txHash} was replaced`, { transaction: lastSeenTx })
+        }
+
+        throw new TxDroppedError(`Transaction ${txHash} was dropped`, { transaction: lastSeenTx })
+      }
+
+      if (Date.now() >= deadline) {
+        throw new TimeoutError(`Transaction ${txHash} not confirmed after ${timeout}ms`, { transaction: lastSeenTx })
+      }
+
+      await sleep(Math.min(pollInterval, deadline - Date.now()), [ this.client.signal, this.client.closeSignal ])
+      if (this.client.closed) throw new AbortError('Client is closed')
+    }
+  }
+
+  /**
+   * Call a method that providers may not implement.
+   * @return {Promise} Resolves with undefined when no provider implements it.
+   */
+  async _callOptionalMethod (method, ...args) {
+    let func
+    try {
+      func = this.client.getMethod(method)
+    } catch (e) {
+      if (e instanceof NoProviderError || e instanceof UnimplementedMethodError) return
+      throw e
+    }
+
+    return func(...args)
+  }
+
+  /**
+   * Watch new blocks, reorgs and transaction confirmations.
+   * @param {function} [callback] - Called with each new block.
+   * @param {object} [options] - Options of the watcher: `pollInterval`,
+   *  `maxReorgDepth` and `subscribe`.
+   * @return {BlockWatcher} Started watcher emitting `block`, `reorg` and
+   *  `tx-confirmed` events. It is also an async iterator of new blocks.
+   *  Call `stop` when done.
+   */
+  watchBlocks (callback, options) {
+    if (isObject(callback) && !isFunction(callback)) {
+      options = callback
+      callback = undefined
+    }
+
+    if (callback !== undefined && !isFunction(callback)) {
+      throw new TypeError('Callback should be a function')
+    }
+
+    const watcher = new BlockWatcher(this, options)
+    if (callback) watcher.on('block', callback)
+
+    // Stopped by `client.close`
+    this.client._watchers.add(watcher)
+    watcher.once('stop', () => this.client._watchers.delete(watcher))
+
+    return watcher.start()
+  }
+
   async getConnectedNetwork () {
     return this.client.getMethod('getConnectedNetwork')()
   }
 
+  /**
+   * Get the time of the chain that timelocks are checked against: the median
+   * time past on Bitcoin, the timestamp of the latest block otherwise.
+   * @return {Promise<number>} Resolves with a unix timestamp in seconds
+   */
+  async getChainTime () {
+    try {
+      return await this.client.getMethod('getChainTime')()
+    } catch (e) {
+      if (!(e instanceof UnimplementedMethodError)) throw e
+    }
+
+    const block = await this.getBlockByNumber(await this.getBlockHeight())
+    return block.timestamp
+  }
+
   async getFees () {
     return this.client.getMethod('getFees')()
   }
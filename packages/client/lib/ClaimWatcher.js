@@ -0,0 +1,229 @@
+import { EventEmitter } from 'events'
+
+import { sha256 } from '@liquality/crypto'
+
+import { STATES, ourLeg, theirLeg } from './SwapManager'
+
+const DEFAULT_OPTIONS = {
+  minMargin: 3600,
+  pollInterval: 10000,
+  mempool: true
+}
+
+/**
+ * States of a swap of the participant waiting for the secret, or holding it
+ * and waiting to claim.
+ */
+const WAITING_STATES = [ STATES.INITIATED, STATES.SECRET_REVEALED ]
+
+export default class ClaimWatcher extends EventEmitter {
+  /**
+   * ClaimWatcher claims the swaps of a participant as soon as the initiator
+   * reveals the secret by claiming our leg. It watches the new blocks of every
+   * chain of the registry and, when the stack supports `newPendingTransactions`
+   * subscriptions, the mempool: a pending transaction to the swap contract of
+   * our leg, found with `getTransactionReceipt`, whose `getSwapSecret` hashes
+   * to the secret hash of the swap reveals its secret. It emits:
+   *  - `secret` (swap) when the secret of a swap is revealed
+   *  - `claimed` (swap) once the claim of the leg of the initiator confirms
+   *  - `unsafe-margin` (swap, margin) once per swap, when less than
+   *    `minMargin` seconds are left to claim the leg of the initiator
+   *  - `error` (error, swap) when checking a swap fails, if a listener is
+   *    registered
+   * @param {!SwapManager} manager - Manager of the swaps to watch
+   * @param {object} [options]
+   * @param {number} [options.minMargin=3600] - Seconds of chain time needed
+   *  to claim the leg of the initiator safely
+   * @param {number} [options.pollInterval=10000] - Milliseconds between block
+   *  polls
+   * @param {boolean} [options.mempool=true] - Look for claims in the mempool
+   */
+  constructor (manager, options = {}) {
+    super()
+    this._manager = manager
+    this._options = { ...DEFAULT_OPTIONS, ...options }
+    this._watchers = []
+    this._subscriptions = []
+    this._alerted = new Set()
+    this._contracts = new Map()
+    this._checking = new Map()
+    this._running = false
+  }
+
+  get running () {
+    return this._running
+  }
+
+  start () {
+    if (this._running) return this
+    this._running = true
+
+    for (const asset of this._manager._registry.assets) {
+      const client = this._manager._registry.get(asset)
+
+      this._watchers.push(client.chain.watchBlocks(() => this._onEvent(this.check(asset)), {
+        pollInterval: this._options.pollInterval
+      }))
+
+      if (this._options.mempool) {
+        client.chain.subscribe('newPendingTransactions', txHash => this._onEvent(this._checkPending(asset, txHash)))
+          .then(subscription => {
+            if (this._running) this._subscriptions.push(subscription)
+            else subscription.unsubscribe().catch(() => {})
+          })
+          .catch(() => {}) // Blocks only
+      }
+    }
+
+    return this
+  }
+
+  stop () {
+    this._running = false
+
+    this._watchers.splice(0).forEach(watcher => watcher.stop())
+    this._subscriptions.splice(0).forEach(subscription => subscription.unsubscribe().catch(() => {}))
+
+    this.emit('stop')
+    return this
+  }
+
+  /**
+   * Check the swaps whose leg funded by us is on the chain of an asset: look
+   * for the claim revealing the secret, then claim the leg of the initiator.
+   * Swaps whose claim of the leg of the initiator waits to confirm on the
+   * chain are checked as well.
+   * @param {string} [asset] - Asset of the chain. Defaults to every asset.
+   * @return {Promise}
+   */
+  async check (asset) {
+    const swaps = await this._getWaitingSwaps(asset)
+
+    for (const swap of swaps) {
+      await this._run(swap.secretHash, () => this._checkSwap(swap.secretHash))
+    }
+  }
+
+  async _checkPending (asset, txHash) {
+    const swaps = (await this._getWaitingSwaps(asset)).filter(swap => swap.state === STATES.INITIATED)
+    if (swaps.length === 0) return
+
+    const client = this._manager.getClient(ourLeg(swaps[0]))
+    const tx = await client.chain.getTransactionByHash(txHash).catch(() => null)
+    if (!tx || !tx._raw || !tx._raw.to) return
+
+    // Only a transaction to the contract of our leg can claim it
+    const contracts = await Promise.all(swaps.map(swap => this._getSwapContract(client, ourLeg(swap))))
+    const swap = swaps.find((swap, i) => contracts[i] === tx._raw.to.toLowerCase())
+    if (!swap) return
+
+    let secret
+    try {
+      secret = await client.swap.getSwapSecret(txHash)
+    } catch (e) {
+      return // Not a claim
+    }
+
+    if (sha256(secret || '') !== swap.secretHash.toLowerCase()) return
+
+    await this._run(swap.secretHash, async () => {
+      // Already revealed by a block check
+      if ((await this._manager.get(swap.secretHash)).state !== STATES.INITIATED) return
+
+      const revealed = await this._manager.revealSecret(swap.secretHash, secret, txHash)
+      this.emit('secret', revealed)
+      return this._claim(revealed)
+    })
+  }
+
+  async _checkSwap (secretHash) {
+    let swap = await this._manager.get(secretHash)
+    if (!WAITING_STATES.includes(swap.state)) return
+
+    if (swap.state === STATES.INITIATED) {
+      swap = await this._manager.advance(swap.secretHash)
+      if (swap.state !== STATES.SECRET_REVEALED) return this._checkMargin(swap)
+
+      this.emit('secret', swap)
+    }
+
+    return this._claim(swap)
+  }
+
+  async _claim (swap) {
+    await this._checkMargin(swap)
+
+    const claimed = await this._manager.advance(swap.secretHash)
+    if (claimed.state === STATES.CLAIMED) this.emit('claimed', claimed)
+  }
+
+  async _checkMargin (swap) {
+    if (swap.state !== STATES.INITIATED && swap.state !== STATES.SECRET_REVEALED) return
+    if (this._alerted.has(swap.secretHash)) return
+
+    const leg = theirLeg(swap)
+    const chainTime = await this._manager.getClient(leg).chain.getChainTime()
+    const margin = leg.expiration - chainTime
+
+    if (margin < this._options.minMargin) {
+      this._alerted.add(swap.secretHash)
+      this.emit('unsafe-margin', swap, margin)
+    }
+  }
+
+  /**
+   * Address of the contract holding a leg, from the receipt of its funding.
+   * @return {Promise<string>} Resolves with the lowercase address, or null
+   *  while it is unknown: the new blocks still reveal the secret
+   */
+  async _getSwapContract (client, leg) {
+    if (this._contracts.has(leg.txHash)) return this._contracts.get(leg.txHash)
+
+    let receipt
+    try {
+      receipt = await client.getMethod('getTransactionReceipt')(leg.txHash)
+    } catch (e) {
+      return null
+    }
+    if (!receipt || !receipt.contractAddress) return null
+
+    const contract = receipt.contractAddress.toLowerCase()
+    this._contracts.set(leg.txHash, contract)
+    return contract
+  }
+
+  async _getWaitingSwaps (asset) {
+    const swaps = await this._manager.list()
+
+    return swaps.filter(swap =>
+      swap.role === 'participant' &&
+      WAITING_STATES.includes(swap.state) &&
+      (!asset || ourLeg(swap).asset === asset || (swap.state === STATES.SECRET_REVEALED && theirLeg(swap).asset === asset))
+    )
+  }
+
+  /**
+   * Run one check of a swap at a time: a claim seen in the mempool and in a
+   * block must not be claimed twice.
+   */
+  async _run (secretHash, func) {
+    const previous = this._checking.get(secretHash) || Promise.resolve()
+    const run = previous.then(async () => {
+      try {
+        await func()
+      } catch (e) {
+        if (this.listenerCount('error') > 0) this.emit('error', e, await this._manager.get(secretHash).catch(() => undefined))
+      }
+    })
+
+    this._checking.set(secretHash, run)
+    await run
+    if (this._checking.get(secretHash) === run) this._checking.delete(secretHash)
+  }
+
+  _onEvent (promise) {
+    promise.catch(e => {
+      if (this.listenerCount('error') > 0) this.emit('error', e)
+    })
+  }
+}
@@ -1,12 +1,16 @@
-import { find, findLast, findLastIndex, isFunction } from 'lodash'
+import { find, findIndex, findLast, findLastIndex, flatMap, isArray, isFunction, isObject, isString, some, has } from 'lodash'
+import { EventEmitter } from 'events'
 import debug from 'debug'
 import Ajv from 'ajv'
 
 import { Block, Transaction } from '@liquality/schema'
+import { throwIfAborted } from '@liquality/utils'
 
 import {
+  AbortError,
   DuplicateProviderError,
   InvalidProviderError,
+  NetworkMismatchError,
   NoProviderError,
   UnimplementedMethodError,
   UnsupportedMethodError,
@@ -16,9 +20,114 @@ import {
 import Chain from './Chain'
 import Wallet from './Wallet'
 import Swap from './Swap'
+import ProviderGroup from './ProviderGroup'
 
 import { version } from '../package.json'
 
+const log = debug('client')
+
+/**
+ * Value of each capability when no provider of the stack declares it.
+ */
+const DEFAULT_CAPABILITIES = {
+  canUpdateFee: true,
+  doesBlockScan: true
+}
+
+/**
+ * Capability methods that were reported as deprecated, by provider class.
+ */
+const deprecatedCapabilityMethods = new WeakMap()
+
+/**
+ * Get the value of a capability declared by a provider: on the instance, on
+ * its class, or by a deprecated capability method such as `canUpdateFee()`.
+ * @param {!Provider} provider - The provider
+ * @param {!string} name - Name of the capability
+ * @return {*} Returns the declared value, or undefined
+ */
+function getDeclaredCapability (provider, name) {
+  if (has(provider.capabilities, name)) return provider.capabilities[name]
+  if (has(provider.constructor.capabilities, name)) return provider.constructor.capabilities[name]
+
+  if (isFunction(provider[name])) {
+    const reported = deprecatedCapabilityMethods.get(provider.constructor) || new Set()
+    if (!reported.has(name)) {
+      log(`${provider.constructor.name}.${name}() is deprecated, declare ${provider.constructor.name}.capabilities = { ${name} } instead`)
+      deprecatedCapabilityMethods.set(provider.constructor, reported.add(name))
+    }
+
+    return provider[name]()
+  }
+}
+
+/**
+ * Provider methods used by the client methods that do not map to a provider
+ * method of the same name, in order of preference.
+ */
+const METHOD_DEPENDENCIES = {
+  generateSecret: [ 'generateSecret', 'signMessage' ],
+  getChainTime: [ 'getChainTime', 'getBlockByNumber' ],
+  waitForConfirmations: [ 'getTransactionByHash' ],
+  watchBlocks: [ 'getBlockByNumber' ]
+}
+
+/**
+ * Create a signal aborted when the client is closed, to wake up pending polls.
+ * @return {object} Returns `{ signal, abort }`
+ */
+function createCloseSignal () {
+  const emitter = new EventEmitter()
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.removeListener(type, listener)
+  }
+
+  const abort = () => {
+    signal.aborted = true
+    emitter.emit('abort')
+  }
+
+  return { signal, abort }
+}
+
+/**
+ * List the public methods of a Chain, Wallet or Swap instance.
+ * @param {!object} namespace - The instance
+ * @return {string[]} Returns the method names
+ */
+function getNamespaceMethods (namespace) {
+  const prototype = Object.getPrototypeOf(namespace)
+
+  return Object.getOwnPropertyNames(prototype).filter(name => {
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, name)
+    return name !== 'constructor' && !name.startsWith('_') && isFunction(descriptor.value)
+  })
+}
+
+/**
+ * Get the providers that make up one level of the provider stack.
+ * @param {!Provider|ProviderGroup} provider - A provider or a group of providers
+ * @return {Provider[]} Returns the providers of the group or the provider itself
+ */
+function getGroupProviders (provider) {
+  return provider instanceof ProviderGroup ? provider.providers : [ provider ]
+}
+
+/**
+ * Check whether a level of the provider stack contains a provider of the same type.
+ * @param {!Provider|ProviderGroup} level - A level of the provider stack
+ * @param {!Provider} provider - The provider to look for
+ * @return {boolean} True if the level holds a provider of the same type
+ */
+function isSameProvider (level, provider) {
+  return some(
+    getGroupProviders(level),
+    member => member.constructor === provider.constructor
+  )
+}
+
 export default class Client {
   static debug (namespace = '*') {
     // if localStorage.DEBUG (browser)
@@ -39,11 +148,23 @@ export default class Client {
      */
     this._providers = []
 
+    /**
+     * @type {Array}
+     */
+    this._middlewares = []
+
     /**
      * @type {string}
      */
     this.version = version
 
+    this._initializing = []
+    this._watchers = new Set()
+    this._closed = false
+    this._close = createCloseSignal()
+    this._events = new EventEmitter()
+    this._network = undefined
+
     if (provider) {
       this.addProvider(provider)
     }
@@ -58,20 +179,30 @@ export default class Client {
   }
 
   /**
-   * Add a provider
-   * @param {!Provider} provider - The provider instance or RPC connection string
+   * Add a provider. Its `init` method is called once it is part of the stack.
+   * @param {!Provider|Provider[]} provider - The provider instance or RPC connection string.
+   *  An array of providers is added as a group sharing one level of the stack:
+   *  providers of the group are tried in the given priority order and the next
+   *  one is used when a call fails with a node error.
    * @return {Client} Returns instance of Client
    * @throws {InvalidProviderError} When invalid provider is provider
    * @throws {DuplicateProviderError} When same provider is added again
    */
   addProvider (provider) {
+    if (isArray(provider)) {
+      provider = new ProviderGroup(provider)
+    }
+
     if (!isFunction(provider.setClient)) {
       throw new InvalidProviderError('Provider should have "setClient" method')
     }
 
     const duplicate = find(
       this._providers,
-      _provider => provider.constructor === _provider.constructor
+      _provider => some(
+        getGroupProviders(provider),
+        member => isSameProvider(_provider, member)
+      )
     )
 
     if (duplicate) {
@@ -81,6 +212,184 @@ export default class Client {
     provider.setClient(this)
     this._providers.push(provider)
 
+    if (isFunction(provider.init)) {
+      const init = Promise.resolve().then(() => provider.init())
+      init.catch(() => {}) // Reported by `ready`
+      this._initializing.push(init)
+    }
+
+    return this
+  }
+
+  /**
+   * Wait for the `init` method of the providers to complete.
+   * @return {Promise} Rejects with the first error thrown by `init`
+   */
+  async ready () {
+    await Promise.all(this._initializing)
+  }
+
+  get closed () {
+    return this._closed
+  }
+
+  /**
+   * Release the resources held by the client: stops the block watchers and
+   * pending polls, and calls the `dispose` method of the providers, from the
+   * top of the stack down. Calls made after closing reject with AbortError.
+   * @return {Promise} Rejects with the first error thrown by `dispose`, once
+   *  every provider was disposed
+   */
+  async close () {
+    if (this._closed) return
+    this._closed = true
+    this._close.abort()
+
+    this._watchers.forEach(watcher => watcher.stop())
+
+    await Promise.all(this._initializing.map(init => init.catch(() => {})))
+
+    const errors = []
+    for (const provider of [ ...this._providers ].reverse()) {
+      if (!isFunction(provider.dispose)) continue
+
+      try {
+        await provider.dispose()
+      } catch (e) {
+        errors.push(e)
+      }
+    }
+
+    if (errors.length > 0) throw errors[0]
+  }
+
+  /**
+   * Signal aborted when the client is closed.
+   * @return {AbortSignal}
+   */
+  get closeSignal () {
+    return this._close.signal
+  }
+
+  /**
+   * Network set with `setNetwork`.
+   * @return {object}
+   */
+  get network () {
+    return this._network
+  }
+
+  /**
+   * Switch the provider stack to another network, e.g. from mainnet to
+   * testnet, without rebuilding the client. Every provider updates its
+   * network and drops the state derived from it, such as derivation paths and
+   * address caches. The network reported by the lowest provider implementing
+   * `getConnectedNetwork`, the backend rather than a wallet above it, is then
+   * checked when the stack supports it, and a `network` event is emitted with
+   * the new and previous networks.
+   * @param {!object} network - Network from `@liquality/bitcoin-networks` or
+   *  `@liquality/ethereum-networks`
+   * @return {Promise} Rejects with NetworkMismatchError when the backend is
+   *  connected to another network. Every provider is then switched back to
+   *  the network it had before, and so is the client.
+   * @throws {TypeError} When the network is not a network object
+   */
+  async setNetwork (network) {
+    if (!isObject(network) || !isString(network.name)) {
+      throw new TypeError('Network should be an object with a "name"')
+    }
+
+    if (this._closed) throw new AbortError('Client is closed')
+
+    const previous = this._network
+    const providers = flatMap(this._providers, getGroupProviders).filter(provider => isFunction(provider.setNetwork))
+    const providerNetworks = providers.map(provider => provider._network)
+
+    try {
+      await this._setProvidersNetwork(network)
+
+      const connectedNetwork = await this._getBackendNetwork()
+
+      if (connectedNetwork && connectedNetwork.name !== 'unknown' && connectedNetwork.name !== network.name) {
+        throw new NetworkMismatchError(
+          `Backend is connected to ${connectedNetwork.name} instead of ${network.name}`,
+          { network, connectedNetwork }
+        )
+      }
+    } catch (e) {
+      for (let i = 0; i < providers.length; i++) {
+        await providers[i].setNetwork(providerNetworks[i])
+      }
+      this._network = previous
+
+      throw e
+    }
+
+    this._events.emit('network', network, previous)
+  }
+
+  /**
+   * Network reported by the lowest provider implementing
+   * `getConnectedNetwork`. Wallets above the backend report the network they
+   * were given.
+   * @return {Promise<object>} Resolves with the network, or null when no
+   *  provider reports one
+   */
+  async _getBackendNetwork () {
+    const index = findIndex(this._providers, provider => isFunction(provider.getConnectedNetwork))
+    if (index === -1) return null
+
+    // Only the providers added before the requestor are searched
+    const requestor = index + 1 < this._providers.length ? getGroupProviders(this._providers[index + 1])[0] : undefined
+    return this.getMethod('getConnectedNetwork', requestor)()
+  }
+
+  async _setProvidersNetwork (network) {
+    for (const provider of this._providers) {
+      if (isFunction(provider.setNetwork)) await provider.setNetwork(network)
+    }
+
+    this._network = network
+  }
+
+  /**
+   * Listen to the events of the client:
+   *  - `network` (network, previous) after `setNetwork` switched networks
+   * @param {!string} event - Name of the event
+   * @param {!function} listener - Called with the arguments of the event
+   * @return {Client} Returns instance of Client
+   */
+  on (event, listener) {
+    this._events.on(event, listener)
+    return this
+  }
+
+  off (event, listener) {
+    this._events.removeListener(event, listener)
+    return this
+  }
+
+  /**
+   * Add a middleware
+   * @param {!object} middleware - Hooks invoked around every method resolved
+   *  through `getMethod`. Any of `before`, `after` and `error` can be provided.
+   *  Each hook receives a context object with `method`, `args`, `provider` and
+   *  `requestor`. `after` hooks also receive `result` and `error` hooks `error`.
+   *  Hooks may replace `context.args`, `context.result` or `context.error`.
+   *  `before` hooks run in the order they were added, `after` and `error` hooks
+   *  in reverse order.
+   * @return {Client} Returns instance of Client
+   * @throws {TypeError} When middleware does not provide any hook
+   */
+  use (middleware) {
+    const hooks = [ 'before', 'after', 'error' ]
+
+    if (!isObject(middleware) || !some(hooks, hook => isFunction(middleware[hook]))) {
+      throw new TypeError('Middleware should have a "before", "after" or "error" method')
+    }
+
+    this._middlewares.push(middleware)
+
     return this
   }
 
@@ -104,7 +413,7 @@ export default class Client {
     let indexOfRequestor = requestor
       ? findLastIndex(
         this._providers,
-        provider => requestor.constructor === provider.constructor
+        provider => isSameProvider(provider, requestor)
       ) : this._providers.length
 
     if (indexOfRequestor === -1) indexOfRequestor = 0
@@ -127,6 +436,89 @@ export default class Client {
     return provider
   }
 
+  /**
+   * Check whether a method can be served by the provider stack.
+   * @param {!string} method - Name of a Chain, Wallet, Swap or provider method
+   * @return {boolean} True if a provider implements the method, or the
+   *  provider methods the client builds it on
+   */
+  supports (method) {
+    return this._findProviderForMethod(method) !== null
+  }
+
+  /**
+   * Get the value of a capability declared by the providers of the stack.
+   * Providers declare capabilities on their class, e.g.
+   * `MyProvider.capabilities = { canUpdateFee: false }`, or on the instance
+   * when they depend on the provider. The declaration of the highest provider
+   * in the stack wins. Capability methods such as `canUpdateFee()` are
+   * deprecated and read when a provider declares no value.
+   * @param {!string} name - Name of the capability, e.g. `canUpdateFee`
+   * @return {*} Returns the declared value, or the default of the capability
+   */
+  getCapability (name) {
+    for (let i = this._providers.length - 1; i >= 0; i--) {
+      for (const member of getGroupProviders(this._providers[i])) {
+        const value = getDeclaredCapability(member, name)
+        if (value !== undefined) return value
+      }
+    }
+
+    return DEFAULT_CAPABILITIES[name]
+  }
+
+  /**
+   * Describe the provider stack.
+   * @return {object} Returns `chain`, `wallet` and `swap` objects mapping each
+   *  method to the name of the provider serving it, or null when it is not
+   *  supported, and the `capabilities` of the stack.
+   */
+  describe () {
+    const describeNamespace = namespace => getNamespaceMethods(namespace).reduce((methods, method) => {
+      const provider = this._findProviderForMethod(method)
+      methods[method] = provider ? provider.constructor.name : null
+      return methods
+    }, {})
+
+    const names = new Set(Object.keys(DEFAULT_CAPABILITIES))
+    this._providers.forEach(level => getGroupProviders(level).forEach(provider => {
+      Object.keys({ ...provider.constructor.capabilities, ...provider.capabilities }).forEach(name => names.add(name))
+    }))
+
+    const capabilities = {}
+    names.forEach(name => { capabilities[name] = this.getCapability(name) })
+
+    return {
+      chain: describeNamespace(this.chain),
+      wallet: describeNamespace(this.wallet),
+      swap: describeNamespace(this.swap),
+      capabilities
+    }
+  }
+
+  /**
+   * Find the provider serving a method, or the first provider method it is
+   * built on.
+   * @return {Provider} Returns the provider, or null if none is available
+   */
+  _findProviderForMethod (method) {
+    const methods = METHOD_DEPENDENCIES[method] || [ method ]
+
+    for (const name of methods) {
+      let provider
+      try {
+        provider = this.getProviderForMethod(name)
+      } catch (e) {
+        if (e instanceof NoProviderError || e instanceof UnimplementedMethodError || e instanceof UnsupportedMethodError) continue
+        throw e
+      }
+
+      return find(getGroupProviders(provider), member => isFunction(member[name]))
+    }
+
+    return null
+  }
+
   /**
    * Helper method that returns method from a provider.
    * @param {!string} method - Name of the method to look for in the provider stack
@@ -135,8 +527,122 @@ export default class Client {
    * @return {function} Returns method from provider instance associated with the requested method
    */
   getMethod (method, requestor) {
-    const provider = this.getProviderForMethod(method, requestor)
-    return provider[method].bind(provider)
+    if (this._closed) throw new AbortError('Client is closed')
+
+    let provider = this.getProviderForMethod(method, requestor)
+
+    if (this._signal) {
+      throwIfAborted(this._signal)
+      provider = this._scopeProvider(provider)
+    }
+
+    const func = provider[method].bind(provider)
+
+    if (this._middlewares.length === 0) return func
+
+    return this._applyMiddlewares(func, { method, provider, requestor })
+  }
+
+  /**
+   * Get a view of the client whose calls can be cancelled. Every Chain, Wallet
+   * and Swap method called through it, and every provider method these call
+   * with `getMethod`, rejects with AbortError once the signal is aborted.
+   * Providers read the signal as `this.signal` to cancel HTTP requests and
+   * long loops.
+   * @param {!AbortSignal} signal - Signal of an `AbortController`, or any
+   *  object with an `aborted` flag and `addEventListener`/`removeEventListener`
+   *  for the `abort` event
+   * @return {Client} Returns a client sharing the providers and middlewares of
+   *  this instance
+   */
+  withSignal (signal) {
+    if (!isObject(signal) || !('aborted' in signal) || !isFunction(signal.addEventListener)) {
+      throw new TypeError('Signal should be an AbortSignal')
+    }
+
+    const client = Object.create(this)
+    client._signal = signal
+    client._scopedProviders = new Map()
+    client._chain = new Chain(client)
+    client._wallet = new Wallet(client)
+    client._swap = new Swap(client)
+
+    return client
+  }
+
+  /**
+   * Signal of the client, set on the views returned by `withSignal`.
+   * @return {AbortSignal}
+   */
+  get signal () {
+    return this._signal
+  }
+
+  /**
+   * Wrap a provider so that it sees this view of the client as `this.client`
+   * and its signal as `this.signal`. State written by the provider still goes
+   * to the provider itself.
+   */
+  _scopeProvider (provider) {
+    if (this._scopedProviders.has(provider)) return this._scopedProviders.get(provider)
+
+    const scoped = provider instanceof ProviderGroup
+      ? new ProviderGroup(provider.providers.map(member => this._scopeProvider(member)))
+      : new Proxy(provider, {
+        get: (target, prop, receiver) => {
+          if (prop === 'client') return this
+          if (prop === 'signal') return this._signal
+          return Reflect.get(target, prop, receiver)
+        },
+        set: (target, prop, value) => Reflect.set(target, prop, value)
+      })
+
+    this._scopedProviders.set(provider, scoped)
+    return scoped
+  }
+
+  /**
+   * Wrap a provider method with the hooks of the registered middlewares.
+   * Synchronous methods stay synchronous, asynchronous methods have their
+   * `after` and `error` hooks called once the returned promise settles.
+   * @param {!function} func - Method bound to its provider
+   * @param {!object} context - `method`, `provider` and `requestor` of the call
+   * @return {function} Returns the wrapped method
+   */
+  _applyMiddlewares (func, { method, provider, requestor }) {
+    const middlewares = [ ...this._middlewares ]
+    const reversed = [ ...middlewares ].reverse()
+
+    return (...args) => {
+      const context = { method, args, provider, requestor }
+
+      const onResult = result => {
+        context.result = result
+        reversed.forEach(middleware => middleware.after && middleware.after(context))
+        return context.result
+      }
+
+      const onError = error => {
+        context.error = error
+        reversed.forEach(middleware => middleware.error && middleware.error(context))
+        throw context.error
+      }
+
+      let result
+
+      try {
+        middlewares.forEach(middleware => middleware.before && middleware.before(context))
+        result = func(...context.args)
+      } catch (e) {
+        return onError(e)
+      }
+
+      if (result && isFunction(result.then)) {
+        return result.then(onResult, onError)
+      }
+
+      return onResult(result)
+    }
   }
 
   assertValidTransaction (transaction) {
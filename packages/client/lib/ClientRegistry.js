@@ -0,0 +1,172 @@
+import { isBoolean, isObject, isString, zipObject } from 'lodash'
+
+import { DuplicateAssetError, NetworkMismatchError } from '@liquality/errors'
+
+const environment = isTestnet => isTestnet ? 'testnet' : 'mainnet'
+
+const getEntryNetwork = ({ client, network }) => client.network || network
+
+export default class ClientRegistry {
+  /**
+   * ClientRegistry holds one client per asset, e.g. `BTC`, `ETH` or an ERC20
+   * token, and runs operations on all of them. All clients must be on
+   * mainnet networks or all on testnet networks.
+   * @param {object} [options]
+   * @param {boolean} [options.isTestnet] - Environment of the clients.
+   *  Defaults to the environment of the first registered client.
+   */
+  constructor ({ isTestnet } = {}) {
+    this._isTestnet = isTestnet
+    this._entries = new Map()
+  }
+
+  get assets () {
+    return [ ...this._entries.keys() ]
+  }
+
+  get isTestnet () {
+    return this._isTestnet
+  }
+
+  /**
+   * Register the client of an asset.
+   * @param {!string} asset - Asset id, e.g. `BTC`
+   * @param {!Client} client - Client of the asset
+   * @param {!object} network - Network of the client, e.g. from
+   *  `@liquality/bitcoin-networks` or `@liquality/ethereum-networks`. The
+   *  network set later with `client.setNetwork` takes precedence.
+   * @return {ClientRegistry} Returns instance of ClientRegistry
+   * @throws {DuplicateAssetError} When the asset is already registered
+   * @throws {NetworkMismatchError} When the network is not in the environment
+   *  of the registry
+   */
+  register (asset, client, network) {
+    if (!isString(asset) || asset === '') throw new TypeError('Asset should be a non-empty string')
+    if (!isObject(client) || !isObject(client.chain)) throw new TypeError('Client should be a Client instance')
+    if (!isObject(network) || !isBoolean(network.isTestnet)) {
+      throw new TypeError('Network should be an object with an "isTestnet" flag')
+    }
+
+    if (this._entries.has(asset)) {
+      throw new DuplicateAssetError(`Asset ${asset} is already registered`, { asset })
+    }
+
+    if (this._isTestnet === undefined) {
+      this._isTestnet = network.isTestnet
+    } else if (network.isTestnet !== this._isTestnet) {
+      throw new NetworkMismatchError(
+        `Network ${network.name} of ${asset} is not a ${environment(this._isTestnet)} network`,
+        { asset, network }
+      )
+    }
+
+    this._entries.set(asset, { client, network })
+
+    return this
+  }
+
+  unregister (asset) {
+    this._entries.delete(asset)
+    return this
+  }
+
+  has (asset) {
+    return this._entries.has(asset)
+  }
+
+  /**
+   * Get the client of an asset.
+   * @param {!string} asset - Asset id
+   * @return {Client} Returns the client, or undefined if the asset is not registered
+   */
+  get (asset) {
+    const entry = this._entries.get(asset)
+    return entry && entry.client
+  }
+
+  /**
+   * Get the network of an asset: the network of its client once switched with
+   * `client.setNetwork`, or the registered network.
+   * @param {!string} asset - Asset id
+   * @return {object} Returns the network, or undefined if the asset is not registered
+   */
+  getNetwork (asset) {
+    const entry = this._entries.get(asset)
+    return entry && getEntryNetwork(entry)
+  }
+
+  /**
+   * Check that the networks of the clients are in the environment of the
+   * registry and that their wallets are connected to them. Clients that
+   * cannot report their connected network are skipped.
+   * @return {Promise<undefined, NetworkMismatchError>}
+   */
+  async assertNetworks () {
+    await this._map(async (client, asset, network) => {
+      if (network.isTestnet !== this._isTestnet) {
+        throw new NetworkMismatchError(
+          `Network ${network.name} of ${asset} is not a ${environment(this._isTestnet)} network`,
+          { asset, network }
+        )
+      }
+
+      if (!client.supports('getConnectedNetwork')) return
+
+      const connectedNetwork = await client.chain.getConnectedNetwork()
+      if (!connectedNetwork || connectedNetwork.name === 'unknown') return
+
+      if (connectedNetwork.name !== network.name) {
+        throw new NetworkMismatchError(
+          `${asset} wallet is connected to ${connectedNetwork.name} instead of ${network.name}`,
+          { asset, network, connectedNetwork }
+        )
+      }
+    })
+  }
+
+  /**
+   * Get the addresses of all assets.
+   * @param {number} [startingIndex=0] - Index to start
+   * @param {number} [numAddresses=1] - Number of addresses to retrieve
+   * @return {Promise<object>} Resolves with the addresses keyed by asset
+   */
+  async getAddresses (startingIndex, numAddresses) {
+    return this._map(client => client.wallet.getAddresses(startingIndex, numAddresses))
+  }
+
+  /**
+   * Get the balance of the used addresses of all assets.
+   * @return {Promise<object>} Resolves with a BigNumber balance in base units
+   *  keyed by asset
+   */
+  async getBalances () {
+    return this._map(async client => {
+      const addresses = await client.wallet.getUsedAddresses()
+      return client.chain.getBalance(addresses)
+    })
+  }
+
+  /**
+   * Get the fee tiers of all assets. Tokens report the fees of their chain.
+   * @return {Promise<object>} Resolves with the `slow`, `average` and `fast`
+   *  fees keyed by asset
+   */
+  async getFees () {
+    return this._map(client => client.chain.getFees())
+  }
+
+  /**
+   * Run a function with the client of every asset.
+   * @param {!function} func - Called with the client, asset and network
+   * @return {Promise<object>} Resolves with the results keyed by asset
+   */
+  async _map (func) {
+    const assets = this.assets
+    const results = await Promise.all(assets.map(asset => {
+      const entry = this._entries.get(asset)
+      return func(entry.client, asset, getEntryNetwork(entry))
+    }))
+
+    return zipObject(assets, results)
+  }
+}
@@ -0,0 +1,107 @@
+import { isFunction } from 'lodash'
+
+import { InvalidProviderError, NodeError } from '@liquality/errors'
+
+const FAILOVER_ERROR_CODES = [
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]
+
+/**
+ * Check whether an error is caused by the node/endpoint rather than the call.
+ * @param {Error} error - Error thrown by a provider
+ * @return {boolean} True if the next provider of the group should be tried
+ */
+function shouldFailover (error) {
+  if (error instanceof NodeError) return true
+  if (error && FAILOVER_ERROR_CODES.includes(error.code)) return true
+  return Boolean(error && error.response && error.response.status >= 500)
+}
+
+export default class ProviderGroup {
+  /**
+   * ProviderGroup
+   * @param {!Provider[]} providers - Providers sharing one level of the stack,
+   *  in priority order. A method is called on the first provider that
+   *  implements it and on the next one when it fails with a node error.
+   */
+  constructor (providers) {
+    if (providers.length === 0) {
+      throw new InvalidProviderError('Provider group should contain at least one provider')
+    }
+
+    providers.forEach(provider => {
+      if (!isFunction(provider.setClient)) {
+        throw new InvalidProviderError('Provider should have "setClient" method')
+      }
+    })
+
+    this._providers = providers
+
+    return new Proxy(this, { get: this._failoverProxy.bind(this) })
+  }
+
+  get providers () {
+    return this._providers
+  }
+
+  setClient (client) {
+    this.client = client
+    this._providers.forEach(provider => provider.setClient(client))
+  }
+
+  async init () {
+    await Promise.all(
+      this._providers.filter(provider => isFunction(provider.init)).map(provider => provider.init())
+    )
+  }
+
+  async setNetwork (network) {
+    await Promise.all(
+      this._providers.filter(provider => isFunction(provider.setNetwork)).map(provider => provider.setNetwork(network))
+    )
+  }
+
+  async dispose () {
+    await Promise.all(
+      this._providers.filter(provider => isFunction(provider.dispose)).map(provider => provider.dispose())
+    )
+  }
+
+  _failoverProxy (target, prop) {
+    if (prop in target) return target[prop]
+
+    const providers = this._providers.filter(provider => isFunction(provider[prop]))
+    if (providers.length === 0) return undefined
+
+    return (...args) => this._callWithFailover(providers, prop, args)
+  }
+
+  _callWithFailover (providers, method, args, index = 0) {
+    const next = error => {
+      if (index + 1 < providers.length && shouldFailover(error)) {
+        return this._callWithFailover(providers, method, args, index + 1)
+      }
+
+      throw error
+    }
+
+    let result
+
+    try {
+      result = providers[index][method](...args)
+    } catch (e) {
+      return next(e)
+    }
+
+    if (result && isFunction(result.then)) {
+      return result.catch(next)
+    }
+
+    return result
+  }
+}
@@ -0,0 +1,159 @@
+import { EventEmitter } from 'events'
+
+import { STATES, ourLeg, isFinal } from './SwapManager'
+
+const DEFAULT_OPTIONS = {
+  pollInterval: 60000,
+  bumpAfterBlocks: 3,
+  feeMultiplier: 1.5,
+  maxFee: Infinity
+}
+
+export default class RefundWatcher extends EventEmitter {
+  /**
+   * RefundWatcher refunds the swaps of a SwapManager whose leg funded by us
+   * expired unclaimed. Expiration is checked against the time of the chain:
+   * the median time past on Bitcoin and the latest block timestamp on
+   * Ethereum. The refund is sent with the `average` fee of the chain and its
+   * fee is bumped until it confirms. It emits:
+   *  - `refund` (swap) when a refund is sent, its hash is the `refundTxHash`
+   *    of the leg
+   *  - `fee-bump` (swap, tx) when the fee of a pending refund is bumped. The
+   *    replaced refund may still confirm instead.
+   *  - `refunded` (swap) when a refund is confirmed
+   *  - `claimed` (swap, tx) when the leg was claimed, so it cannot be refunded
+   *  - `error` (error, swap) when checking a swap fails, if a listener is
+   *    registered
+   * @param {!SwapManager} manager - Manager of the swaps to watch
+   * @param {object} [options]
+   * @param {number} [options.pollInterval=60000] - Milliseconds between checks
+   * @param {number} [options.bumpAfterBlocks=3] - Blocks to wait for the
+   *  refund to confirm before bumping its fee
+   * @param {number} [options.feeMultiplier=1.5] - Factor applied to the fee on
+   *  every bump
+   * @param {number} [options.maxFee=Infinity] - Highest fee price to bump to
+   */
+  constructor (manager, options = {}) {
+    super()
+    this._manager = manager
+    this._options = { ...DEFAULT_OPTIONS, ...options }
+    this._timer = null
+    this._checking = null
+    this._running = false
+  }
+
+  get running () {
+    return this._running
+  }
+
+  start () {
+    if (this._running) return this
+    this._running = true
+
+    this._poll()
+    return this
+  }
+
+  stop () {
+    this._running = false
+    clearTimeout(this._timer)
+    this._timer = null
+
+    this.emit('stop')
+    return this
+  }
+
+  async _poll () {
+    try {
+      await this.check()
+    } catch (e) {
+      if (this.listenerCount('error') > 0) this.emit('error', e)
+    }
+
+    if (this._running) {
+      this._timer = setTimeout(() => this._poll(), this._options.pollInterval)
+    }
+  }
+
+  /**
+   * Check every swap with a funded leg once: refund it if it expired, bump
+   * the fee of a pending refund, or record that it was claimed.
+   * @return {Promise}
+   */
+  async check () {
+    if (this._checking) return this._checking
+
+    this._checking = this._check()
+
+    try {
+      await this._checking
+    } finally {
+      this._checking = null
+    }
+  }
+
+  async _check () {
+    const swaps = (await this._manager.list()).filter(swap => {
+      const leg = ourLeg(swap)
+      return leg.txHash && !leg.claimTxHash && !isFinal(swap)
+    })
+
+    for (const swap of swaps) {
+      try {
+        await this._checkSwap(swap)
+      } catch (e) {
+        if (this.listenerCount('error') > 0) this.emit('error', e, swap)
+      }
+    }
+  }
+
+  async _checkSwap (swap) {
+    if (ourLeg(swap).refundTxHash) return this._checkRefund(swap)
+
+    const expired = await this._manager.expire(swap.secretHash)
+    const leg = ourLeg(expired)
+
+    if (leg.claimTxHash) {
+      const client = this._manager.getClient(leg)
+      this.emit('claimed', expired, await client.chain.getTransactionByHash(leg.claimTxHash))
+      return
+    }
+
+    if (expired.state !== STATES.EXPIRED) return
+
+    const fees = await this._getFees(this._manager.getClient(leg))
+    const refunded = await this._manager.advance(swap.secretHash, fees && String(fees.average.fee))
+
+    this.emit('refund', refunded)
+    if (refunded.state === STATES.REFUNDED) this.emit('refunded', refunded)
+  }
+
+  async _checkRefund (swap) {
+    const refunded = await this._manager.advance(swap.secretHash)
+    if (refunded.state === STATES.REFUNDED) {
+      this.emit('refunded', refunded)
+      return
+    }
+
+    const leg = ourLeg(refunded)
+    const client = this._manager.getClient(leg)
+    const height = await client.chain.getBlockHeight()
+    if (height - leg.refundBlock < this._options.bumpAfterBlocks) return
+    if (!client.supports('updateTransactionFee') || !client.wallet.canUpdateFee) return
+
+    const fees = await this._getFees(client)
+    const currentFee = Number(leg.refundFee) || (fees ? fees.average.fee : 0)
+    const newFee = Math.min(
+      Math.ceil(Math.max(currentFee * this._options.feeMultiplier, fees ? fees.fast.fee : 0)),
+      this._options.maxFee
+    )
+    if (!(newFee > currentFee)) return
+
+    const tx = await this._manager.bumpRefundFee(swap.secretHash, String(newFee))
+    this.emit('fee-bump', await this._manager.get(swap.secretHash), tx)
+  }
+
+  async _getFees (client) {
+    return client.supports('getFees') ? client.chain.getFees() : null
+  }
+}
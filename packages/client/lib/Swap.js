@@ -10,7 +10,7 @@ export default class Swap {
 
   /**
    * Find swap transaction from parameters
-   * @param {!number} value - The amount of native value locked in the swap
+   * @param {!BigNumber|string|number} value - The amount of native value locked in the swap
    * @param {!string} recipientAddress - Recepient address
    * @param {!string} refundAddress - Refund address
    * @param {!string} secretHash - Secret hash
@@ -88,7 +88,7 @@ export default class Swap {
 
   /**
    * Initiate a swap
-   * @param {!number} value - The amount of native value to lock for the swap.
+   * @param {!BigNumber|string|number} value - The amount of native value to lock for the swap.
    * @param {!string} recipientAddress - Recepient address for the swap in hex.
    * @param {!string} refundAddress - Refund address for the swap in hex.
    * @param {!string} secretHash - Secret hash for the swap in hex.
@@ -135,7 +135,7 @@ export default class Swap {
   /**
    * Verifies that the given initiation transaction matches the given swap params
    * @param {!string} initiationTxHash - The transaction hash of the swap initiation.
-   * @param {!number} value - The amount of native value locked in the swap.
+   * @param {!BigNumber|string|number} value - The amount of native value locked in the swap.
    * @param {!string} recipientAddress - Recepient address for the swap in hex.
    * @param {!string} refundAddress - Refund address for the swap in hex.
    * @param {!string} secretHash - Secret hash for the swap in hex.
@@ -197,12 +197,11 @@ export default class Swap {
     return transaction
   }
 
+  /**
+   * Flag indicating if finding swap transactions scans blocks
+   * @return {boolean} False if swap transactions are looked up with an explorer API
+   */
   get doesBlockScan () {
-    try {
-      return this.client.getMethod('doesBlockScan')()
-    } catch (e) {
-      if (!(e instanceof UnimplementedMethodError)) throw e
-    }
-    return true
+    return this.client.getCapability('doesBlockScan')
   }
 }
@@ -0,0 +1,650 @@
+import { EventEmitter } from 'events'
+import { isNil, isNumber, isObject, isString } from 'lodash'
+
+import { sha256 } from '@liquality/crypto'
+import { addressToString } from '@liquality/utils'
+import { InvalidSwapStateError, SwapNotFoundError, TxNotFoundError } from '@liquality/errors'
+
+const KEY_PREFIX = 'swap:'
+
+const ROLES = [ 'initiator', 'participant' ]
+
+const STATES = {
+  CREATED: 'created',
+  INITIATED: 'initiated',
+  COUNTERPARTY_FUNDED: 'counterparty-funded',
+  VERIFIED: 'verified',
+  CLAIMED: 'claimed',
+  SECRET_REVEALED: 'secret-revealed',
+  REFUNDED: 'refunded',
+  EXPIRED: 'expired'
+}
+
+/**
+ * States each state can move to. `initiated` means our leg is funded and
+ * `counterparty-funded` that the leg of the counterparty was found. Once our
+ * leg is funded the swap expires when it is not claimed in time.
+ */
+const TRANSITIONS = {
+  [STATES.CREATED]: [ STATES.INITIATED, STATES.COUNTERPARTY_FUNDED, STATES.EXPIRED ],
+  [STATES.INITIATED]: [ STATES.COUNTERPARTY_FUNDED, STATES.SECRET_REVEALED, STATES.EXPIRED ],
+  [STATES.COUNTERPARTY_FUNDED]: [ STATES.VERIFIED, STATES.EXPIRED ],
+  [STATES.VERIFIED]: [ STATES.INITIATED, STATES.CLAIMED, STATES.EXPIRED ],
+  [STATES.SECRET_REVEALED]: [ STATES.CLAIMED ],
+  [STATES.EXPIRED]: [ STATES.REFUNDED ],
+  [STATES.CLAIMED]: [],
+  [STATES.REFUNDED]: []
+}
+
+/**
+ * Storage adapter keeping swaps in memory for the lifetime of the process.
+ */
+class MemoryStore {
+  constructor () {
+    this._entries = new Map()
+  }
+
+  async get (key) {
+    return this._entries.get(key)
+  }
+
+  async set (key, value) {
+    this._entries.set(key, value)
+  }
+
+  async remove (key) {
+    this._entries.delete(key)
+  }
+
+  async keys () {
+    return [ ...this._entries.keys() ]
+  }
+}
+
+/**
+ * Leg of the swap funded by us.
+ */
+function ourLeg (swap) {
+  return swap.role === 'initiator' ? swap.initiation : swap.participation
+}
+
+/**
+ * Leg of the swap funded by the counterparty.
+ */
+function theirLeg (swap) {
+  return swap.role === 'initiator' ? swap.participation : swap.initiation
+}
+
+function isFinal (swap) {
+  return TRANSITIONS[swap.state].length === 0 ||
+    (swap.state === STATES.EXPIRED && !ourLeg(swap).txHash)
+}
+
+function createLeg (name, leg, counterparty) {
+  if (!isObject(leg)) throw new TypeError(`"${name}" should be an object`)
+  if (!isString(leg.asset)) throw new TypeError(`"${name}.asset" should be a string`)
+  if (!isString(leg.value) && !isNumber(leg.value)) throw new TypeError(`"${name}.value" should be an amount in base units`)
+  if (!leg.recipientAddress || !leg.refundAddress) throw new TypeError(`"${name}" should have a recipient and refund address`)
+  if (!isNumber(leg.expiration)) throw new TypeError(`"${name}.expiration" should be a number`)
+
+  if (!counterparty && (!isNil(leg.txHash) || !isNil(leg.scanBlock))) {
+    throw new TypeError(`"${name}" is funded by us, only the leg of the counterparty can have a "txHash" or "scanBlock"`)
+  }
+  if (!isNil(leg.txHash) && !isString(leg.txHash)) throw new TypeError(`"${name}.txHash" should be a string`)
+  if (!isNil(leg.scanBlock) && !isNumber(leg.scanBlock)) throw new TypeError(`"${name}.scanBlock" should be a block number`)
+
+  return {
+    asset: leg.asset,
+    value: String(leg.value),
+    recipientAddress: addressToString(leg.recipientAddress),
+    refundAddress: addressToString(leg.refundAddress),
+    expiration: leg.expiration,
+    txHash: leg.txHash || null,
+    fundBlock: null,
+    claimTxHash: null,
+    replacedClaimTxHashes: [],
+    claimFee: null,
+    refundTxHash: null,
+    replacedRefundTxHashes: [],
+    refundFee: null,
+    refundBlock: null,
+    scanBlock: isNumber(leg.scanBlock) ? leg.scanBlock : null
+  }
+}
+
+export default class SwapManager extends EventEmitter {
+  /**
+   * SwapManager runs atomic swaps between two clients of a ClientRegistry as
+   * a state machine, and persists every swap so that it can be resumed after
+   * a restart. A swap has two legs: `initiation`, funded by the initiator and
+   * claimed by the participant, and `participation`, funded by the
+   * participant and claimed by the initiator, which reveals the secret.
+   *
+   * The manager emits:
+   *  - `state` (swap, previousState) after a swap changed state
+   *  - `error` (error, swap) when a swap fails to advance in `resume`, if a
+   *    listener is registered
+   * @param {!ClientRegistry} registry - Clients of the assets of the swaps
+   * @param {object} [options]
+   * @param {object} [options.store] - Storage adapter implementing async
+   *  `get`, `set`, `remove` and `keys`. Swaps are stored as JSON strings
+   *  under keys prefixed with `swap:`. A storage of
+   *  `@liquality/caching-provider` needs a namespace of its own, e.g. a
+   *  `BrowserStorage` with another prefix or the `FileStorage` of another
+   *  file. Defaults to an in-memory store.
+   * @param {SwapPolicy} [options.policy] - Policy validating the expirations
+   *  of a swap when it is created and before the participant funds it
+   * @param {number} [options.expirationMargin=900] - Seconds before the
+   *  expiration of a leg at which it is no longer funded or claimed, leaving
+   *  time for the transaction to confirm
+   */
+  constructor (registry, { store = new MemoryStore(), policy = null, expirationMargin = 900 } = {}) {
+    super()
+    this._registry = registry
+    this._store = store
+    this._policy = policy
+    this._expirationMargin = expirationMargin
+    this._advancing = new Map()
+    this._locks = new Map()
+  }
+
+  /**
+   * Create a swap in the `created` state.
+   * @param {!object} params
+   * @param {!string} params.role - `initiator` or `participant`
+   * @param {!string} params.secretHash - Secret hash of the swap in hex
+   * @param {string} [params.secret] - Secret of the swap, required for the
+   *  initiator. It is persisted with the swap.
+   * @param {!object} params.initiation - Leg funded by the initiator:
+   *  `{ asset, value, recipientAddress, refundAddress, expiration }`. The
+   *  leg of the counterparty may have the `txHash` of its funding when it is
+   *  known, or the `scanBlock` to look for it from, e.g. when it was funded
+   *  before the swap is created. It is otherwise looked for from the current
+   *  block.
+   * @param {!object} params.participation - Leg funded by the participant
+   * @return {Promise<object>} Resolves with the swap
+   * @throws {TypeError} When the parameters are invalid
+   * @throws {InvalidSwapStateError} When a swap with the secret hash exists
+   * @throws {UnsafeSwapError} When the expirations are refused by the policy
+   */
+  async create ({ role, secretHash, secret, initiation, participation }) {
+    if (!ROLES.includes(role)) throw new TypeError(`Role should be one of ${ROLES.join(', ')}`)
+    if (!(/^[A-Fa-f0-9]{64}$/.test(secretHash))) throw new TypeError('Secret hash should be a 32 byte hex string')
+
+    if (role === 'initiator' && !isString(secret)) throw new TypeError('Secret is required for the initiator')
+    if (secret !== undefined && sha256(secret) !== secretHash.toLowerCase()) throw new TypeError('Secret does not match the secret hash')
+
+    const swap = {
+      secretHash,
+      role,
+      state: STATES.CREATED,
+      secret: secret || null,
+      initiation: createLeg('initiation', initiation, role === 'participant'),
+      participation: createLeg('participation', participation, role === 'initiator'),
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    }
+
+    const existing = await this._read(KEY_PREFIX + secretHash)
+    if (existing) {
+      throw new InvalidSwapStateError(`Swap ${secretHash} already exists`, { secretHash, state: existing.state })
+    }
+
+    if (this._policy) await this._policy.validate(swap)
+
+    for (const leg of [ swap.initiation, swap.participation ]) {
+      if (leg.scanBlock === null) leg.scanBlock = await this.getClient(leg).chain.getBlockHeight()
+    }
+
+    await this._save(swap)
+    return swap
+  }
+
+  /**
+   * Get a swap.
+   * @param {!string} secretHash - Secret hash of the swap
+   * @return {Promise<object>}
+   * @throws {SwapNotFoundError} When the swap does not exist
+   */
+  async get (secretHash) {
+    const swap = await this._read(KEY_PREFIX + secretHash)
+    if (!swap) throw new SwapNotFoundError(`Swap ${secretHash} not found`, { secretHash })
+
+    return swap
+  }
+
+  /**
+   * List the persisted swaps.
+   * @return {Promise<object[]>}
+   */
+  async list () {
+    const keys = (await this._store.keys()).filter(key => key.startsWith(KEY_PREFIX))
+    return Promise.all(keys.map(key => this._read(key)))
+  }
+
+  async remove (secretHash) {
+    await this._store.remove(KEY_PREFIX + secretHash)
+  }
+
+  /**
+   * @param {!object} leg
+   * @return {Client} Client of the asset of the leg
+   * @throws {TypeError} When no client is registered for the asset
+   */
+  getClient (leg) {
+    const client = this._registry.get(leg.asset)
+    if (!client) throw new TypeError(`No client registered for ${leg.asset}`)
+
+    return client
+  }
+
+  /**
+   * Run the next step of a swap: fund our leg, look for the leg of the
+   * counterparty and verify it, claim, look for the secret, or refund our
+   * leg once it expired. Steps waiting for the chain leave the swap in its
+   * state: a swap is `claimed` once our claim is confirmed, and an expired
+   * swap `refunded` once its refund is confirmed.
+   * Concurrent calls for the same swap share one run, and wait for the other
+   * operations on the swap to finish.
+   * @param {!string} secretHash - Secret hash of the swap
+   * @param {string} [fee] - Fee price of the transactions sent by the step.
+   *  A pending claim paying less is replaced with one paying this fee.
+   * @return {Promise<object>} Resolves with the swap
+   */
+  async advance (secretHash, fee) {
+    if (this._advancing.has(secretHash)) return this._advancing.get(secretHash)
+
+    const run = this._lock(secretHash, () => this._advance(secretHash, fee))
+    this._advancing.set(secretHash, run)
+
+    try {
+      return await run
+    } finally {
+      this._advancing.delete(secretHash)
+    }
+  }
+
+  /**
+   * Record the secret revealed by a claim of our leg found outside of
+   * `advance`, e.g. in the mempool.
+   * @param {!string} secretHash - Secret hash of the swap
+   * @param {!string} secret - Secret revealed by the claim
+   * @param {!string} claimTxHash - Hash of the claim transaction
+   * @return {Promise<object>} Resolves with the swap in the `secret-revealed` state
+   * @throws {InvalidSwapStateError} When the secret does not match or the
+   *  swap is not waiting for it
+   */
+  async revealSecret (secretHash, secret, claimTxHash) {
+    return this._lock(secretHash, async () => this._revealSecret(await this.get(secretHash), secret, claimTxHash))
+  }
+
+  /**
+   * Move a swap whose funded leg expired unclaimed to `expired`, so that the
+   * next `advance` refunds it. A claim of the leg found meanwhile is recorded
+   * as its `claimTxHash` instead.
+   * @param {!string} secretHash - Secret hash of the swap
+   * @return {Promise<object>} Resolves with the swap, unchanged when our leg
+   *  is not funded, already claimed or not expired yet
+   */
+  async expire (secretHash) {
+    return this._lock(secretHash, async () => {
+      const swap = await this.get(secretHash)
+      const leg = ourLeg(swap)
+
+      if (!leg.txHash || leg.claimTxHash || isFinal(swap) || !(await this._hasExpired(leg))) return swap
+
+      const client = this.getClient(leg)
+      const claim = await this._scan(client, leg, blockNumber =>
+        client.swap.findClaimSwapTransaction(leg.txHash, leg.recipientAddress, leg.refundAddress, swap.secretHash, leg.expiration, blockNumber)
+      )
+
+      if (claim) leg.claimTxHash = claim.hash
+      if (claim || swap.state === STATES.EXPIRED) return this._save(swap)
+
+      return this._transition(swap, STATES.EXPIRED)
+    })
+  }
+
+  /**
+   * Replace the pending refund of a swap with one paying a higher fee. The
+   * replaced refund may still confirm, its hash is kept in
+   * `replacedRefundTxHashes` of the leg.
+   * @param {!string} secretHash - Secret hash of the swap
+   * @param {!string} fee - Fee price of the replacement
+   * @return {Promise<Transaction>} Resolves with the replacement
+   * @throws {InvalidSwapStateError} When the swap has no pending refund
+   */
+  async bumpRefundFee (secretHash, fee) {
+    return this._lock(secretHash, async () => {
+      const swap = await this.get(secretHash)
+      const leg = ourLeg(swap)
+
+      if (swap.state !== STATES.EXPIRED || !leg.refundTxHash) {
+        throw new InvalidSwapStateError(`Swap ${secretHash} has no pending refund`, { secretHash, state: swap.state })
+      }
+
+      const client = this.getClient(leg)
+      const tx = await client.chain.updateTransactionFee(leg.refundTxHash, fee)
+
+      leg.replacedRefundTxHashes.push(leg.refundTxHash)
+      leg.refundTxHash = tx.hash
+      leg.refundFee = fee
+      leg.refundBlock = await client.chain.getBlockHeight()
+      await this._save(swap)
+
+      return tx
+    })
+  }
+
+  /**
+   * Advance every swap that is not finished, e.g. after a restart. A swap
+   * failing to advance is emitted as `error` and does not stop the others.
+   * @return {Promise<object[]>} Resolves with the swaps, as persisted for
+   *  those that failed to advance
+   */
+  async resume () {
+    const swaps = (await this.list()).filter(swap => !isFinal(swap))
+
+    return Promise.all(swaps.map(async swap => {
+      try {
+        return await this.advance(swap.secretHash)
+      } catch (e) {
+        if (this.listenerCount('error') > 0) this.emit('error', e, swap)
+        return swap
+      }
+    }))
+  }
+
+  async _advance (secretHash, fee) {
+    const swap = await this.get(secretHash)
+
+    switch (swap.state) {
+      case STATES.CREATED:
+        if (await this._hasExpired(swap.initiation, this._expirationMargin)) return this._transition(swap, STATES.EXPIRED)
+        return swap.role === 'initiator' ? this._fund(swap, fee) : this._findFunding(swap)
+      case STATES.INITIATED:
+        if (swap.role === 'initiator') await this._findFunding(swap)
+        else await this._findSecret(swap)
+
+        if (swap.state === STATES.INITIATED && await this._hasExpired(ourLeg(swap))) {
+          return this._transition(swap, STATES.EXPIRED)
+        }
+        return swap
+      case STATES.COUNTERPARTY_FUNDED:
+      case STATES.VERIFIED:
+        if (ourLeg(swap).txHash && await this._hasExpired(ourLeg(swap))) return this._transition(swap, STATES.EXPIRED)
+
+        // A claim sent before the margin is followed until it confirms
+        if (theirLeg(swap).claimTxHash) return this._claim(swap, fee)
+
+        // The counterparty could refund its leg before our funding or claim
+        // confirms: an unfunded swap expires, a funded one waits for our leg
+        // to expire
+        if (await this._hasExpired(theirLeg(swap), this._expirationMargin)) {
+          return ourLeg(swap).txHash ? swap : this._transition(swap, STATES.EXPIRED)
+        }
+
+        if (swap.state === STATES.COUNTERPARTY_FUNDED) return this._verify(swap)
+        return swap.role === 'initiator' ? this._claim(swap, fee) : this._fund(swap, fee)
+      case STATES.SECRET_REVEALED:
+        return this._claim(swap, fee)
+      case STATES.EXPIRED:
+        return ourLeg(swap).txHash ? this._refund(swap, fee) : swap
+      default:
+        return swap
+    }
+  }
+
+  /**
+   * Fund our leg. `fundBlock` is saved before the funding is broadcast, so
+   * that a funding broadcast before a restart is looked for on chain instead
+   * of being sent again.
+   */
+  async _fund (swap, fee) {
+    const leg = ourLeg(swap)
+    const client = this.getClient(leg)
+
+    if (leg.fundBlock !== null) {
+      const funding = await this._scan(client, leg, blockNumber =>
+        client.swap.findInitiateSwapTransaction(leg.value, leg.recipientAddress, leg.refundAddress, swap.secretHash, leg.expiration, blockNumber)
+      )
+
+      if (funding) {
+        leg.txHash = funding.hash
+        return this._transition(swap, STATES.INITIATED)
+      }
+    }
+
+    // The chain time moved on while the initiation was confirming
+    if (this._policy && swap.role === 'participant') await this._policy.validate(swap)
+
+    leg.fundBlock = await client.chain.getBlockHeight()
+    await this._save(swap)
+
+    const tx = await client.swap.initiateSwap(leg.value, leg.recipientAddress, leg.refundAddress, swap.secretHash, leg.expiration, fee)
+    leg.txHash = tx.hash
+
+    return this._transition(swap, STATES.INITIATED)
+  }
+
+  async _findFunding (swap) {
+    const leg = theirLeg(swap)
+    const client = this.getClient(leg)
+
+    // Given when the swap was created, `_verify` checks it
+    if (leg.txHash) return this._transition(swap, STATES.COUNTERPARTY_FUNDED)
+
+    const tx = await this._scan(client, leg, blockNumber =>
+      client.swap.findInitiateSwapTransaction(leg.value, leg.recipientAddress, leg.refundAddress, swap.secretHash, leg.expiration, blockNumber)
+    )
+    if (!tx) return this._save(swap)
+
+    leg.txHash = tx.hash
+    return this._transition(swap, STATES.COUNTERPARTY_FUNDED)
+  }
+
+  async _verify (swap) {
+    const leg = theirLeg(swap)
+    const client = this.getClient(leg)
+
+    const verified = await client.swap.verifyInitiateSwapTransaction(leg.txHash, leg.value, leg.recipientAddress, leg.refundAddress, swap.secretHash, leg.expiration)
+    if (!verified) return swap
+
+    return this._transition(swap, STATES.VERIFIED)
+  }
+
+  async _findSecret (swap) {
+    const leg = ourLeg(swap)
+    const client = this.getClient(leg)
+
+    const tx = await this._scan(client, leg, blockNumber =>
+      client.swap.findClaimSwapTransaction(leg.txHash, leg.recipientAddress, leg.refundAddress, swap.secretHash, leg.expiration, blockNumber)
+    )
+    if (!tx) return this._save(swap)
+
+    const secret = tx.secret || await client.swap.getSwapSecret(tx.hash)
+    return this._revealSecret(swap, secret, tx.hash)
+  }
+
+  _revealSecret (swap, secret, claimTxHash) {
+    if (sha256(secret) !== swap.secretHash.toLowerCase()) {
+      throw new InvalidSwapStateError(`Claim ${claimTxHash} does not reveal the secret of swap ${swap.secretHash}`, { secretHash: swap.secretHash, state: swap.state })
+    }
+
+    ourLeg(swap).claimTxHash = claimTxHash
+    swap.secret = secret
+    return this._transition(swap, STATES.SECRET_REVEALED)
+  }
+
+  /**
+   * Claim the leg of the counterparty. The swap keeps its state until the
+   * claim confirms: a claim that left the mempool is sent again, and a
+   * pending claim is replaced when `fee` is higher than the fee it pays.
+   * Replaced claims are kept in `replacedClaimTxHashes` of the leg, as they
+   * may still confirm.
+   */
+  async _claim (swap, fee) {
+    const leg = theirLeg(swap)
+    const client = this.getClient(leg)
+
+    if (leg.claimTxHash) {
+      const claimed = await this._confirmClaim(swap, client)
+      if (claimed) return claimed
+    }
+
+    const pending = leg.claimTxHash && await this._getTransaction(client, leg.claimTxHash)
+    const bump = pending && fee && Number(fee) > Number(leg.claimFee) &&
+      client.supports('updateTransactionFee') && client.wallet.canUpdateFee
+
+    if (!pending || bump) {
+      const tx = bump
+        ? await client.chain.updateTransactionFee(leg.claimTxHash, fee)
+        : await client.swap.claimSwap(leg.txHash, leg.recipientAddress, leg.refundAddress, swap.secret, leg.expiration, fee)
+
+      if (leg.claimTxHash) leg.replacedClaimTxHashes.push(leg.claimTxHash)
+      leg.claimTxHash = tx.hash
+      leg.claimFee = fee || tx.feePrice || null
+      await this._save(swap)
+    }
+
+    return (await this._confirmClaim(swap, client)) || swap
+  }
+
+  /**
+   * @return {Promise<object>} Resolves with the swap moved to `claimed` when
+   *  our claim, or a claim it replaced, confirmed, or null
+   */
+  async _confirmClaim (swap, client) {
+    const leg = theirLeg(swap)
+
+    const claimTxHash = await this._findConfirmed(client, [ leg.claimTxHash, ...leg.replacedClaimTxHashes ])
+    if (!claimTxHash) return null
+
+    leg.claimTxHash = claimTxHash
+    return this._transition(swap, STATES.CLAIMED)
+  }
+
+  async _refund (swap, fee) {
+    const leg = ourLeg(swap)
+    const client = this.getClient(leg)
+
+    if (!leg.refundTxHash) {
+      const tx = await client.swap.refundSwap(leg.txHash, leg.recipientAddress, leg.refundAddress, swap.secretHash, leg.expiration, fee)
+      leg.refundTxHash = tx.hash
+      leg.refundFee = fee || tx.feePrice || null
+      leg.refundBlock = await client.chain.getBlockHeight()
+      await this._save(swap)
+    }
+
+    // A refund replaced by a fee bump may confirm instead of its replacement
+    const refundTxHash = await this._findConfirmed(client, [ leg.refundTxHash, ...leg.replacedRefundTxHashes ])
+    if (!refundTxHash) return swap
+
+    leg.refundTxHash = refundTxHash
+    return this._transition(swap, STATES.REFUNDED)
+  }
+
+  /**
+   * @return {Promise<Transaction>} Resolves with the transaction, or null when
+   *  the chain does not know it
+   */
+  async _getTransaction (client, hash) {
+    try {
+      return (await client.chain.getTransactionByHash(hash)) || null
+    } catch (e) {
+      if (!(e instanceof TxNotFoundError)) throw e
+      return null
+    }
+  }
+
+  /**
+   * @return {Promise<string>} Resolves with the first hash of a confirmed
+   *  transaction, or null
+   */
+  async _findConfirmed (client, hashes) {
+    for (const hash of hashes) {
+      const tx = await this._getTransaction(client, hash)
+      if (tx && tx.confirmations > 0) return hash
+    }
+
+    return null
+  }
+
+  /**
+   * Look for a swap transaction from the scan block of the leg. Providers that
+   * do not scan blocks are only asked once, with the current height.
+   * @return {Promise<Transaction>} Resolves with the transaction, or null
+   */
+  async _scan (client, leg, find) {
+    const height = await client.chain.getBlockHeight()
+
+    if (!client.swap.doesBlockScan) return (await find(height)) || null
+
+    for (let blockNumber = leg.scanBlock; blockNumber <= height; blockNumber++) {
+      const tx = await find(blockNumber)
+      if (tx) {
+        leg.scanBlock = blockNumber
+        return tx
+      }
+    }
+
+    leg.scanBlock = height + 1
+    return null
+  }
+
+  /**
+   * @param {!object} leg
+   * @param {number} [margin=0] - Seconds before the expiration from which the
+   *  leg counts as expired
+   * @return {Promise<boolean>} Resolves with true once the chain time is past
+   *  the expiration, when the refund is valid (BIP113 on Bitcoin)
+   */
+  async _hasExpired (leg, margin = 0) {
+    const chainTime = await this.getClient(leg).chain.getChainTime()
+    return chainTime + margin > leg.expiration
+  }
+
+  async _transition (swap, state) {
+    if (!TRANSITIONS[swap.state].includes(state)) {
+      throw new InvalidSwapStateError(`Swap ${swap.secretHash} cannot move from ${swap.state} to ${state}`, { secretHash: swap.secretHash, state: swap.state })
+    }
+
+    const previousState = swap.state
+    swap.state = state
+    await this._save(swap)
+
+    this.emit('state', swap, previousState)
+    return swap
+  }
+
+  /**
+   * Run a task once the tasks running on the same swap settled.
+   */
+  async _lock (secretHash, task) {
+    const previous = this._locks.get(secretHash) || Promise.resolve()
+    const run = previous.then(task)
+    const settled = run.catch(() => {})
+    this._locks.set(secretHash, settled)
+
+    try {
+      return await run
+    } finally {
+      if (this._locks.get(secretHash) === settled) this._locks.delete(secretHash)
+    }
+  }
+
+  async _read (key) {
+    const value = await this._store.get(key)
+    return isString(value) ? JSON.parse(value) : null
+  }
+
+  async _save (swap) {
+    swap.updatedAt = Date.now()
+    await this._store.set(KEY_PREFIX + swap.secretHash, JSON.stringify(swap))
+    return swap
+  }
+}
+
+SwapManager.STATES = STATES
+
+export { STATES, ourLeg, theirLeg, isFinal }
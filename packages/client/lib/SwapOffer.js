@@ -0,0 +1,342 @@
+import { isNumber, isObject, isString } from 'lodash'
+
+import { sha256 } from '@liquality/crypto'
+import { addressToString } from '@liquality/utils'
+import { InvalidSwapOfferError } from '@liquality/errors'
+import { verifyMessage as verifyBitcoinMessage } from '@liquality/bitcoin-utils'
+import { verifyMessage as verifyEthereumMessage } from '@liquality/ethereum-utils'
+
+const VERSION = 1
+
+const TYPES = {
+  OFFER: 'offer',
+  ACCEPTANCE: 'acceptance'
+}
+
+/**
+ * Serialize a value to JSON with sorted keys, so that both parties sign and
+ * hash the same string.
+ */
+function canonicalize (value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`
+  }
+
+  return JSON.stringify(value)
+}
+
+/**
+ * Message signed by the wallet: the canonical JSON of the message without
+ * its signature.
+ */
+function signedMessage ({ signature, ...message }) {
+  return canonicalize(message)
+}
+
+/**
+ * Verifier of the signatures of the wallets of a chain, picked from its
+ * network: Bitcoin-like networks have a message prefix, Ethereum networks a
+ * chain id.
+ */
+function getVerifier (network) {
+  if (isString(network.messagePrefix)) return verifyBitcoinMessage
+  if (isNumber(network.chainId)) return verifyEthereumMessage
+}
+
+function isAmount (value) {
+  return isString(value) && /^[0-9]+$/.test(value)
+}
+
+function assertValid (message) {
+  const invalid = reason => new InvalidSwapOfferError(`Invalid swap ${(message && message.type) || 'message'}: ${reason}`, { secretHash: message && message.secretHash })
+
+  if (!isObject(message)) throw invalid('should be an object')
+  if (message.version !== VERSION) throw invalid(`version ${message.version} is not supported`)
+  if (!Object.values(TYPES).includes(message.type)) throw invalid(`type should be one of ${Object.values(TYPES).join(', ')}`)
+  if (!(/^[a-f0-9]{64}$/.test(message.secretHash))) throw invalid('secret hash should be a 32 byte lowercase hex string')
+  if (!isObject(message.initiation) || !isObject(message.participation)) throw invalid('initiation and participation should be objects')
+  if (message.signature === undefined) throw invalid('it is not signed')
+
+  const { initiation, participation } = message
+
+  if (message.type === TYPES.OFFER) {
+    for (const [ name, leg, address ] of [ [ 'initiation', initiation, 'refundAddress' ], [ 'participation', participation, 'recipientAddress' ] ]) {
+      if (!isString(leg.asset)) throw invalid(`"${name}.asset" should be a string`)
+      if (!isAmount(leg.value)) throw invalid(`"${name}.value" should be an amount in base units`)
+      if (!isNumber(leg.expiration)) throw invalid(`"${name}.expiration" should be a number`)
+      if (!isString(leg[address])) throw invalid(`"${name}.${address}" should be a string`)
+    }
+  } else {
+    if (!(/^[a-f0-9]{64}$/.test(message.offer))) throw invalid('offer should be the hash of the accepted offer')
+    if (!isString(initiation.recipientAddress)) throw invalid('"initiation.recipientAddress" should be a string')
+    if (!isString(participation.refundAddress)) throw invalid('"participation.refundAddress" should be a string')
+  }
+
+  return message
+}
+
+/**
+ * Hash identifying a signed swap message.
+ * @param {!object} message - Signed offer or acceptance
+ * @return {string} sha256 of the canonical JSON of the message in hex
+ */
+function hashMessage (message) {
+  return sha256(Buffer.from(canonicalize(message)))
+}
+
+/**
+ * Encode a signed swap message into a compact, URL safe string.
+ * @param {!object} message - Signed offer or acceptance
+ * @return {string}
+ */
+function encode (message) {
+  const { version, type, secretHash, initiation, participation, signature } = assertValid(message)
+
+  const fields = type === TYPES.OFFER
+    ? [ version, 'o', secretHash,
+      initiation.asset, initiation.value, initiation.refundAddress, initiation.expiration,
+      participation.asset, participation.value, participation.recipientAddress, participation.expiration,
+      signature ]
+    : [ version, 'a', secretHash, message.offer, initiation.recipientAddress, participation.refundAddress, signature ]
+
+  return Buffer.from(JSON.stringify(fields)).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Decode a swap message encoded with `encode`.
+ * @param {!string} encoded
+ * @return {object} Signed offer or acceptance
+ * @throws {InvalidSwapOfferError} When the message is malformed or of an
+ *  unsupported version
+ */
+function decode (encoded) {
+  let fields
+  try {
+    fields = JSON.parse(Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString())
+  } catch (e) {
+    throw new InvalidSwapOfferError('Invalid swap message: cannot be decoded')
+  }
+
+  if (!Array.isArray(fields)) throw new InvalidSwapOfferError('Invalid swap message: cannot be decoded')
+
+  const [ version, type, secretHash ] = fields
+
+  if (type === 'o') {
+    const [ , , , initiationAsset, initiationValue, refundAddress, initiationExpiration, participationAsset, participationValue, recipientAddress, participationExpiration, signature ] = fields
+    return assertValid({
+      version,
+      type: TYPES.OFFER,
+      secretHash,
+      initiation: { asset: initiationAsset, value: initiationValue, refundAddress, expiration: initiationExpiration },
+      participation: { asset: participationAsset, value: participationValue, recipientAddress, expiration: participationExpiration },
+      signature
+    })
+  }
+
+  const [ , , , offer, recipientAddress, refundAddress, signature ] = fields
+  return assertValid({
+    version,
+    type: type === 'a' ? TYPES.ACCEPTANCE : type,
+    secretHash,
+    offer,
+    initiation: { recipientAddress },
+    participation: { refundAddress },
+    signature
+  })
+}
+
+/**
+ * Legs of the swap agreed by an offer and its acceptance.
+ */
+function toLegs (offer, acceptance) {
+  assertValid(offer)
+  assertValid(acceptance)
+
+  if (acceptance.offer !== hashMessage(offer) || acceptance.secretHash !== offer.secretHash) {
+    throw new InvalidSwapOfferError('Acceptance is not of this offer', { secretHash: offer.secretHash })
+  }
+
+  return {
+    initiation: { ...offer.initiation, recipientAddress: acceptance.initiation.recipientAddress },
+    participation: { ...offer.participation, refundAddress: acceptance.participation.refundAddress }
+  }
+}
+
+/**
+ * Arguments of `client.swap.initiateSwap(...args)` and
+ * `client.swap.verifyInitiateSwapTransaction(initiationTxHash, ...args)` for
+ * each leg of an accepted offer.
+ * @param {!object} offer - Signed offer
+ * @param {!object} acceptance - Signed acceptance of the offer
+ * @return {object} `{ initiation, participation }`, each `{ asset, args }`
+ * @throws {InvalidSwapOfferError} When the acceptance is not of the offer
+ */
+function toSwapArgs (offer, acceptance) {
+  const legs = toLegs(offer, acceptance)
+  const args = ({ asset, value, recipientAddress, refundAddress, expiration }) => ({
+    asset,
+    args: [ value, recipientAddress, refundAddress, offer.secretHash, expiration ]
+  })
+
+  return {
+    initiation: args(legs.initiation),
+    participation: args(legs.participation)
+  }
+}
+
+/**
+ * Parameters of `SwapManager.create` for an accepted offer. The initiator
+ * adds the `secret`.
+ * @param {!object} offer - Signed offer
+ * @param {!object} acceptance - Signed acceptance of the offer
+ * @param {!string} role - `initiator` or `participant`
+ * @return {object}
+ * @throws {InvalidSwapOfferError} When the acceptance is not of the offer
+ */
+function toSwapParams (offer, acceptance, role) {
+  return { role, secretHash: offer.secretHash, ...toLegs(offer, acceptance) }
+}
+
+export default class SwapOffer {
+  /**
+   * SwapOffer creates, signs and verifies the messages counterparties
+   * exchange to agree on a swap. The initiator signs an offer with the wallet
+   * of the leg it funds, from its refund address: the secret hash, both
+   * assets, values and expirations, its refund address and the address
+   * receiving the participation. The participant accepts it by signing, from
+   * its own refund address, the hash of the offer with the two remaining
+   * addresses. Messages are plain JSON objects, see `encode` for their compact
+   * form. Signatures are verified without the wallets, with the schemes of the
+   * wallets of the chain of the asset, see `verifyMessage` of
+   * `@liquality/bitcoin-utils` and `@liquality/ethereum-utils`.
+   * @param {!ClientRegistry} registry - Clients of the assets of the swaps
+   */
+  constructor (registry) {
+    this._registry = registry
+  }
+
+  /**
+   * Create a signed offer.
+   * @param {!object} params
+   * @param {!string} params.secretHash - Secret hash of the swap in hex
+   * @param {!object} params.initiation - Leg funded by the initiator:
+   *  `{ asset, value, refundAddress, expiration }`
+   * @param {!object} params.participation - Leg funded by the participant:
+   *  `{ asset, value, recipientAddress, expiration }`
+   * @return {Promise<object>} Resolves with the signed offer
+   */
+  async create ({ secretHash, initiation = {}, participation = {} }) {
+    const offer = {
+      version: VERSION,
+      type: TYPES.OFFER,
+      secretHash: isString(secretHash) ? secretHash.toLowerCase() : secretHash,
+      initiation: {
+        asset: initiation.asset,
+        value: String(initiation.value),
+        refundAddress: initiation.refundAddress && addressToString(initiation.refundAddress),
+        expiration: initiation.expiration
+      },
+      participation: {
+        asset: participation.asset,
+        value: String(participation.value),
+        recipientAddress: participation.recipientAddress && addressToString(participation.recipientAddress),
+        expiration: participation.expiration
+      }
+    }
+
+    return this._sign(offer, offer.initiation.asset, offer.initiation.refundAddress)
+  }
+
+  /**
+   * Accept a verified offer.
+   * @param {!object} offer - Signed offer
+   * @param {!object} addresses
+   * @param {!object} addresses.initiation - `{ recipientAddress }` receiving
+   *  the leg of the initiator
+   * @param {!object} addresses.participation - `{ refundAddress }` refunded
+   *  the leg of the participant
+   * @return {Promise<object>} Resolves with the signed acceptance
+   * @throws {InvalidSwapOfferError} When the offer is invalid
+   */
+  async accept (offer, { initiation = {}, participation = {} }) {
+    await this.verify(offer)
+
+    const acceptance = {
+      version: VERSION,
+      type: TYPES.ACCEPTANCE,
+      secretHash: offer.secretHash,
+      offer: hashMessage(offer),
+      initiation: { recipientAddress: initiation.recipientAddress && addressToString(initiation.recipientAddress) },
+      participation: { refundAddress: participation.refundAddress && addressToString(participation.refundAddress) }
+    }
+
+    return this._sign(acceptance, offer.participation.asset, acceptance.participation.refundAddress)
+  }
+
+  /**
+   * Verify the signature of an offer, or of an acceptance and the offer it
+   * accepts.
+   * @param {!object} message - Signed offer or acceptance
+   * @param {object} [offer] - Signed offer, required to verify an acceptance
+   * @return {Promise<boolean>} Resolves with true
+   * @throws {InvalidSwapOfferError} When a message is malformed, not signed
+   *  by its party or the acceptance is not of the offer
+   */
+  async verify (message, offer) {
+    assertValid(message)
+
+    if (message.type === TYPES.OFFER) {
+      return this._verifySignature(message, message.initiation.asset, message.initiation.refundAddress)
+    }
+
+    if (!offer) throw new InvalidSwapOfferError('The offer is required to verify an acceptance', { secretHash: message.secretHash })
+
+    const { participation } = toLegs(offer, message)
+    await this.verify(offer)
+    return this._verifySignature(message, participation.asset, participation.refundAddress)
+  }
+
+  async _sign (message, asset, address) {
+    assertValid({ ...message, signature: null })
+
+    const signature = await this._getClient(asset).wallet.signMessage(signedMessage(message), address)
+    return { ...message, signature }
+  }
+
+  _verifySignature (message, asset, address) {
+    const network = this._registry.getNetwork(asset)
+    if (!network) throw new TypeError(`No client registered for ${asset}`)
+
+    const verifyMessage = getVerifier(network)
+    if (!verifyMessage) throw new TypeError(`Signatures of ${asset} cannot be verified`)
+
+    const valid = verifyMessage(signedMessage(message), message.signature, address, network)
+
+    if (!valid) {
+      throw new InvalidSwapOfferError(`Swap ${message.type} is not signed by ${address}`, { secretHash: message.secretHash })
+    }
+
+    return true
+  }
+
+  _getClient (asset) {
+    const client = this._registry.get(asset)
+    if (!client) throw new TypeError(`No client registered for ${asset}`)
+
+    return client
+  }
+}
+
+SwapOffer.VERSION = VERSION
+SwapOffer.TYPES = TYPES
+SwapOffer.encode = encode
+SwapOffer.decode = decode
+SwapOffer.hashMessage = hashMessage
+SwapOffer.toSwapArgs = toSwapArgs
+SwapOffer.toSwapParams = toSwapParams
+
+export { VERSION, TYPES, encode, decode, hashMessage, toSwapArgs, toSwapParams }
@@ -0,0 +1,143 @@
+import { isNumber, isObject } from 'lodash'
+
+import { UnsafeSwapError } from '@liquality/errors'
+
+const DEFAULT_OPTIONS = {
+  minMargin: 21600,
+  margins: {},
+  blockTimeVariance: 900,
+  clockSkew: 300
+}
+
+const REASONS = {
+  EXPIRED: 'expired',
+  MARGIN: 'margin'
+}
+
+const LEGS = [ 'initiation', 'participation' ]
+
+export default class SwapPolicy {
+  /**
+   * SwapPolicy validates the expirations of the two legs of a swap before
+   * they are funded. The participant must be able to claim the leg of the
+   * initiator after the initiator claimed the leg of the participant, so the
+   * expiration of the participation must be sufficiently earlier than the
+   * expiration of the initiation. Expirations are compared with the time of
+   * each chain, which lags the wall clock by up to the block time variance of
+   * the chain.
+   * @param {!ClientRegistry} registry - Clients of the assets of the swaps
+   * @param {object} [options]
+   * @param {number} [options.minMargin=21600] - Seconds required between the
+   *  expiration of the participation and the initiation
+   * @param {object} [options.margins] - `minMargin` per chain pair, keyed by
+   *  `<initiation asset>:<participation asset>`, e.g. `{ 'BTC:ETH': 43200 }`
+   * @param {number|object} [options.blockTimeVariance=900] - Seconds the time
+   *  of a chain may differ from the wall clock, for every chain or per asset,
+   *  e.g. `{ BTC: 7200, ETH: 60 }`. Assets missing from the object use 900.
+   * @param {number} [options.clockSkew=300] - Seconds allowed for the clocks of
+   *  the parties of the swap to differ
+   */
+  constructor (registry, options = {}) {
+    this._registry = registry
+    this._options = { ...DEFAULT_OPTIONS, ...options }
+  }
+
+  /**
+   * Seconds required between the expiration of the participation and the
+   * initiation of a chain pair, allowances included.
+   * @param {!string} initiationAsset - Asset of the leg of the initiator
+   * @param {!string} participationAsset - Asset of the leg of the participant
+   * @return {number}
+   */
+  getMargin (initiationAsset, participationAsset) {
+    const margin = this._options.margins[`${initiationAsset}:${participationAsset}`]
+
+    return (isNumber(margin) ? margin : this._options.minMargin) +
+      this.getBlockTimeVariance(initiationAsset) +
+      this.getBlockTimeVariance(participationAsset) +
+      this._options.clockSkew
+  }
+
+  /**
+   * @param {!string} asset
+   * @return {number} Seconds the time of the chain of the asset may differ
+   *  from the wall clock
+   */
+  getBlockTimeVariance (asset) {
+    const { blockTimeVariance } = this._options
+    if (!isObject(blockTimeVariance)) return blockTimeVariance
+
+    return isNumber(blockTimeVariance[asset]) ? blockTimeVariance[asset] : DEFAULT_OPTIONS.blockTimeVariance
+  }
+
+  /**
+   * Check the expirations of a pair of swap legs.
+   * @param {!object} params
+   * @param {!object} params.initiation - Leg funded by the initiator:
+   *  `{ asset, expiration }`
+   * @param {!object} params.participation - Leg funded by the participant
+   * @return {Promise<object[]>} Resolves with the reasons the swap is unsafe,
+   *  empty when it is safe. A reason has a `code` from `SwapPolicy.REASONS`,
+   *  a `message` and the values compared.
+   * @throws {TypeError} When a leg is invalid or its asset has no client
+   */
+  async check ({ initiation, participation } = {}) {
+    const legs = { initiation, participation }
+    const reasons = []
+
+    for (const name of LEGS) {
+      const leg = legs[name]
+      if (!isObject(leg) || !isNumber(leg.expiration)) throw new TypeError(`"${name}.expiration" should be a number`)
+
+      const client = this._registry.get(leg.asset)
+      if (!client) throw new TypeError(`No client registered for ${leg.asset}`)
+
+      const chainTime = await client.chain.getChainTime()
+      const required = this.getBlockTimeVariance(leg.asset) + this._options.clockSkew
+      const remaining = leg.expiration - chainTime
+
+      if (remaining < required) {
+        reasons.push({
+          code: REASONS.EXPIRED,
+          message: `${name} expiration ${leg.expiration} is ${remaining}s after the ${leg.asset} chain time ${chainTime}, at least ${required}s are required`,
+          leg: name,
+          expiration: leg.expiration,
+          chainTime,
+          required
+        })
+      }
+    }
+
+    const required = this.getMargin(initiation.asset, participation.asset)
+    const margin = initiation.expiration - participation.expiration
+
+    if (margin < required) {
+      reasons.push({
+        code: REASONS.MARGIN,
+        message: `participation expires ${margin}s before the initiation, at least ${required}s are required for ${initiation.asset}:${participation.asset}`,
+        margin,
+        required
+      })
+    }
+
+    return reasons
+  }
+
+  /**
+   * Check the expirations of a pair of swap legs and refuse unsafe ones.
+   * @param {!object} params - Legs of the swap, see `check`
+   * @return {Promise}
+   * @throws {UnsafeSwapError} With the `reasons` the swap is unsafe
+   */
+  async validate (params) {
+    const reasons = await this.check(params)
+
+    if (reasons.length > 0) {
+      throw new UnsafeSwapError(`Unsafe swap: ${reasons.map(reason => reason.message).join('; ')}`, { reasons })
+    }
+  }
+}
+
+SwapPolicy.REASONS = REASONS
+
+export { REASONS }
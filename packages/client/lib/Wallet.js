@@ -1,6 +1,6 @@
 import { isArray } from 'lodash'
 
-import { InvalidProviderResponseError, UnimplementedMethodError } from '@liquality/errors'
+import { InvalidProviderResponseError } from '@liquality/errors'
 
 export default class Wallet {
   constructor (client) {
@@ -53,6 +53,18 @@ export default class Wallet {
     return this.client.getMethod('signMessage')(message, from)
   }
 
+  /**
+   * Verify a message signed with `signMessage`.
+   * @param {!string} message - Message that was signed.
+   * @param {!string|object} signature - Signature returned by `signMessage`.
+   * @param {!string} address - The address from which the message was signed.
+   * @return {Promise<boolean>} Resolves with true if the address signed the
+   *  message.
+   */
+  async verifyMessage (message, signature, address) {
+    return this.client.getMethod('verifyMessage')(message, signature, address)
+  }
+
   /**
    * Retrieve the availability status of the wallet
    * @return {Promise<Boolean>} True if the wallet is available to use
@@ -71,14 +83,9 @@ export default class Wallet {
 
   /**
    * Flag indicating if the wallet allows apps to update transaction fees
-   * @return {Promise<Boolean>} True if wallet accepts fee updating
+   * @return {boolean} True if wallet accepts fee updating
    */
   get canUpdateFee () {
-    try {
-      return this.client.getMethod('canUpdateFee')()
-    } catch (e) {
-      if (!(e instanceof UnimplementedMethodError)) throw e
-    }
-    return true
+    return this.client.getCapability('canUpdateFee')
   }
 }
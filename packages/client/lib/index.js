@@ -1,3 +1,16 @@
 import Client from './Client'
+import ClientRegistry from './ClientRegistry'
+import SwapManager from './SwapManager'
+import RefundWatcher from './RefundWatcher'
+import ClaimWatcher from './ClaimWatcher'
+import SwapPolicy from './SwapPolicy'
+import SwapOffer from './SwapOffer'
+
+Client.ClientRegistry = ClientRegistry
+Client.SwapManager = SwapManager
+Client.RefundWatcher = RefundWatcher
+Client.ClaimWatcher = ClaimWatcher
+Client.SwapPolicy = SwapPolicy
+Client.SwapOffer = SwapOffer
 
 export default Client
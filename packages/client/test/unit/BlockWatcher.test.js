@@ -0,0 +1,112 @@
+/* eslint-env mocha */
+
+import Client from '../../lib'
+import Provider from '../../../provider/lib'
+
+const { expect } = require('chai')
+
+const hash = (fork, number) => fork + String(number).padStart(63, '0')
+
+const block = (number, fork = 'a', parentFork = fork) => ({
+  hash: hash(fork, number),
+  number,
+  timestamp: 1577836800 + number,
+  size: 1000,
+  parentHash: hash(parentFork, number - 1),
+  nonce: number
+})
+
+class ChainProvider extends Provider {
+  constructor (blocks) {
+    super()
+    this.blocks = blocks
+    this.transactions = {}
+  }
+
+  async getBlockHeight () {
+    return this.blocks[this.blocks.length - 1].number
+  }
+
+  async getBlockByNumber (number) {
+    return this.blocks.find(block => block.number === number)
+  }
+
+  async getTransactionByHash (txHash) {
+    return this.transactions[txHash]
+  }
+}
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve))
+
+describe('Block watcher', () => {
+  let client
+  let provider
+  let watcher
+
+  beforeEach(() => {
+    client = new Client()
+    provider = new ChainProvider([ block(1), block(2), block(3) ])
+    client.addProvider(provider)
+  })
+
+  afterEach(() => {
+    if (watcher) watcher.stop()
+  })
+
+  it('should emit the tip and new blocks in order', async () => {
+    const numbers = []
+    watcher = client.chain.watchBlocks(block => numbers.push(block.number), { pollInterval: 10 })
+    await once(watcher, 'block')
+
+    provider.blocks.push(block(4), block(5))
+    while (numbers.length < 3) await once(watcher, 'block')
+
+    expect(numbers).to.deep.equal([3, 4, 5])
+  })
+
+  it('should emit the orphaned range on reorg', async () => {
+    watcher = client.chain.watchBlocks({ pollInterval: 10, maxReorgDepth: 10 })
+    await once(watcher, 'block')
+
+    provider.blocks.push(block(4))
+    await once(watcher, 'block')
+
+    const numbers = []
+    watcher.on('block', block => numbers.push(block.number + block.hash[0]))
+    const reorg = once(watcher, 'reorg')
+    provider.blocks = [ block(1), block(2), block(3, 'b', 'a'), block(4, 'b'), block(5, 'b') ]
+
+    const { orphaned, from, to } = await reorg
+    expect(orphaned.map(block => block.hash)).to.deep.equal([ hash('a', 3), hash('a', 4) ])
+    expect([from, to]).to.deep.equal([3, 4])
+
+    while (numbers.length < 3) await once(watcher, 'block')
+    expect(numbers).to.deep.equal([ '3b', '4b', '5b' ])
+  })
+
+  it('should emit tx-confirmed when the transaction has enough confirmations', async () => {
+    const txHash = hash('f', 1)
+    watcher = client.chain.watchBlocks({ pollInterval: 10 }).watchTransaction(txHash, 2)
+    provider.transactions[txHash] = { hash: txHash, value: 1, confirmations: 1 }
+    await once(watcher, 'block')
+
+    const confirmed = once(watcher, 'tx-confirmed')
+    provider.transactions[txHash] = { hash: txHash, value: 1, confirmations: 2 }
+
+    expect((await confirmed).hash).to.equal(txHash)
+  })
+
+  it('should iterate over new blocks', async () => {
+    watcher = client.chain.watchBlocks({ pollInterval: 10 })
+    const numbers = []
+
+    setTimeout(() => provider.blocks.push(block(4)), 20)
+    for await (const block of watcher) {
+      numbers.push(block.number)
+      if (numbers.length === 2) break
+    }
+
+    expect(numbers).to.deep.equal([3, 4])
+    expect(watcher.running).to.equal(false)
+  })
+})
@@ -0,0 +1,146 @@
+/* eslint-env mocha */
+
+import Client from '../../lib'
+
+import { createSwapFixture, secret, secretHash, swapParams } from './mock'
+
+const { expect } = require('chai').use(require('chai-as-promised'))
+
+const { SwapManager, ClaimWatcher } = Client
+
+function once (emitter, event) {
+  return new Promise(resolve => emitter.once(event, (...args) => resolve(args)))
+}
+
+describe('ClaimWatcher', () => {
+  let btc
+  let eth
+  let registry
+  let alice
+  let bob
+  let watcher
+
+  beforeEach(async () => {
+    ;({ btc, eth, registry } = createSwapFixture())
+
+    alice = new SwapManager(registry)
+    bob = new SwapManager(registry)
+    await alice.create(swapParams('initiator'))
+    await bob.create(swapParams('participant'))
+
+    await alice.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await alice.advance(secretHash)
+    await alice.advance(secretHash)
+  })
+
+  afterEach(() => {
+    if (watcher) watcher.stop()
+  })
+
+  it('should claim as soon as the claim of the initiator enters the mempool', async () => {
+    watcher = new ClaimWatcher(bob, { pollInterval: 60000 }).start()
+    const claimed = once(watcher, 'claimed')
+
+    eth.autoMine = false
+    expect((await alice.advance(secretHash)).state).to.equal('verified')
+
+    const [ swap ] = await claimed
+    expect(swap.state).to.equal('claimed')
+    expect(swap.secret).to.equal(secret)
+    expect(swap.participation.claimTxHash).to.equal(eth.mempool[0].hash)
+    expect(eth.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate' ])
+    expect(btc.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate', 'claim' ])
+
+    eth.mine()
+    expect((await alice.advance(secretHash)).state).to.equal('claimed')
+  })
+
+  it('should only decode pending transactions to the contract of our leg', async () => {
+    watcher = new ClaimWatcher(bob, { pollInterval: 60000 }).start()
+    const claimed = once(watcher, 'claimed')
+
+    const decoded = []
+    const getSwapSecret = eth.getSwapSecret
+    eth.getSwapSecret = async hash => {
+      decoded.push(hash)
+      return getSwapSecret.call(eth, hash)
+    }
+
+    eth.autoMine = false
+    await new Promise(resolve => setImmediate(resolve))
+    expect(eth.subscriptions.map(subscription => subscription.type)).to.include('newPendingTransactions')
+    eth.send({ type: 'claim', initiationTxHash: 'f'.repeat(64), secret })
+    await alice.advance(secretHash)
+    await claimed
+
+    expect(decoded).to.deep.equal([ eth.mempool[1].hash ])
+    expect((await bob.get(secretHash)).participation.claimTxHash).to.equal(eth.mempool[1].hash)
+  })
+
+  it('should find the claim in new blocks without the mempool', async () => {
+    watcher = new ClaimWatcher(bob, { pollInterval: 60000, mempool: false }).start()
+    const events = []
+    ;[ 'secret', 'claimed', 'unsafe-margin' ].forEach(event => watcher.on(event, () => events.push(event)))
+    const claimed = once(watcher, 'claimed')
+
+    eth.autoMine = false
+    await alice.advance(secretHash)
+    await watcher.check()
+    expect(events).to.deep.equal([])
+
+    eth.mine()
+    await claimed
+
+    expect(events).to.deep.equal([ 'secret', 'claimed' ])
+    expect((await bob.get(secretHash)).state).to.equal('claimed')
+    expect(btc.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate', 'claim' ])
+  })
+
+  it('should emit claimed once the claim confirms', async () => {
+    watcher = new ClaimWatcher(bob, { pollInterval: 60000, mempool: false }).start()
+    const claimed = once(watcher, 'claimed')
+
+    btc.autoMine = false
+    await alice.advance(secretHash)
+    await watcher.check()
+    expect((await bob.get(secretHash)).state).to.equal('secret-revealed')
+
+    btc.mine()
+    const [ swap ] = await claimed
+    expect(swap.state).to.equal('claimed')
+    expect(swap.initiation.claimTxHash).to.equal(btc.transactions[1].hash)
+  })
+
+  it('should alert once when the margin to claim is unsafe', async () => {
+    watcher = new ClaimWatcher(bob, { minMargin: 3600 })
+    const alerts = []
+    watcher.on('unsafe-margin', (swap, margin) => alerts.push(margin))
+
+    await watcher.check()
+    expect(alerts).to.deep.equal([])
+
+    btc.time = 2000
+    btc.mine([])
+    await watcher.check()
+    await watcher.check()
+    expect(alerts).to.deep.equal([ 3000 ])
+
+    await alice.advance(secretHash)
+    await watcher.check()
+    expect((await bob.get(secretHash)).state).to.equal('claimed')
+  })
+
+  it('should stop watching the chains', async () => {
+    watcher = new ClaimWatcher(bob).start()
+    expect(watcher.running).to.equal(true)
+    expect(eth.subscriptions.map(subscription => subscription.type)).to.include('newPendingTransactions')
+
+    watcher.stop()
+    await new Promise(resolve => setImmediate(resolve))
+    expect(watcher.running).to.equal(false)
+    expect(eth.subscriptions).to.deep.equal([])
+  })
+})
@@ -1,6 +1,19 @@
 /* eslint-env mocha */
 
 import Client from '../../lib'
+import Provider from '../../../provider/lib'
+import InjectedProvider from '../../../injected-provider/lib'
+import {
+  AbortError,
+  DuplicateProviderError,
+  InvalidProviderResponseError,
+  NetworkMismatchError,
+  NodeError,
+  TimeoutError,
+  TxDroppedError,
+  TxReplacedError,
+  TxRevertedError
+} from '@liquality/errors'
 
 const { expect } = require('chai').use(require('chai-as-promised'))
 
@@ -35,3 +48,619 @@ describe('Client methods without providers', () => {
     })
   })
 })
+
+describe('Client middlewares', () => {
+  class BlockProvider extends Provider {
+    async getBlockHeight () {
+      return 100
+    }
+
+    async getTransactionByHash (txHash) {
+      throw new Error(`Transaction ${txHash} not found`)
+    }
+
+    getNetworkName () {
+      return 'regtest'
+    }
+  }
+
+  let client
+  let provider
+
+  beforeEach(() => {
+    client = new Client()
+    provider = new BlockProvider()
+    client.addProvider(provider)
+  })
+
+  it('should throw TypeError when middleware has no hooks', () => {
+    expect(() => client.use({})).to.throw(TypeError)
+    expect(() => client.use(null)).to.throw(TypeError)
+  })
+
+  it('should call before and after hooks with method, args, provider and result', async () => {
+    const calls = []
+    client.use({
+      before: context => calls.push([ 'before', context.method, context.args, context.provider ]),
+      after: context => calls.push([ 'after', context.method, context.result ])
+    })
+
+    const height = await client.chain.getBlockHeight()
+
+    expect(height).to.equal(100)
+    expect(calls).to.deep.equal([
+      [ 'before', 'getBlockHeight', [], provider ],
+      [ 'after', 'getBlockHeight', 100 ]
+    ])
+  })
+
+  it('should call error hooks and rethrow', async () => {
+    const errors = []
+    client.use({ error: context => errors.push(context.error.message) })
+
+    await expect(client.chain.getTransactionByHash('abcd')).to.be.rejectedWith('Transaction abcd not found')
+    expect(errors).to.deep.equal([ 'Transaction abcd not found' ])
+  })
+
+  it('should allow hooks to replace arguments and results', async () => {
+    client.use({ before: context => { context.args = [ 'ef01' ] } })
+    client.use({ after: context => { context.result = context.result + 1 } })
+
+    await expect(client.chain.getTransactionByHash('abcd')).to.be.rejectedWith('Transaction ef01 not found')
+    expect(await client.chain.getBlockHeight()).to.equal(101)
+  })
+
+  it('should run before hooks in order and after hooks in reverse order', async () => {
+    const calls = []
+    client.use({ before: () => calls.push('before 1'), after: () => calls.push('after 1') })
+    client.use({ before: () => calls.push('before 2'), after: () => calls.push('after 2') })
+
+    await client.chain.getBlockHeight()
+
+    expect(calls).to.deep.equal([ 'before 1', 'before 2', 'after 2', 'after 1' ])
+  })
+
+  it('should keep synchronous methods synchronous', () => {
+    const calls = []
+    client.use({ after: context => calls.push(context.result) })
+
+    expect(client.getMethod('getNetworkName')()).to.equal('regtest')
+    expect(calls).to.deep.equal([ 'regtest' ])
+  })
+})
+
+describe('Client capabilities', () => {
+  class ChainProvider extends Provider {
+    async getBlockHeight () {
+      return 100
+    }
+
+    async getTransactionByHash () {}
+  }
+
+  class WalletProvider extends Provider {
+    async getAddresses () {
+      return []
+    }
+
+    async signMessage () {}
+  }
+
+  class ExplorerProvider extends Provider {
+    async findClaimSwapTransaction () {}
+  }
+
+  ExplorerProvider.capabilities = { doesBlockScan: false, canUpdateFee: true }
+  WalletProvider.capabilities = { canUpdateFee: false }
+
+  let client
+
+  beforeEach(() => {
+    client = new Client()
+    client.addProvider(new ChainProvider())
+    client.addProvider(new WalletProvider())
+  })
+
+  it('should tell whether a method is supported', () => {
+    expect(client.supports('getBlockHeight')).to.equal(true)
+    expect(client.supports('updateTransactionFee')).to.equal(false)
+    expect(client.supports('generateSecret')).to.equal(true)
+    expect(client.supports('waitForConfirmations')).to.equal(true)
+    expect(new Client().supports('getBlockHeight')).to.equal(false)
+  })
+
+  it('should use the declaration of the highest provider in the stack', () => {
+    expect(client.wallet.canUpdateFee).to.equal(false)
+    expect(client.swap.doesBlockScan).to.equal(true)
+
+    client.addProvider(new ExplorerProvider())
+
+    expect(client.wallet.canUpdateFee).to.equal(true)
+    expect(client.swap.doesBlockScan).to.equal(false)
+  })
+
+  it('should describe the provider serving each method', () => {
+    const description = client.describe()
+
+    expect(description.chain.getBlockHeight).to.equal('ChainProvider')
+    expect(description.chain.waitForConfirmations).to.equal('ChainProvider')
+    expect(description.chain.sendTransaction).to.equal(null)
+    expect(description.wallet.getAddresses).to.equal('WalletProvider')
+    expect(description.swap.generateSecret).to.equal('WalletProvider')
+    expect(description.swap.findClaimSwapTransaction).to.equal(null)
+    expect(description.capabilities).to.deep.equal({ canUpdateFee: false, doesBlockScan: true })
+  })
+
+  it('should forward the capabilities of an injected provider', async () => {
+    const injected = {
+      getMethod: method => async () => {
+        if (method === 'swap.doesBlockScan') return false
+      }
+    }
+
+    client.addProvider(new InjectedProvider(injected))
+    await client.ready()
+
+    expect(client.swap.doesBlockScan).to.equal(false)
+    expect(client.describe().capabilities).to.deep.equal({ canUpdateFee: false, doesBlockScan: false })
+  })
+
+  it('should read deprecated capability methods', () => {
+    class LegacyProvider extends Provider {
+      canUpdateFee () {
+        return true
+      }
+
+      doesBlockScan () {
+        return false
+      }
+    }
+
+    client.addProvider(new LegacyProvider())
+
+    expect(client.wallet.canUpdateFee).to.equal(true)
+    expect(client.swap.doesBlockScan).to.equal(false)
+  })
+})
+
+describe('Client provider groups', () => {
+  class NodeProvider extends Provider {
+    constructor (height, error) {
+      super()
+      this.height = height
+      this.error = error
+    }
+
+    async getBlockHeight () {
+      if (this.error) throw this.error
+      return this.height
+    }
+  }
+
+  class FeeProvider extends Provider {
+    async getFees () {
+      const height = await this.getMethod('getBlockHeight')()
+      return { average: { fee: height } }
+    }
+  }
+
+  let client
+
+  beforeEach(() => {
+    client = new Client()
+  })
+
+  it('should use the first provider of the group', async () => {
+    client.addProvider([ new NodeProvider(1), new NodeProvider(2) ])
+    expect(await client.chain.getBlockHeight()).to.equal(1)
+  })
+
+  it('should fail over to the next provider on node errors', async () => {
+    client.addProvider([
+      new NodeProvider(1, new NodeError('connection refused')),
+      new NodeProvider(2, new NodeError('timeout of 1000ms exceeded')),
+      new NodeProvider(3)
+    ])
+    expect(await client.chain.getBlockHeight()).to.equal(3)
+  })
+
+  it('should not fail over on other errors', async () => {
+    client.addProvider([ new NodeProvider(1, new TypeError('bad input')), new NodeProvider(2) ])
+    await expect(client.chain.getBlockHeight()).to.be.rejectedWith(TypeError)
+  })
+
+  it('should throw the last error when all providers fail', async () => {
+    client.addProvider([ new NodeProvider(1, new NodeError('a down')), new NodeProvider(2, new NodeError('b down')) ])
+    await expect(client.chain.getBlockHeight()).to.be.rejectedWith('b down')
+  })
+
+  it('should resolve methods below the group for providers above it', async () => {
+    client.addProvider([ new NodeProvider(1, new NodeError('a down')), new NodeProvider(2) ])
+    client.addProvider(new FeeProvider())
+    expect(await client.chain.getFees()).to.deep.equal({ average: { fee: 2 } })
+  })
+
+  it('should throw DuplicateProviderError when a group member is already in the stack', () => {
+    client.addProvider(new NodeProvider(1))
+    expect(() => client.addProvider([ new NodeProvider(2) ])).to.throw(DuplicateProviderError)
+  })
+})
+
+describe('Client cancellation', () => {
+  class Signal {
+    constructor () {
+      this.aborted = false
+      this._listeners = []
+    }
+
+    addEventListener (type, listener) {
+      this._listeners.push(listener)
+    }
+
+    removeEventListener (type, listener) {
+      this._listeners = this._listeners.filter(l => l !== listener)
+    }
+
+    abort () {
+      this.aborted = true
+      this._listeners.forEach(listener => listener())
+    }
+  }
+
+  class NodeProvider extends Provider {
+    async getBlockHeight () {
+      return 100
+    }
+
+    async getTransactionByHash () {
+      return { hash: 'a'.repeat(64), value: '0', confirmations: 0 }
+    }
+  }
+
+  class WalletProvider extends Provider {
+    async getAddresses () {
+      this.lastSignal = this.signal
+      return [ await this.getMethod('getBlockHeight')() ]
+    }
+  }
+
+  let client
+  let wallet
+  let signal
+
+  beforeEach(() => {
+    wallet = new WalletProvider()
+    client = new Client().addProvider(new NodeProvider()).addProvider(wallet)
+    signal = new Signal()
+  })
+
+  it('should throw TypeError when the signal is invalid', () => {
+    expect(() => client.withSignal({})).to.throw(TypeError)
+  })
+
+  it('should expose the signal to providers without changing the client', async () => {
+    const scoped = client.withSignal(signal)
+
+    expect(await scoped.wallet.getAddresses()).to.deep.equal([ 100 ])
+    expect(wallet.lastSignal).to.equal(signal)
+    expect(wallet.client).to.equal(client)
+    expect(client.signal).to.equal(undefined)
+  })
+
+  it('should reject with AbortError once aborted', async () => {
+    const scoped = client.withSignal(signal)
+    signal.abort()
+
+    await expect(scoped.chain.getBlockHeight()).to.be.rejectedWith(AbortError)
+    await expect(scoped.wallet.getAddresses()).to.be.rejectedWith(AbortError)
+    expect(await client.chain.getBlockHeight()).to.equal(100)
+  })
+
+  it('should stop waiting for confirmations when aborted', async () => {
+    const promise = client.withSignal(signal).chain.waitForConfirmations('a'.repeat(64), 1, { pollInterval: 10000 })
+    setTimeout(() => signal.abort(), 10)
+
+    await expect(promise).to.be.rejectedWith(AbortError)
+  })
+
+  it('should stop waiting for confirmations with a signal when the client is closed', async () => {
+    const promise = client.withSignal(signal).chain.waitForConfirmations('a'.repeat(64), 1, { pollInterval: 60000 })
+    setTimeout(() => client.close(), 10)
+
+    await expect(promise).to.be.rejectedWith(AbortError)
+    expect(signal._listeners).to.deep.equal([])
+  })
+})
+
+describe('Client lifecycle', () => {
+  const calls = []
+
+  class LifecycleProvider extends Provider {
+    constructor (name, initError) {
+      super()
+      this.name = name
+      this.initError = initError
+    }
+
+    async init () {
+      calls.push(`init ${this.name}`)
+      if (this.initError) throw this.initError
+    }
+
+    async dispose () {
+      calls.push(`dispose ${this.name}`)
+    }
+  }
+
+  class NodeProvider extends LifecycleProvider {
+    async getBlockHeight () {
+      return 100
+    }
+
+    async getBlockByNumber (number) {
+      return { hash: 'a'.repeat(64), number, parentHash: 'b'.repeat(64) }
+    }
+
+    async getTransactionByHash () {
+      return { hash: 'a'.repeat(64), value: '0', confirmations: 0 }
+    }
+  }
+
+  class WalletProvider extends LifecycleProvider {}
+
+  let client
+
+  beforeEach(() => {
+    calls.length = 0
+    client = new Client()
+      .addProvider(new NodeProvider('node'))
+      .addProvider(new WalletProvider('wallet'))
+  })
+
+  it('should init providers when they are added', async () => {
+    await client.ready()
+    expect(calls).to.deep.equal([ 'init node', 'init wallet' ])
+  })
+
+  it('should reject ready with the error of init', async () => {
+    class FeeProvider extends LifecycleProvider {}
+    client.addProvider(new FeeProvider('fee', new Error('Cannot connect')))
+
+    await expect(client.ready()).to.be.rejectedWith('Cannot connect')
+  })
+
+  it('should dispose providers from the top of the stack and stop watchers', async () => {
+    const watcher = client.chain.watchBlocks({ subscribe: false })
+    await client.close()
+
+    expect(calls.slice(2)).to.deep.equal([ 'dispose wallet', 'dispose node' ])
+    expect(watcher.running).to.equal(false)
+    expect(client.closed).to.equal(true)
+    await expect(client.chain.getBlockHeight()).to.be.rejectedWith(AbortError)
+  })
+
+  it('should stop waiting for confirmations when closed', async () => {
+    const promise = client.chain.waitForConfirmations('a'.repeat(64), 1, { pollInterval: 10000 })
+    setTimeout(() => client.close(), 10)
+
+    await expect(promise).to.be.rejectedWith(AbortError)
+  })
+})
+
+describe('Chain waitForConfirmations', () => {
+  const txHash = 'f'.repeat(64)
+
+  class TxProvider extends Provider {
+    constructor (states) {
+      super()
+      this.states = states
+      this.replaced = false
+      this.reverted = false
+    }
+
+    async getTransactionByHash () {
+      const state = this.states.length > 1 ? this.states.shift() : this.states[0]
+      if (state instanceof Error) throw state
+      return state === null ? null : { hash: txHash, value: 1, confirmations: state }
+    }
+
+    async isTransactionReplaced () {
+      return this.replaced
+    }
+
+    async isTransactionReverted () {
+      return this.reverted
+    }
+  }
+
+  const notFound = () => Object.assign(new Error('No such mempool or blockchain transaction'), { code: -5 })
+
+  let client
+  let provider
+
+  const useStates = (...states) => {
+    client = new Client()
+    provider = new TxProvider(states)
+    client.addProvider(provider)
+  }
+
+  it('should resolve with the confirmed transaction', async () => {
+    useStates(null, 0, 1, 2)
+    const tx = await client.chain.waitForConfirmations(txHash, 2, { pollInterval: 1 })
+    expect(tx.confirmations).to.equal(2)
+  })
+
+  it('should treat not found errors as unknown transactions', async () => {
+    useStates(notFound(), 1)
+    const tx = await client.chain.waitForConfirmations(txHash, 1, { pollInterval: 1 })
+    expect(tx.confirmations).to.equal(1)
+  })
+
+  it('should reject with TxDroppedError', async () => {
+    useStates(0, null)
+    await expect(client.chain.waitForConfirmations(txHash, 1, { pollInterval: 1 })).to.be.rejectedWith(TxDroppedError)
+  })
+
+  it('should reject with TxReplacedError', async () => {
+    useStates(0, notFound())
+    provider.replaced = true
+    await expect(client.chain.waitForConfirmations(txHash, 1, { pollInterval: 1 })).to.be.rejectedWith(TxReplacedError)
+  })
+
+  it('should reject with TxRevertedError', async () => {
+    useStates(1)
+    provider.reverted = true
+    await expect(client.chain.waitForConfirmations(txHash, 1, { pollInterval: 1 })).to.be.rejectedWith(TxRevertedError)
+  })
+
+  it('should reject with TimeoutError', async () => {
+    useStates(0)
+    await expect(client.chain.waitForConfirmations(txHash, 1, { timeout: 20, pollInterval: 5 })).to.be.rejectedWith(TimeoutError)
+  })
+
+  it('should not require replacement and revert checks from providers', async () => {
+    client = new Client()
+    client.addProvider(new (class extends Provider {
+      async getTransactionByHash () {
+        return { hash: txHash, value: 1, confirmations: 1 }
+      }
+    })())
+    const tx = await client.chain.waitForConfirmations(txHash)
+    expect(tx.hash).to.equal(txHash)
+  })
+})
+
+describe('Chain getTransactionStatus', () => {
+  const txHash = 'f'.repeat(64)
+
+  class StatusProvider extends Provider {
+    constructor (status) {
+      super()
+      this.status = status
+    }
+
+    async getTransactionStatus (tx) {
+      return { status: this.status, confirmations: 0, transaction: { hash: txHash, value: 1 } }
+    }
+  }
+
+  it('should add the status to the transaction', async () => {
+    const client = new Client()
+    client.addProvider(new StatusProvider('pending'))
+
+    const { status, transaction } = await client.chain.getTransactionStatus(txHash)
+    expect(status).to.equal('pending')
+    expect(transaction.status).to.equal('pending')
+  })
+
+  it('should reject unknown statuses', async () => {
+    const client = new Client()
+    client.addProvider(new StatusProvider('lost'))
+
+    await expect(client.chain.getTransactionStatus({ hash: txHash })).to.be.rejectedWith(InvalidProviderResponseError)
+  })
+})
+
+describe('Client network switching', () => {
+  const bitcoin = { name: 'bitcoin', coinType: '0', isTestnet: false }
+  const testnet = { name: 'bitcoin_testnet', coinType: '1', isTestnet: true }
+
+  class NodeProvider extends Provider {
+    constructor (network) {
+      super()
+      this.network = network
+    }
+
+    async getConnectedNetwork () {
+      return this.network
+    }
+  }
+
+  class WalletProvider extends Provider {
+    constructor (network) {
+      super()
+      this.setNetwork(network)
+    }
+
+    async setNetwork (network) {
+      this._network = network
+      this._derivationPath = `84'/${network.coinType}'/0'`
+      this._addressCache = {}
+    }
+  }
+
+  let node
+  let wallet
+  let client
+
+  beforeEach(() => {
+    node = new NodeProvider(testnet)
+    wallet = new WalletProvider(bitcoin)
+    client = new Client()
+      .addProvider(node)
+      .addProvider([ wallet ])
+  })
+
+  it('should switch the network of every provider and emit a network event', async () => {
+    const events = []
+    client.on('network', (network, previous) => events.push([ network, previous ]))
+
+    wallet._addressCache.path = 'bc1q'
+    await client.setNetwork(testnet)
+
+    expect(client.network).to.equal(testnet)
+    expect(wallet._network).to.equal(testnet)
+    expect(wallet._derivationPath).to.equal(`84'/1'/0'`)
+    expect(wallet._addressCache).to.deep.equal({})
+    expect(events).to.deep.equal([ [ testnet, undefined ] ])
+  })
+
+  it('should reject with NetworkMismatchError and switch back when the backend is on another network', async () => {
+    node.network = bitcoin
+    await client.setNetwork(bitcoin)
+
+    const listener = () => { throw new Error('Should not emit') }
+    client.on('network', listener)
+
+    await expect(client.setNetwork(testnet)).to.be.rejectedWith(NetworkMismatchError)
+    expect(client.network).to.equal(bitcoin)
+    expect(wallet._network).to.equal(bitcoin)
+
+    client.off('network', listener)
+  })
+
+  it('should check the network of the backend below a wallet reporting its own network', async () => {
+    node.network = bitcoin
+    wallet.getConnectedNetwork = async function () { return this._network }
+
+    await expect(client.setNetwork(testnet)).to.be.rejectedWith(NetworkMismatchError)
+    expect(wallet._network).to.equal(bitcoin)
+  })
+
+  it('should switch every provider back to its own network when the first switch fails', async () => {
+    node.network = bitcoin
+
+    await expect(client.setNetwork(testnet)).to.be.rejectedWith(NetworkMismatchError)
+    expect(client.network).to.equal(undefined)
+    expect(wallet._network).to.equal(bitcoin)
+    expect(wallet._derivationPath).to.equal(`84'/0'/0'`)
+  })
+
+  it('should switch back when the backend cannot be checked', async () => {
+    node.getConnectedNetwork = async () => { throw new Error('Connection refused') }
+
+    await expect(client.setNetwork(testnet)).to.be.rejectedWith('Connection refused')
+    expect(wallet._network).to.equal(bitcoin)
+  })
+
+  it('should skip the check when the backend network is unknown', async () => {
+    node.network = { name: 'unknown' }
+    await client.setNetwork(testnet)
+
+    expect(wallet._network).to.equal(testnet)
+  })
+
+  it('should throw TypeError for an invalid network', async () => {
+    await expect(client.setNetwork('testnet')).to.be.rejectedWith(TypeError)
+  })
+})
@@ -0,0 +1,103 @@
+/* eslint-env mocha */
+
+import BigNumber from 'bignumber.js'
+
+import Client from '../../lib'
+import Provider from '../../../provider/lib'
+import { DuplicateAssetError, NetworkMismatchError } from '@liquality/errors'
+
+const { expect } = require('chai').use(require('chai-as-promised'))
+
+const { ClientRegistry } = Client
+
+const mainnet = { name: 'mainnet', isTestnet: false }
+const bitcoin = { name: 'bitcoin', isTestnet: false }
+const testnet = { name: 'bitcoin_testnet', isTestnet: true }
+
+class WalletProvider extends Provider {
+  constructor (address, balance, network) {
+    super()
+    this.address = address
+    this.balance = balance
+    this.network = network
+  }
+
+  async getAddresses () {
+    return [ this.address ]
+  }
+
+  async getUsedAddresses () {
+    return [ this.address ]
+  }
+
+  async getBalance () {
+    return BigNumber(this.balance)
+  }
+
+  async getFees () {
+    return { slow: { fee: 1 }, average: { fee: 2 }, fast: { fee: 3 } }
+  }
+
+  async getConnectedNetwork () {
+    return this.network
+  }
+}
+
+describe('ClientRegistry', () => {
+  let registry
+
+  beforeEach(() => {
+    registry = new ClientRegistry()
+    registry.register('BTC', new Client(new WalletProvider('bc1q', 100, bitcoin)), bitcoin)
+    registry.register('ETH', new Client(new WalletProvider('0x12', 2000, mainnet)), mainnet)
+  })
+
+  it('should look up clients by asset', () => {
+    expect(registry.assets).to.deep.equal([ 'BTC', 'ETH' ])
+    expect(registry.get('BTC')).to.be.instanceOf(Client)
+    expect(registry.getNetwork('ETH')).to.equal(mainnet)
+    expect(registry.get('LTC')).to.equal(undefined)
+    expect(registry.isTestnet).to.equal(false)
+  })
+
+  it('should throw DuplicateAssetError when an asset is registered twice', () => {
+    expect(() => registry.register('BTC', new Client(), bitcoin)).to.throw(DuplicateAssetError)
+  })
+
+  it('should throw NetworkMismatchError when mixing mainnet and testnet', () => {
+    expect(() => registry.register('TBTC', new Client(), testnet)).to.throw(NetworkMismatchError)
+    expect(() => new ClientRegistry({ isTestnet: true }).register('BTC', new Client(), bitcoin)).to.throw(NetworkMismatchError)
+  })
+
+  it('should aggregate addresses, balances and fees', async () => {
+    expect(await registry.getAddresses()).to.deep.equal({ BTC: [ 'bc1q' ], ETH: [ '0x12' ] })
+
+    const balances = await registry.getBalances()
+    expect(balances.BTC.toNumber()).to.equal(100)
+    expect(balances.ETH.toNumber()).to.equal(2000)
+
+    const fees = await registry.getFees()
+    expect(fees.ETH.fast.fee).to.equal(3)
+  })
+
+  it('should reject with NetworkMismatchError when a wallet is on another network', async () => {
+    await registry.assertNetworks()
+
+    registry.unregister('BTC')
+    registry.register('BTC', new Client(new WalletProvider('tb1q', 0, testnet)), bitcoin)
+
+    await expect(registry.assertNetworks()).to.be.rejectedWith(NetworkMismatchError)
+  })
+
+  it('should follow the network set on a client', async () => {
+    const wallet = new WalletProvider('tb1q', 0, testnet)
+    const client = new Client(wallet)
+    registry.unregister('BTC')
+    registry.register('BTC', client, bitcoin)
+
+    await client.setNetwork(testnet)
+
+    expect(registry.getNetwork('BTC')).to.equal(testnet)
+    await expect(registry.assertNetworks()).to.be.rejectedWith(NetworkMismatchError, 'not a mainnet network')
+  })
+})
@@ -0,0 +1,125 @@
+/* eslint-env mocha */
+
+import Client from '../../lib'
+
+import { SwapChainProvider, createSwapFixture, secret, secretHash, swapParams } from './mock'
+
+const { expect } = require('chai').use(require('chai-as-promised'))
+
+const { SwapManager, RefundWatcher } = Client
+
+/**
+ * Chain whose time is the median time past, 10 minutes behind its tip.
+ */
+class BitcoinChainProvider extends SwapChainProvider {
+  async getChainTime () {
+    return this.time - 600
+  }
+}
+
+describe('RefundWatcher', () => {
+  let btc
+  let registry
+  let manager
+  let watcher
+  let events
+
+  beforeEach(async () => {
+    ;({ btc, registry } = createSwapFixture({ BitcoinChain: BitcoinChainProvider }))
+
+    manager = new SwapManager(registry)
+    await manager.create(swapParams('initiator'))
+    await manager.advance(secretHash)
+
+    events = []
+    watcher = new RefundWatcher(manager, { bumpAfterBlocks: 2 })
+    ;[ 'refund', 'fee-bump', 'refunded', 'claimed' ].forEach(event => watcher.on(event, () => events.push(event)))
+  })
+
+  it('should wait for the chain time to pass the expiration', async () => {
+    btc.time = 5600
+    btc.mine()
+    await watcher.check()
+
+    expect(events).to.deep.equal([])
+    expect((await manager.get(secretHash)).state).to.equal('initiated')
+  })
+
+  it('should refund and bump the fee until the refund confirms', async () => {
+    btc.time = 5601
+    btc.autoMine = false
+    btc.mine()
+
+    await watcher.check()
+    let swap = await manager.get(secretHash)
+    expect(swap.state).to.equal('expired')
+    expect(swap.initiation.refundFee).to.equal('10')
+    expect(btc.mempool[0].feePrice).to.equal(10)
+
+    btc.mine([])
+    await watcher.check()
+    expect(events).to.deep.equal([ 'refund' ])
+
+    btc.mine([])
+    await watcher.check()
+    swap = await manager.get(secretHash)
+    expect(swap.initiation.refundFee).to.equal('20')
+    expect(swap.initiation.refundTxHash).to.equal(btc.mempool[0].hash)
+    expect(btc.mempool).to.have.lengthOf(1)
+
+    btc.mine()
+    await watcher.check()
+    expect((await manager.get(secretHash)).state).to.equal('refunded')
+    expect(events).to.deep.equal([ 'refund', 'fee-bump', 'refunded' ])
+
+    await watcher.check()
+    expect(events).to.have.lengthOf(3)
+  })
+
+  it('should record a replaced refund that confirms', async () => {
+    btc.time = 5601
+    btc.autoMine = false
+    btc.mine()
+
+    await watcher.check()
+    const [ refund ] = btc.mempool
+
+    btc.mine([])
+    btc.mine([])
+    await watcher.check()
+    expect(events).to.deep.equal([ 'refund', 'fee-bump' ])
+
+    btc.mempool.splice(0)
+    btc.mine([ refund ])
+    await watcher.check()
+
+    const swap = await manager.get(secretHash)
+    expect(swap.state).to.equal('refunded')
+    expect(swap.initiation.refundTxHash).to.equal(refund.hash)
+    expect(swap.initiation.replacedRefundTxHashes).to.deep.equal([ refund.hash ])
+  })
+
+  it('should not refund a claimed leg', async () => {
+    await btc.claimSwap((await manager.get(secretHash)).initiation.txHash, 'bob_btc', 'alice_btc', secret)
+    btc.time = 5601
+    btc.mine()
+
+    await watcher.check()
+    await watcher.check()
+
+    expect(events).to.deep.equal([ 'claimed' ])
+    expect(btc.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate', 'claim' ])
+  })
+
+  it('should check swaps on every poll until stopped', async () => {
+    watcher = new RefundWatcher(manager, { pollInterval: 1 })
+    watcher.on('refunded', () => watcher.stop())
+
+    btc.time = 5601
+    btc.mine()
+
+    await new Promise(resolve => watcher.on('stop', resolve).start())
+    expect((await manager.get(secretHash)).state).to.equal('refunded')
+    expect(watcher.running).to.equal(false)
+  })
+})
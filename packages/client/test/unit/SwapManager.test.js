@@ -0,0 +1,351 @@
+/* eslint-env mocha */
+
+import Client from '../../lib'
+import CachingProvider from '../../../caching-provider/lib'
+import { InvalidSwapStateError, SwapNotFoundError } from '@liquality/errors'
+
+import { createSwapFixture, secret, secretHash, swapParams } from './mock'
+
+const { expect } = require('chai').use(require('chai-as-promised'))
+
+const { SwapManager } = Client
+
+class Store {
+  constructor () {
+    this.entries = {}
+  }
+
+  async get (key) {
+    return this.entries[key]
+  }
+
+  async set (key, value) {
+    this.entries[key] = value
+  }
+
+  async remove (key) {
+    delete this.entries[key]
+  }
+
+  async keys () {
+    return Object.keys(this.entries)
+  }
+}
+
+describe('SwapManager', () => {
+  let btc
+  let eth
+  let registry
+  let alice
+  let bob
+
+  beforeEach(async () => {
+    ;({ btc, eth, registry } = createSwapFixture())
+
+    alice = new SwapManager(registry, { store: new Store() })
+    bob = new SwapManager(registry, { store: new Store() })
+
+    await alice.create(swapParams('initiator'))
+    await bob.create(swapParams('participant'))
+  })
+
+  it('should run a swap to completion on both sides', async () => {
+    const states = []
+    alice.on('state', (swap, previous) => states.push(`${previous} > ${swap.state}`))
+
+    expect((await alice.advance(secretHash)).state).to.equal('initiated')
+
+    expect((await bob.advance(secretHash)).state).to.equal('counterparty-funded')
+    expect((await bob.advance(secretHash)).state).to.equal('verified')
+    expect((await bob.advance(secretHash)).state).to.equal('initiated')
+
+    expect((await alice.advance(secretHash)).state).to.equal('counterparty-funded')
+    expect((await alice.advance(secretHash)).state).to.equal('verified')
+    expect((await alice.advance(secretHash)).state).to.equal('claimed')
+
+    const revealed = await bob.advance(secretHash)
+    expect(revealed.state).to.equal('secret-revealed')
+    expect(revealed.secret).to.equal(secret)
+
+    const claimed = await bob.advance(secretHash)
+    expect(claimed.state).to.equal('claimed')
+    expect(btc.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate', 'claim' ])
+    expect(eth.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate', 'claim' ])
+
+    expect(states).to.deep.equal([
+      'created > initiated',
+      'initiated > counterparty-funded',
+      'counterparty-funded > verified',
+      'verified > claimed'
+    ])
+  })
+
+  it('should wait in the current state until the claim confirms', async () => {
+    await alice.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await alice.advance(secretHash)
+    await alice.advance(secretHash)
+
+    eth.autoMine = false
+    const swap = await alice.advance(secretHash)
+    expect(swap.state).to.equal('verified')
+    expect(swap.participation.claimTxHash).to.equal(eth.mempool[0].hash)
+    expect(await alice.resume()).to.have.lengthOf(1)
+
+    eth.mine()
+    expect((await alice.advance(secretHash)).state).to.equal('claimed')
+    expect(eth.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate', 'claim' ])
+  })
+
+  it('should send a dropped claim again and replace a pending claim with a higher fee', async () => {
+    await alice.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await alice.advance(secretHash)
+    await alice.advance(secretHash)
+
+    eth.autoMine = false
+    const dropped = (await alice.advance(secretHash, '10')).participation.claimTxHash
+    eth.mempool.splice(0)
+
+    let swap = await alice.advance(secretHash, '10')
+    expect(swap.state).to.equal('verified')
+    expect(eth.mempool.map(tx => tx._swap.type)).to.deep.equal([ 'claim' ])
+    expect(swap.participation.replacedClaimTxHashes).to.deep.equal([ dropped ])
+
+    swap = await alice.advance(secretHash, '10')
+    expect(eth.mempool).to.have.lengthOf(1)
+
+    swap = await alice.advance(secretHash, '20')
+    expect(eth.mempool).to.have.lengthOf(1)
+    expect(eth.mempool[0].feePrice).to.equal(20)
+    expect(swap.participation).to.include({ claimTxHash: eth.mempool[0].hash, claimFee: '20' })
+
+    eth.mine()
+    swap = await alice.advance(secretHash)
+    expect(swap.state).to.equal('claimed')
+    expect(swap.participation.claimTxHash).to.equal(eth.transactions[1].hash)
+  })
+
+  it('should record a replaced claim that confirms', async () => {
+    await alice.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await alice.advance(secretHash)
+    await alice.advance(secretHash)
+
+    eth.autoMine = false
+    const replaced = (await alice.advance(secretHash)).participation.claimTxHash
+    await alice.advance(secretHash, '20')
+
+    // The replaced claim is mined and its replacement dropped
+    const [ replacement ] = eth.mempool.splice(0)
+    eth.mine([ { ...replacement, hash: replaced } ])
+
+    const swap = await alice.advance(secretHash)
+    expect(swap.state).to.equal('claimed')
+    expect(swap.participation.claimTxHash).to.equal(replaced)
+    expect(eth.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate', 'claim' ])
+  })
+
+  it('should wait in the current state until the counterparty funds', async () => {
+    await alice.advance(secretHash)
+    const swap = await alice.advance(secretHash)
+
+    expect(swap.state).to.equal('initiated')
+    expect(swap.participation.scanBlock).to.equal(1)
+  })
+
+  it('should find a funding made before the swap was created from the given block', async () => {
+    await alice.advance(secretHash)
+    btc.mine([])
+    btc.mine([])
+
+    const params = swapParams('participant')
+    const late = new SwapManager(registry)
+    await late.create(params)
+    expect((await late.advance(secretHash)).state).to.equal('created')
+
+    const carol = new SwapManager(registry)
+    await carol.create({ ...params, initiation: { ...params.initiation, scanBlock: 1 } })
+    const swap = await carol.advance(secretHash)
+    expect(swap.state).to.equal('counterparty-funded')
+    expect(swap.initiation.txHash).to.equal(btc.transactions[0].hash)
+  })
+
+  it('should verify a funding given when the swap is created', async () => {
+    await alice.advance(secretHash)
+
+    const params = swapParams('participant')
+    const carol = new SwapManager(registry)
+    await carol.create({ ...params, initiation: { ...params.initiation, txHash: btc.transactions[0].hash } })
+
+    expect((await carol.advance(secretHash)).state).to.equal('counterparty-funded')
+    expect((await carol.advance(secretHash)).state).to.equal('verified')
+  })
+
+  it('should resume persisted swaps with a new manager', async () => {
+    const store = new Store()
+    await new SwapManager(registry, { store }).create({ ...swapParams('initiator'), secretHash: secretHash.toUpperCase() })
+
+    const [ swap ] = await new SwapManager(registry, { store }).resume()
+    expect(swap.state).to.equal('initiated')
+    expect(btc.transactions).to.have.lengthOf(1)
+  })
+
+  it('should persist swaps in a Web Storage', async () => {
+    const items = {}
+    const webStorage = {
+      getItem: key => key in items ? items[key] : null,
+      setItem: (key, value) => { items[key] = String(value) },
+      removeItem: key => { delete items[key] },
+      key: i => Object.keys(items)[i],
+      get length () { return Object.keys(items).length }
+    }
+    const store = new CachingProvider.BrowserStorage(webStorage, 'liquality:swaps:')
+
+    await new SwapManager(registry, { store }).create(swapParams('initiator'))
+
+    const [ swap ] = await new SwapManager(registry, { store }).resume()
+    expect(swap).to.include({ secretHash, state: 'initiated' })
+    expect(swap.initiation.txHash).to.equal(btc.transactions[0].hash)
+  })
+
+  it('should find its funding instead of funding again after a restart during the broadcast', async () => {
+    const store = new Store()
+    const manager = new SwapManager(registry, { store })
+    await manager.create(swapParams('initiator'))
+
+    const initiateSwap = btc.initiateSwap
+    btc.initiateSwap = async (...args) => {
+      const tx = await initiateSwap.apply(btc, args)
+      store.set = async () => { throw new Error('Process stopped') }
+      return tx
+    }
+
+    await expect(manager.advance(secretHash)).to.be.rejectedWith('Process stopped')
+    delete store.set
+    btc.initiateSwap = initiateSwap
+
+    const [ swap ] = await new SwapManager(registry, { store }).resume()
+    expect(swap.state).to.equal('initiated')
+    expect(swap.initiation.txHash).to.equal(btc.transactions[0].hash)
+    expect(btc.transactions).to.have.lengthOf(1)
+  })
+
+  it('should share concurrent runs of the same swap', async () => {
+    await Promise.all([ alice.advance(secretHash), alice.advance(secretHash) ])
+    expect(btc.transactions).to.have.lengthOf(1)
+  })
+
+  it('should run other operations on a swap after its running advance', async () => {
+    const [ , swap ] = await Promise.all([ alice.advance(secretHash), alice.expire(secretHash) ])
+
+    expect(swap.state).to.equal('initiated')
+    expect(swap.initiation.txHash).to.equal(btc.transactions[0].hash)
+  })
+
+  it('should expire and refund our leg once its expiration passed', async () => {
+    await alice.advance(secretHash)
+    btc.time = 5001
+    btc.mine()
+
+    expect((await alice.advance(secretHash)).state).to.equal('expired')
+
+    const swap = await alice.advance(secretHash)
+    expect(swap.state).to.equal('refunded')
+    expect(swap.initiation.refundTxHash).to.equal(btc.transactions[1].hash)
+  })
+
+  it('should not fund when the leg of the initiator expired', async () => {
+    btc.time = 5000
+    btc.mine()
+
+    expect((await bob.advance(secretHash)).state).to.equal('expired')
+    expect(await bob.resume()).to.deep.equal([])
+  })
+
+  it('should not fund a leg expiring within the margin', async () => {
+    btc.time = 4200
+    btc.mine()
+
+    expect((await alice.advance(secretHash)).state).to.equal('expired')
+    expect(btc.transactions).to.deep.equal([])
+  })
+
+  it('should not fund as participant when the leg of the initiator expires within the margin', async () => {
+    await alice.advance(secretHash)
+    await bob.advance(secretHash)
+    expect((await bob.advance(secretHash)).state).to.equal('verified')
+
+    btc.time = 4200
+    btc.mine([])
+
+    expect((await bob.advance(secretHash)).state).to.equal('expired')
+    expect(eth.transactions).to.deep.equal([])
+  })
+
+  it('should not claim a leg expiring within the margin', async () => {
+    await alice.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await alice.advance(secretHash)
+    expect((await alice.advance(secretHash)).state).to.equal('verified')
+
+    eth.time = 2200
+    eth.mine([])
+
+    expect((await alice.advance(secretHash)).state).to.equal('verified')
+    expect(eth.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate' ])
+  })
+
+  it('should expire and refund our leg once its expiration passed after the counterparty funded', async () => {
+    await alice.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    await bob.advance(secretHash)
+    expect((await alice.advance(secretHash)).state).to.equal('counterparty-funded')
+
+    btc.time = 5001
+    btc.mine([])
+
+    expect((await alice.advance(secretHash)).state).to.equal('expired')
+    expect((await alice.advance(secretHash)).state).to.equal('refunded')
+    expect(eth.transactions.map(tx => tx._swap.type)).to.deep.equal([ 'initiate' ])
+  })
+
+  it('should keep resuming swaps when one fails to advance', async () => {
+    const manager = new SwapManager(registry)
+    await manager.create(swapParams('initiator'))
+    await manager.create({ ...swapParams('participant'), secretHash: secretHash.toUpperCase() })
+    btc.initiateSwap = async () => { throw new Error('Wallet locked') }
+
+    const errors = []
+    manager.on('error', (error, swap) => errors.push([ error.message, swap.role ]))
+
+    const [ initiation, participation ] = await manager.resume()
+    expect(initiation.state).to.equal('created')
+    expect(participation.initiation.scanBlock).to.equal(1)
+    expect(errors).to.deep.equal([ [ 'Wallet locked', 'initiator' ] ])
+  })
+
+  it('should reject unknown and duplicate swaps', async () => {
+    await expect(alice.get('b'.repeat(64))).to.be.rejectedWith(SwapNotFoundError)
+    await expect(alice.create(swapParams('initiator'))).to.be.rejectedWith(InvalidSwapStateError)
+  })
+
+  it('should throw TypeError for invalid parameters', async () => {
+    await expect(alice.create({ ...swapParams('initiator'), secret: undefined })).to.be.rejectedWith(TypeError)
+    await expect(alice.create({ ...swapParams('participant'), secret: 'b'.repeat(64) })).to.be.rejectedWith(TypeError)
+    await expect(alice.create({ ...swapParams('broker') })).to.be.rejectedWith(TypeError)
+
+    const params = swapParams('participant')
+    await expect(bob.create({ ...params, participation: { ...params.participation, txHash: 'a'.repeat(64) } })).to.be.rejectedWith(TypeError)
+    await expect(bob.create({ ...params, initiation: { ...params.initiation, scanBlock: '1' } })).to.be.rejectedWith(TypeError)
+  })
+})
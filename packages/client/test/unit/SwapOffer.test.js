@@ -0,0 +1,128 @@
+/* eslint-env mocha */
+
+import Client from '../../lib'
+import { InvalidSwapOfferError } from '@liquality/errors'
+
+import { createSwapFixture, secret, secretHash, signers, walletAddresses } from './mock'
+
+const { expect } = require('chai').use(require('chai-as-promised'))
+
+const { SwapManager, SwapOffer } = Client
+
+const offerParams = {
+  secretHash,
+  initiation: { asset: 'BTC', value: '100000', refundAddress: walletAddresses.BTC, expiration: 5000 },
+  participation: { asset: 'ETH', value: '2000000', recipientAddress: 'alice_eth', expiration: 3000 }
+}
+
+const addresses = {
+  initiation: { recipientAddress: 'bob_btc' },
+  participation: { refundAddress: walletAddresses.ETH }
+}
+
+describe('SwapOffer', () => {
+  let btc
+  let eth
+  let registry
+  let offers
+
+  beforeEach(() => {
+    ;({ btc, eth, registry } = createSwapFixture())
+    offers = new SwapOffer(registry)
+  })
+
+  it('should sign and verify an offer', async () => {
+    const offer = await offers.create(offerParams)
+
+    expect(offer).to.include({ version: 1, type: 'offer', secretHash })
+    expect(offer.initiation).to.deep.equal(offerParams.initiation)
+    expect(await offers.verify(offer)).to.equal(true)
+
+    const decoded = SwapOffer.decode(SwapOffer.encode(offer))
+    expect(decoded).to.deep.equal(offer)
+    expect(SwapOffer.encode(offer)).to.match(/^[A-Za-z0-9_-]+$/)
+    expect(await offers.verify(JSON.parse(JSON.stringify(decoded)))).to.equal(true)
+  })
+
+  it('should accept an offer and convert it into swap arguments', async () => {
+    const offer = await offers.create(offerParams)
+    const acceptance = SwapOffer.decode(SwapOffer.encode(await offers.accept(offer, addresses)))
+
+    expect(acceptance).to.include({ type: 'acceptance', offer: SwapOffer.hashMessage(offer) })
+    expect(await offers.verify(acceptance, offer)).to.equal(true)
+
+    const { initiation, participation } = SwapOffer.toSwapArgs(offer, acceptance)
+    expect(initiation).to.deep.equal({ asset: 'BTC', args: [ '100000', 'bob_btc', walletAddresses.BTC, secretHash, 5000 ] })
+    expect(participation).to.deep.equal({ asset: 'ETH', args: [ '2000000', 'alice_eth', walletAddresses.ETH, secretHash, 3000 ] })
+
+    for (const { asset, args } of [ initiation, participation ]) {
+      const client = registry.get(asset)
+      const tx = await client.swap.initiateSwap(...args)
+      expect(await client.swap.verifyInitiateSwapTransaction(tx.hash, ...args)).to.equal(true)
+    }
+  })
+
+  it('should verify MetaMask and Ledger signatures', async () => {
+    btc.sign = signers.bitcoinLedger
+    eth.sign = signers.metaMask
+
+    const offer = await offers.create(offerParams)
+    const acceptance = SwapOffer.decode(SwapOffer.encode(await offers.accept(offer, addresses)))
+
+    expect(offer.signature).to.match(/^[0-9a-f]{128}$/)
+    expect(acceptance.signature).to.match(/^0x[0-9a-f]{130}$/)
+    expect(await offers.verify(acceptance, offer)).to.equal(true)
+
+    eth.sign = signers.ethereumLedger
+    expect(await offers.verify(await offers.accept(offer, addresses), offer)).to.equal(true)
+
+    const tampered = { ...acceptance, participation: { refundAddress: 'mallory_eth' } }
+    await expect(offers.verify(tampered, offer)).to.be.rejectedWith(InvalidSwapOfferError)
+  })
+
+  it('should pick the signature scheme from the network of the asset', async () => {
+    const offer = await offers.create(offerParams)
+
+    const unknown = new Client.ClientRegistry().register('BTC', registry.get('BTC'), { name: 'bitcoin', isTestnet: false })
+    await expect(new SwapOffer(unknown).verify(offer)).to.be.rejectedWith(TypeError, 'Signatures of BTC cannot be verified')
+
+    // A Bitcoin signature of the leg of an Ethereum asset
+    const swapped = new Client.ClientRegistry().register('BTC', registry.get('BTC'), registry.getNetwork('ETH'))
+    await expect(new SwapOffer(swapped).verify(offer)).to.be.rejectedWith(InvalidSwapOfferError)
+  })
+
+  it('should convert into parameters of the swap manager', async () => {
+    const offer = await offers.create(offerParams)
+    const acceptance = await offers.accept(offer, addresses)
+
+    const manager = new SwapManager(registry)
+    const swap = await manager.create({ ...SwapOffer.toSwapParams(offer, acceptance, 'initiator'), secret })
+
+    expect(swap.initiation).to.include({ value: '100000', recipientAddress: 'bob_btc', refundAddress: walletAddresses.BTC, expiration: 5000 })
+    expect(swap.participation).to.include({ value: '2000000', recipientAddress: 'alice_eth', refundAddress: walletAddresses.ETH, expiration: 3000 })
+  })
+
+  it('should reject tampered messages with InvalidSwapOfferError', async () => {
+    const offer = await offers.create(offerParams)
+    const acceptance = await offers.accept(offer, addresses)
+
+    const tampered = { ...offer, participation: { ...offer.participation, value: '1' } }
+    await expect(offers.verify(tampered)).to.be.rejectedWith(InvalidSwapOfferError)
+    await expect(offers.accept(tampered, addresses)).to.be.rejectedWith(InvalidSwapOfferError)
+
+    await expect(offers.verify(acceptance)).to.be.rejectedWith(InvalidSwapOfferError)
+    await expect(offers.verify(acceptance, tampered)).to.be.rejectedWith(InvalidSwapOfferError)
+    await expect(offers.verify({ ...acceptance, participation: { refundAddress: 'mallory_eth' } }, offer)).to.be.rejectedWith(InvalidSwapOfferError)
+    expect(() => SwapOffer.toSwapArgs(tampered, acceptance)).to.throw(InvalidSwapOfferError)
+  })
+
+  it('should reject malformed and unsupported messages with InvalidSwapOfferError', async () => {
+    const offer = await offers.create(offerParams)
+
+    expect(() => SwapOffer.decode('not an offer')).to.throw(InvalidSwapOfferError)
+    expect(() => SwapOffer.encode({ ...offer, version: 2 })).to.throw(InvalidSwapOfferError)
+    await expect(offers.verify({ ...offer, signature: undefined })).to.be.rejectedWith(InvalidSwapOfferError)
+    await expect(offers.create({ ...offerParams, secretHash: 'abc' })).to.be.rejectedWith(InvalidSwapOfferError)
+    await expect(offers.create({ ...offerParams, initiation: { ...offerParams.initiation, value: '1.5' } })).to.be.rejectedWith(InvalidSwapOfferError)
+  })
+})
@@ -0,0 +1,86 @@
+/* eslint-env mocha */
+
+import Client from '../../lib'
+import { UnsafeSwapError } from '@liquality/errors'
+
+import { createSwapFixture, secretHash, swapLegs as legs } from './mock'
+
+const { expect } = require('chai').use(require('chai-as-promised'))
+
+const { SwapManager, SwapPolicy } = Client
+
+const now = 1600000000
+const hour = 3600
+
+describe('SwapPolicy', () => {
+  let btc
+  let eth
+  let registry
+  let policy
+
+  beforeEach(() => {
+    ;({ btc, eth, registry } = createSwapFixture({ time: now }))
+
+    policy = new SwapPolicy(registry, {
+      minMargin: 6 * hour,
+      margins: { 'BTC:ETH': 12 * hour },
+      blockTimeVariance: { BTC: 2 * hour, ETH: 60 },
+      clockSkew: 300
+    })
+  })
+
+  it('should require the margin of the chain pair and the allowances', () => {
+    expect(policy.getMargin('BTC', 'ETH')).to.equal(12 * hour + 2 * hour + 60 + 300)
+    expect(policy.getMargin('ETH', 'BTC')).to.equal(6 * hour + 2 * hour + 60 + 300)
+    expect(policy.getBlockTimeVariance('LTC')).to.equal(900)
+    expect(new SwapPolicy(registry, { blockTimeVariance: 120 }).getBlockTimeVariance('BTC')).to.equal(120)
+  })
+
+  it('should accept safe expirations', async () => {
+    expect(await policy.check(legs(now + 48 * hour, now + 24 * hour))).to.deep.equal([])
+    await policy.validate(legs(now + 48 * hour, now + 24 * hour))
+  })
+
+  it('should refuse a participation expiring too close to the initiation', async () => {
+    const reasons = await policy.check(legs(now + 30 * hour, now + 24 * hour))
+
+    expect(reasons).to.have.lengthOf(1)
+    expect(reasons[0]).to.include({ code: 'margin', margin: 6 * hour, required: policy.getMargin('BTC', 'ETH') })
+  })
+
+  it('should refuse expirations in the past of the chain time', async () => {
+    eth.time = now + 24 * hour
+    eth.mine([])
+
+    const reasons = await policy.check(legs(now + 48 * hour, now + 24 * hour + 100))
+    expect(reasons.map(reason => reason.code)).to.deep.equal([ 'expired' ])
+    expect(reasons[0]).to.include({ leg: 'participation', chainTime: now + 24 * hour, required: 360 })
+
+    const error = await policy.validate(legs(now + 2 * hour, now + 24 * hour)).catch(e => e)
+    expect(error).to.be.instanceOf(UnsafeSwapError)
+    expect(error.reasons.map(reason => reason.code)).to.deep.equal([ 'expired', 'expired', 'margin' ])
+  })
+
+  it('should be enforced by the swap manager', async () => {
+    const manager = new SwapManager(registry, { policy })
+    const params = { role: 'participant', secretHash, ...legs(now + 48 * hour, now + 24 * hour) }
+
+    await expect(manager.create({ ...params, ...legs(now + 30 * hour, now + 24 * hour) })).to.be.rejectedWith(UnsafeSwapError)
+    await manager.create(params)
+
+    await btc.initiateSwap('100000', 'bob_btc', 'alice_btc', params.secretHash, now + 48 * hour)
+    expect((await manager.advance(params.secretHash)).state).to.equal('counterparty-funded')
+    expect((await manager.advance(params.secretHash)).state).to.equal('verified')
+
+    eth.time = now + 24 * hour
+    eth.mine([])
+    await expect(manager.advance(params.secretHash)).to.be.rejectedWith(UnsafeSwapError)
+    expect(eth.transactions).to.deep.equal([])
+  })
+
+  it('should throw TypeError for invalid legs', async () => {
+    await expect(policy.check({ initiation: { asset: 'BTC' } })).to.be.rejectedWith(TypeError)
+    await expect(policy.check(legs(now + 48 * hour, 'tomorrow'))).to.be.rejectedWith(TypeError)
+    await expect(policy.check({ ...legs(now + 48 * hour, now + 24 * hour), participation: { asset: 'LTC', expiration: now } })).to.be.rejectedWith(TypeError)
+  })
+})
@@ -0,0 +1,236 @@
+import Client from '../../lib'
+import Provider from '../../../provider/lib'
+import { sha256 } from '@liquality/crypto'
+import * as bitcoin from 'bitcoinjs-lib'
+import * as bitcoinMessage from 'bitcoinjs-message'
+import * as ethUtil from 'ethereumjs-util'
+
+function toHash (number) {
+  return number.toString(16).padStart(64, '0')
+}
+
+function toContract (initiationTxHash) {
+  return `0x${initiationTxHash.slice(24)}`
+}
+
+let nextTx = 1
+
+const bitcoinKey = bitcoin.ECPair.fromPrivateKey(Buffer.alloc(32, 1))
+const ethereumKey = Buffer.alloc(32, 2)
+
+/**
+ * Addresses the wallets of the BTC and ETH chains of `createSwapFixture` sign
+ * messages with, as the Bitcoin and Ethereum wallets do.
+ */
+export const walletAddresses = {
+  BTC: bitcoin.payments.p2wpkh({ pubkey: bitcoinKey.publicKey }).address,
+  ETH: ethUtil.privateToAddress(ethereumKey).toString('hex')
+}
+
+function signBitcoinMessage (message) {
+  return bitcoinMessage.sign(message, bitcoinKey.privateKey, bitcoinKey.compressed).toString('hex')
+}
+
+function signEthereumMessage (message) {
+  const { v, r, s } = ethUtil.ecsign(Buffer.from(sha256(Buffer.from(message).toString('hex')), 'hex'), ethereumKey)
+  return { v, r: r.toString('hex'), s: s.toString('hex') }
+}
+
+/**
+ * Message signers of the BTC and ETH wallet keys in the shapes of other
+ * wallets: Ledger Bitcoin signs `r + s` without the header, Ledger Ethereum
+ * and MetaMask `personal_sign` sign the personal message.
+ */
+export const signers = {
+  bitcoinLedger: message => signBitcoinMessage(message).slice(2),
+  ethereumLedger: message => {
+    const { v, r, s } = ethUtil.ecsign(ethUtil.hashPersonalMessage(Buffer.from(message)), ethereumKey)
+    return { v, r: r.toString('hex'), s: s.toString('hex') }
+  },
+  metaMask: message => {
+    const { v, r, s } = ethUtil.ecsign(ethUtil.hashPersonalMessage(Buffer.from(message)), ethereumKey)
+    return ethUtil.toRpcSig(v, r, s)
+  }
+}
+
+/**
+ * In-memory chain serving the swap methods. Every transaction is mined in its
+ * own block, whose timestamp is the current `time` of the chain, unless
+ * `autoMine` is turned off: transactions then wait in the mempool until `mine`
+ * is called. Subscribers to `newHeads` and `newPendingTransactions` are
+ * notified of new blocks and of transactions entering the mempool. Messages
+ * are signed with `sign`, like the Ethereum wallets by default.
+ */
+export class SwapChainProvider extends Provider {
+  constructor (time = 1000, sign = signEthereumMessage) {
+    super()
+    this.time = time
+    this.sign = sign
+    this.autoMine = true
+    this.blocks = []
+    this.mempool = []
+    this.fees = { slow: { fee: 5 }, average: { fee: 10 }, fast: { fee: 20 } }
+    this.subscriptions = []
+    this.mine([])
+  }
+
+  mine (transactions = this.mempool.splice(0)) {
+    const number = this.blocks.length
+    this.blocks.push({
+      number,
+      hash: toHash(number + 1),
+      parentHash: toHash(number),
+      timestamp: this.time,
+      size: 0,
+      nonce: 0,
+      transactions: transactions.map(tx => ({ ...tx, blockNumber: number }))
+    })
+    this.notify('newHeads', toHash(number + 1))
+  }
+
+  notify (type, result) {
+    this.subscriptions
+      .filter(subscription => subscription.type === type)
+      .forEach(subscription => subscription.callback(result))
+  }
+
+  send (swap, value = '0', feePrice) {
+    const to = swap.initiationTxHash ? toContract(swap.initiationTxHash) : null
+    const tx = { hash: toHash(0x100000 + nextTx++), value, _swap: swap, _raw: { to } }
+    if (feePrice) tx.feePrice = Number(feePrice)
+
+    if (this.autoMine) this.mine([ tx ])
+    else {
+      this.mempool.push(tx)
+      this.notify('newPendingTransactions', tx.hash)
+    }
+
+    return tx
+  }
+
+  get transactions () {
+    return [].concat(...this.blocks.map(block => block.transactions))
+  }
+
+  async getBlockHeight () {
+    return this.blocks.length - 1
+  }
+
+  async getBlockByNumber (number) {
+    const { transactions, ...block } = this.blocks[number]
+    return block
+  }
+
+  async getTransactionByHash (hash) {
+    const tx = this.transactions.find(tx => tx.hash === hash)
+    if (!tx) {
+      const pending = this.mempool.find(tx => tx.hash === hash)
+      return pending && { ...pending, confirmations: 0 }
+    }
+
+    const height = await this.getBlockHeight()
+    return { ...tx, confirmations: height - tx.blockNumber + 1 }
+  }
+
+  async getTransactionReceipt (hash) {
+    const tx = this.transactions.find(tx => tx.hash === hash)
+    return tx ? { status: '1', contractAddress: tx._swap.type === 'initiate' ? toContract(hash) : null } : null
+  }
+
+  async subscribe (type, params, callback) {
+    const subscription = { id: this.subscriptions.length + 1, type, callback }
+    this.subscriptions.push(subscription)
+
+    subscription.unsubscribe = async () => {
+      this.subscriptions = this.subscriptions.filter(s => s !== subscription)
+    }
+    return subscription
+  }
+
+  async signMessage (message) {
+    return this.sign(message)
+  }
+
+  async getFees () {
+    return this.fees
+  }
+
+  async updateTransactionFee (hash, newFee) {
+    const index = this.mempool.findIndex(tx => tx.hash === hash)
+    const [ tx ] = this.mempool.splice(index, 1)
+    return this.send(tx._swap, tx.value, newFee)
+  }
+
+  async initiateSwap (value, recipientAddress, refundAddress, secretHash, expiration) {
+    return this.send({ type: 'initiate', recipientAddress, refundAddress, secretHash, expiration }, String(value))
+  }
+
+  async findInitiateSwapTransaction (value, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
+    return this.blocks[blockNumber].transactions.find(tx =>
+      tx._swap.type === 'initiate' && tx._swap.secretHash === secretHash && tx.value === String(value)
+    )
+  }
+
+  async verifyInitiateSwapTransaction (initiationTxHash, value, recipientAddress, refundAddress, secretHash, expiration) {
+    const tx = await this.getTransactionByHash(initiationTxHash)
+    return Boolean(tx) && tx.value === String(value) && tx._swap.expiration === expiration
+  }
+
+  async claimSwap (initiationTxHash, recipientAddress, refundAddress, secret, expiration, fee) {
+    return this.send({ type: 'claim', initiationTxHash, secret }, '0', fee)
+  }
+
+  async findClaimSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
+    const tx = this.blocks[blockNumber].transactions.find(tx =>
+      tx._swap.type === 'claim' && tx._swap.initiationTxHash === initiationTxHash
+    )
+    return tx && { ...tx, secret: tx._swap.secret }
+  }
+
+  async getSwapSecret (claimTxHash) {
+    return (await this.getTransactionByHash(claimTxHash))._swap.secret
+  }
+
+  async refundSwap (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, fee) {
+    return this.send({ type: 'refund', initiationTxHash }, '0', fee)
+  }
+}
+
+/**
+ * Secret of the swaps run on the chains of `createSwapFixture`.
+ */
+export const secret = 'a'.repeat(64)
+export const secretHash = sha256(secret)
+
+export function swapLegs (initiationExpiration = 5000, participationExpiration = 3000) {
+  return {
+    initiation: { asset: 'BTC', value: '100000', recipientAddress: 'bob_btc', refundAddress: 'alice_btc', expiration: initiationExpiration },
+    participation: { asset: 'ETH', value: '2000000', recipientAddress: 'alice_eth', refundAddress: 'bob_eth', expiration: participationExpiration }
+  }
+}
+
+export function swapParams (role) {
+  return {
+    role,
+    secretHash,
+    secret: role === 'initiator' ? secret : undefined,
+    ...swapLegs()
+  }
+}
+
+/**
+ * Two swap chains registered as the BTC and ETH mainnets.
+ * @param {object} [options]
+ * @param {number} [options.time] - Time of both chains
+ * @param {function} [options.BitcoinChain=SwapChainProvider] - Provider class
+ *  of the BTC chain
+ */
+export function createSwapFixture ({ time, BitcoinChain = SwapChainProvider } = {}) {
+  const btc = new BitcoinChain(time, signBitcoinMessage)
+  const eth = new SwapChainProvider(time, signEthereumMessage)
+  const registry = new Client.ClientRegistry()
+    .register('BTC', new Client(btc), { name: 'bitcoin', messagePrefix: '\u0018Bitcoin Signed Message:\n', isTestnet: false })
+    .register('ETH', new Client(eth), { name: 'mainnet', chainId: 1, isTestnet: false })
+
+  return { btc, eth, registry }
+}
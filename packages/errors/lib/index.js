@@ -3,8 +3,8 @@ import BaseError from 'standard-error'
 
 import { version as v } from '../package.json'
 
-function createError (name) {
-  class CALError extends BaseError {}
+function createError (name, Parent = BaseError) {
+  class CALError extends Parent {}
   CALError.prototype.name = name
   return CALError
 }
@@ -19,6 +19,25 @@ export const UnimplementedMethodError = createError('UnimplementedMethodError')
 export const InvalidProviderResponseError = createError('InvalidProviderResponseError')
 export const WalletError = createError('WalletError')
 export const NodeError = createError('NodeError')
+export const TimeoutError = createError('TimeoutError')
+export const TxReplacedError = createError('TxReplacedError')
+export const TxDroppedError = createError('TxDroppedError')
+export const TxRevertedError = createError('TxRevertedError')
+export const TxNotFoundError = createError('TxNotFoundError')
+export const BlockNotFoundError = createError('BlockNotFoundError')
+export const ReceiptNotAvailableError = createError('ReceiptNotAvailableError')
+export const InsufficientBalanceError = createError('InsufficientBalanceError')
+export const FeeTooLowError = createError('FeeTooLowError')
+export const DustOutputError = createError('DustOutputError')
+export const AddressNotInWalletError = createError('AddressNotInWalletError')
+export const ContractNotFoundError = createError('ContractNotFoundError')
+export const SwapNotFoundError = createError('SwapNotFoundError')
+export const InvalidSwapStateError = createError('InvalidSwapStateError')
+export const UnsafeSwapError = createError('UnsafeSwapError')
+export const InvalidSwapOfferError = createError('InvalidSwapOfferError')
+export const NetworkMismatchError = createError('NetworkMismatchError', WalletError)
+export const DuplicateAssetError = createError('DuplicateAssetError')
+export const AbortError = createError('AbortError')
 
 export class RpcError extends StandardError {
   constructor (code, msg, props = {}) {
@@ -5,20 +5,21 @@ import {
   normalizeTransactionObject,
   formatEthResponse
 } from '@liquality/ethereum-utils'
-import { addressToString } from '@liquality/utils'
+import { addressToString, applyRetryPolicy, withCancelToken } from '@liquality/utils'
+import { ReceiptNotAvailableError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
 export default class EthereumBlockscoutSwapFindProvider extends Provider {
-  constructor (url) {
+  constructor (url, options = {}) {
     super()
     this.url = url
 
-    this._axios = axios.create({
+    this._axios = applyRetryPolicy(axios.create({
       baseURL: url,
       responseType: 'text',
       transformResponse: undefined // https://github.com/axios/axios/issues/907,
-    })
+    }), options.retry)
   }
 
   transformTransactionResponse (tx) {
@@ -36,10 +37,13 @@ export default class EthereumBlockscoutSwapFindProvider extends Provider {
     }
 
     for (let page = 0; ; page++) {
-      const response = await this._axios('', { params: {
-        ...baseQuery,
-        page
-      } })
+      const response = await withCancelToken(this.signal, cancelToken => this._axios('', {
+        params: {
+          ...baseQuery,
+          page
+        },
+        cancelToken
+      }))
       if (response.data.result.length === 0) return
       const transactions = response.data.result
       const rpcTransactions = transactions.map(tx => this.transformTransactionResponse(tx))
@@ -57,7 +61,7 @@ export default class EthereumBlockscoutSwapFindProvider extends Provider {
 
   async findClaimSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transaction = await this.findAddressTransaction(initiationTransactionReceipt.contractAddress,
       tx => tx._raw.to === initiationTransactionReceipt.contractAddress && tx._raw.input.length === 64)
@@ -71,7 +75,7 @@ export default class EthereumBlockscoutSwapFindProvider extends Provider {
 
   async findRefundSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transaction = await this.findAddressTransaction(initiationTransactionReceipt.contractAddress, (tx) =>
       tx._raw.to === initiationTransactionReceipt.contractAddress &&
@@ -80,10 +84,7 @@ export default class EthereumBlockscoutSwapFindProvider extends Provider {
 
     return transaction
   }
-
-  doesBlockScan () {
-    return false
-  }
 }
 
+EthereumBlockscoutSwapFindProvider.capabilities = { doesBlockScan: false }
 EthereumBlockscoutSwapFindProvider.version = version
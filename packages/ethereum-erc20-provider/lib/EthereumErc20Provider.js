@@ -8,6 +8,7 @@ import {
   remove0x
 } from '@liquality/ethereum-utils'
 import { addressToString } from '@liquality/utils'
+import { ContractNotFoundError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
@@ -22,7 +23,7 @@ export default class EthereumErc20Provider extends Provider {
 
   async assertContractExists () {
     const code = await this.getMethod('getCode')(this._contractAddress, 'latest')
-    if (code === '') throw new Error(`Contract does not exist at given address: ${this._contractAddress}`)
+    if (code === '') throw new ContractNotFoundError(`Contract does not exist at given address: ${this._contractAddress}`, { contractAddress: this._contractAddress })
   }
 
   generateErc20Transfer (to, value) {
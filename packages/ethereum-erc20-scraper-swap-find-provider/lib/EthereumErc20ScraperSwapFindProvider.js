@@ -1,29 +1,18 @@
-import axios from 'axios'
 import EthereumScraperSwapFindProvider from '@liquality/ethereum-scraper-swap-find-provider'
 import EthereumErc20SwapProvider from '@liquality/ethereum-erc20-swap-provider'
 import { remove0x } from '@liquality/ethereum-utils'
+import { ReceiptNotAvailableError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
 export default class EthereumErc20ScraperSwapFindProvider extends EthereumScraperSwapFindProvider {
-  constructor (url) {
-    super()
-    this.url = url
-
-    this._axios = axios.create({
-      baseURL: url,
-      responseType: 'text',
-      transformResponse: undefined // https://github.com/axios/axios/issues/907,
-    })
-  }
-
   doesTransactionMatchClaim (transaction, initiationTransactionReceipt) {
     return transaction._raw.to === initiationTransactionReceipt.contractAddress && transaction._raw.input.startsWith(remove0x(EthereumErc20SwapProvider.SOL_CLAIM_FUNCTION))
   }
 
   async findRefundSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transaction = await this.findAddressTransaction(
       initiationTransactionReceipt.contractAddress,
@@ -1,7 +1,8 @@
 import Provider from '@liquality/provider'
 import { padHexStart } from '@liquality/crypto'
-import { addressToString, sleep } from '@liquality/utils'
+import { addressToString } from '@liquality/utils'
 import { remove0x } from '@liquality/ethereum-utils'
+import { BlockNotFoundError, ReceiptNotAvailableError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
@@ -29,12 +30,9 @@ ${expirationEncoded}421161008e57600080fd5b600154600354604080516370a0823160e01b81
   async initiateSwap (value, recipientAddress, refundAddress, secretHash, expiration, gasPrice) {
     const bytecode = this.createSwapScript(recipientAddress, refundAddress, secretHash, expiration)
     const deployTx = await this.getMethod('sendTransaction')(null, 0, bytecode, gasPrice)
-    let initiationTransactionReceipt = null
 
-    while (initiationTransactionReceipt === null) {
-      initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(deployTx.hash)
-      await sleep(5000)
-    }
+    await this.client.chain.waitForConfirmations(deployTx.hash, 1)
+    const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(deployTx.hash)
 
     await this.getMethod('sendTransaction')(initiationTransactionReceipt.contractAddress, value, undefined, gasPrice)
     return deployTx
@@ -42,14 +40,14 @@ ${expirationEncoded}421161008e57600080fd5b600154600354604080516370a0823160e01b81
 
   async claimSwap (initiationTxHash, recipientAddress, refundAddress, secret, expiration, gasPrice) {
     const initiationTransaction = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransaction) throw new Error('Transaction receipt is not available')
+    if (!initiationTransaction) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     return this.getMethod('sendTransaction')(initiationTransaction.contractAddress, 0, SOL_CLAIM_FUNCTION + secret, gasPrice)
   }
 
   async refundSwap (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, gasPrice) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     return this.getMethod('sendTransaction')(initiationTransactionReceipt.contractAddress, 0, SOL_REFUND_FUNCTION, gasPrice)
   }
@@ -72,7 +70,7 @@ ${expirationEncoded}421161008e57600080fd5b600154600354604080516370a0823160e01b81
   async verifyInitiateSwapTransaction (initiationTxHash, value, recipientAddress, refundAddress, secretHash, expiration) {
     const initiationTransaction = await this.getMethod('getTransactionByHash')(initiationTxHash)
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transactionMatchesSwapParams = this.doesTransactionMatchInitiation(
       initiationTransaction,
@@ -107,10 +105,10 @@ ${expirationEncoded}421161008e57600080fd5b600154600354604080516370a0823160e01b81
 
   async findClaimSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const block = await this.getMethod('getBlockByNumber')(blockNumber, true)
-    if (!block) throw new Error('Block is not available')
+    if (!block) throw new BlockNotFoundError('Block is not available', { blockNumber })
 
     const transaction = block.transactions.find(
       transaction => this.doesTransactionMatchClaim(transaction, initiationTransactionReceipt)
@@ -118,7 +116,7 @@ ${expirationEncoded}421161008e57600080fd5b600154600354604080516370a0823160e01b81
     if (!transaction) return
 
     const transactionReceipt = await this.getMethod('getTransactionReceipt')(transaction.hash)
-    if (!transactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!transactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: transaction.hash })
 
     if (transactionReceipt.status === '1') {
       transaction.secret = await this.getSwapSecret(transaction.hash)
@@ -133,10 +131,10 @@ ${expirationEncoded}421161008e57600080fd5b600154600354604080516370a0823160e01b81
 
   async findRefundSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const block = await this.getMethod('getBlockByNumber')(blockNumber, true)
-    if (!block) throw new Error('Block is not available')
+    if (!block) throw new BlockNotFoundError('Block is not available', { blockNumber })
 
     const refundSwapTransaction = block.transactions.find(transaction =>
       transaction._raw.to === initiationTransactionReceipt.contractAddress &&
@@ -2,17 +2,19 @@
 import Provider from '@liquality/provider'
 import BigNumber from 'bignumber.js'
 import axios from 'axios'
+import { applyRetryPolicy, withCancelToken } from '@liquality/utils'
 
 import { version } from '../package.json'
 
 export default class EthereumGasStationFeeProvider extends Provider {
-  constructor (endpoint = 'https://ethgasstation.info/api/ethgasAPI.json') {
+  constructor (endpoint = 'https://ethgasstation.info/api/ethgasAPI.json', options = {}) {
     super()
     this._endpoint = endpoint
+    this._axios = applyRetryPolicy(axios.create(), options.retry)
   }
 
   async getFees () {
-    const result = await axios.get(this._endpoint)
+    const result = await withCancelToken(this.signal, cancelToken => this._axios.get(this._endpoint, { cancelToken }))
     const data = result.data
 
     return {
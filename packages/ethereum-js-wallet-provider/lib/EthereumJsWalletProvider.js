@@ -1,6 +1,6 @@
 import Provider from '@liquality/provider'
 import { Address, addressToString } from '@liquality/utils'
-import { remove0x, buildTransaction, formatEthResponse, normalizeTransactionObject } from '@liquality/ethereum-utils'
+import { remove0x, buildTransaction, formatEthResponse, normalizeTransactionObject, AddressValidationProvider, verifyMessage } from '@liquality/ethereum-utils'
 import { sha256 } from '@liquality/crypto'
 import { mnemonicToSeed } from 'bip39'
 import { fromMasterSeed } from 'hdkey'
@@ -10,7 +10,7 @@ import Common from 'ethereumjs-common'
 
 import { version } from '../package.json'
 
-export default class EthereumJsWalletProvider extends Provider {
+export default class EthereumJsWalletProvider extends AddressValidationProvider(Provider) {
   constructor (network, mnemonic, hardfork = 'istanbul') {
     super()
     const derivationPath = `m/44'/${network.coinType}'/0'/`
@@ -20,6 +20,11 @@ export default class EthereumJsWalletProvider extends Provider {
     this._hardfork = hardfork
   }
 
+  async setNetwork (network) {
+    this._derivationPath = `m/44'/${network.coinType}'/0'/`
+    this._network = network
+  }
+
   async node () {
     const seed = await mnemonicToSeed(this._mnemonic)
     return fromMasterSeed(seed)
@@ -41,6 +46,10 @@ export default class EthereumJsWalletProvider extends Provider {
     return { v, r: r.toString('hex'), s: s.toString('hex') }
   }
 
+  async verifyMessage (message, signature, address) {
+    return verifyMessage(message, signature, address)
+  }
+
   async getAddresses () {
     const derivationPath = this._derivationPath + '0/0'
     const hdKey = await this.hdKey(derivationPath)
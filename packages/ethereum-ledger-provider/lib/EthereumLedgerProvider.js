@@ -10,18 +10,25 @@ import {
   remove0x,
   buildTransaction,
   formatEthResponse,
-  normalizeTransactionObject
+  normalizeTransactionObject,
+  AddressValidationProvider
 } from '@liquality/ethereum-utils'
 import { Address, addressToString } from '@liquality/utils'
 
 import { version } from '../package.json'
 
-export default class EthereumLedgerProvider extends LedgerProvider {
+export default class EthereumLedgerProvider extends AddressValidationProvider(LedgerProvider) {
   constructor (network = networks.mainnet) {
     super(Ethereum, network, 'w0w') // srs!
     this._baseDerivationPath = `44'/${network.coinType}'/0'`
   }
 
+  async setNetwork (network) {
+    await super.setNetwork(network)
+
+    this._baseDerivationPath = `44'/${network.coinType}'/0'`
+  }
+
   async signMessage (message, from) {
     const app = await this.getApp()
     const address = await this.getWalletAddress(from)
@@ -3,12 +3,14 @@ import { findKey } from 'lodash'
 import MetaMaskProvider from '@liquality/metamask-provider'
 import networks from '@liquality/ethereum-networks'
 import {
+  NetworkMismatchError,
   WalletError
 } from '@liquality/errors'
 import {
   ensure0x,
   remove0x,
-  buildTransaction
+  buildTransaction,
+  AddressValidationProvider
 } from '@liquality/ethereum-utils'
 import {
   Address,
@@ -17,7 +19,7 @@ import {
 
 import { version } from '../package.json'
 
-export default class EthereumMetaMaskProvider extends MetaMaskProvider {
+export default class EthereumMetaMaskProvider extends AddressValidationProvider(MetaMaskProvider) {
   async isWalletAvailable () {
     const addresses = await this.metamask('eth_accounts')
     return addresses.length > 0
@@ -52,11 +54,14 @@ export default class EthereumMetaMaskProvider extends MetaMaskProvider {
   }
 
   async sendTransaction (to, value, data, fee) {
-    const networkId = await this.getWalletNetworkId()
-
     if (this._network) {
+      const networkId = await this.getWalletNetworkId()
+
       if (networkId !== this._network.networkId) {
-        throw new Error('Invalid MetaMask Network')
+        throw new NetworkMismatchError(
+          `Network mismatch. Configured network '${this._network.name}' does not match MetaMask network id ${networkId}`,
+          { network: this._network, networkId }
+        )
       }
     }
 
@@ -70,10 +75,6 @@ export default class EthereumMetaMaskProvider extends MetaMaskProvider {
     return remove0x(txHash)
   }
 
-  canUpdateFee () {
-    return false
-  }
-
   async getWalletNetworkId () {
     const networkId = await this.metamask('net_version')
 
@@ -95,4 +96,5 @@ export default class EthereumMetaMaskProvider extends MetaMaskProvider {
   }
 }
 
+EthereumMetaMaskProvider.capabilities = { canUpdateFee: false }
 EthereumMetaMaskProvider.version = version
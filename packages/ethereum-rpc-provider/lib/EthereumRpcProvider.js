@@ -1,4 +1,4 @@
-import { isArray } from 'lodash'
+import { findKey, isArray, isString } from 'lodash'
 import { BigNumber } from 'bignumber.js'
 
 import JsonRpcProvider from '@liquality/jsonrpc-provider'
@@ -7,18 +7,88 @@ import {
   ensure0x,
   normalizeTransactionObject,
   remove0x,
-  buildTransaction
+  buildTransaction,
+  AddressValidationProvider
 } from '@liquality/ethereum-utils'
 import { addressToString, Address, sleep } from '@liquality/utils'
+import { weiToGwei } from '@liquality/units'
 import { padHexStart } from '@liquality/crypto'
+import { TransactionStatus } from '@liquality/schema'
+import networks from '@liquality/ethereum-networks'
 
 import { version } from '../package.json'
 
-export default class EthereumRpcProvider extends JsonRpcProvider {
-  _parseResponse (response) {
-    const data = super._parseResponse(response)
+const SUBSCRIPTION_TYPES = [ 'newHeads', 'logs', 'newPendingTransactions' ]
+
+// Read-only methods, which can be sent again after a timeout or an internal
+// error. Other methods may have been applied by the node, e.g. a broadcast.
+const RETRYABLE_METHODS = [
+  'eth_accounts',
+  'eth_blockNumber',
+  'eth_call',
+  'eth_chainId',
+  'eth_estimateGas',
+  'eth_gasPrice',
+  'eth_getBalance',
+  'eth_getBlockByHash',
+  'eth_getBlockByNumber',
+  'eth_getCode',
+  'eth_getLogs',
+  'eth_getTransactionByHash',
+  'eth_getTransactionCount',
+  'eth_getTransactionReceipt',
+  'eth_unsubscribe',
+  'net_version'
+]
+
+export default class EthereumRpcProvider extends AddressValidationProvider(JsonRpcProvider) {
+  _isRetryableMethod (method) {
+    return RETRYABLE_METHODS.includes(method)
+  }
+
+  _parseResult (data) {
+    const result = super._parseResult(data)
 
-    return formatEthResponse(data)
+    return formatEthResponse(result)
+  }
+
+  /**
+   * Subscribe to `newHeads`, `logs` or `newPendingTransactions` through
+   * `eth_subscribe`. Requires a `ws://` or `wss://` endpoint.
+   * @param {!string} type - Subscription type
+   * @param {object} [params] - Log filter for `logs` subscriptions
+   * @param {!function} callback - Called with each block header, log or
+   *  transaction hash
+   * @return {Promise<object>} Resolves with `{ id, unsubscribe }`
+   */
+  async subscribe (type, params, callback) {
+    if (!SUBSCRIPTION_TYPES.includes(type)) {
+      throw new TypeError(`Subscription type should be one of ${SUBSCRIPTION_TYPES.join(', ')}`)
+    }
+
+    const subscriptionParams = [ type ]
+    if (params) {
+      const { address } = params
+      subscriptionParams.push({
+        ...params,
+        ...(address && { address: isArray(address) ? address.map(ensure0x) : ensure0x(addressToString(address)) })
+      })
+    }
+
+    return this._subscribe('eth_subscribe', 'eth_unsubscribe', subscriptionParams, result => callback(formatEthResponse(result)))
+  }
+
+  /**
+   * Network of the node, from its `net_version`.
+   * @return {Promise<object>} Resolves with the network, or
+   *  `{ name: 'unknown', networkId }` for networks without an entry in
+   *  `@liquality/ethereum-networks`, e.g. local nodes
+   */
+  async getConnectedNetwork () {
+    const networkId = parseInt(await this.jsonrpc('net_version'))
+    const network = findKey(networks, network => network.networkId === networkId)
+
+    return network ? networks[network] : { name: 'unknown', networkId }
   }
 
   async getAddresses () {
@@ -129,6 +199,51 @@ export default class EthereumRpcProvider extends JsonRpcProvider {
     return this.jsonrpc('eth_getTransactionReceipt', txHash)
   }
 
+  /**
+   * A pending transaction is replaced once its nonce was used by another
+   * transaction of the same sender.
+   */
+  async isTransactionReplaced (tx) {
+    const { from, nonce } = tx._raw
+    const transactionCount = await this.getTransactionCount(from, 'latest')
+
+    return transactionCount > nonce
+  }
+
+  async isTransactionReverted (tx) {
+    const receipt = await this.getTransactionReceipt(tx.hash)
+
+    return Boolean(receipt) && receipt.status === '0'
+  }
+
+  /**
+   * Get the normalized status of a transaction.
+   * @param {!string|Transaction} tx - Hash of the transaction, or the
+   *  transaction as last seen to tell replaced and dropped ones apart
+   * @return {Promise<object>} Resolves with `{ status, confirmations, transaction }`.
+   *  Mined transactions also include their `receipt`.
+   */
+  async getTransactionStatus (tx) {
+    const hash = isString(tx) ? tx : tx.hash
+    const transaction = await this.getTransactionByHash(hash)
+
+    if (!transaction) {
+      if (isString(tx)) return { status: TransactionStatus.UNKNOWN, confirmations: 0 }
+
+      const replaced = await this.isTransactionReplaced(tx)
+      return { status: replaced ? TransactionStatus.REPLACED : TransactionStatus.DROPPED, confirmations: 0, transaction: tx }
+    }
+
+    if (!transaction.blockHash) {
+      const replaced = await this.isTransactionReplaced(transaction)
+      return { status: replaced ? TransactionStatus.REPLACED : TransactionStatus.PENDING, confirmations: 0, transaction }
+    }
+
+    const receipt = await this.getTransactionReceipt(hash)
+    const status = receipt && receipt.status === '0' ? TransactionStatus.FAILED : TransactionStatus.CONFIRMED
+    return { status, confirmations: transaction.confirmations, transaction, receipt }
+  }
+
   async getTransactionCount (address, block = 'latest') {
     address = ensure0x(addressToString(address))
 
@@ -139,7 +254,7 @@ export default class EthereumRpcProvider extends JsonRpcProvider {
 
   async getGasPrice () {
     const gasPrice = await this.jsonrpc('eth_gasPrice')
-    return BigNumber(parseInt(gasPrice, '16')).div(1e9).toNumber() // Gwei
+    return weiToGwei(parseInt(gasPrice, '16')).toNumber()
   }
 
   async getBalance (addresses) {
@@ -2,13 +2,18 @@
 
 import BigNumber from 'bignumber.js'
 import chai, { expect } from 'chai'
+import nock from 'nock'
+
+import networks from '@liquality/ethereum-networks'
 
 import Client from '../../../client/lib'
 import EthereumRpcProvider from '../../lib'
 
 const mockJsonRpc = require('../../../../test/mock/mockJsonRpc')
 const ethereumRpc = require('../../../../test/mock/ethereum/rpc')
+const mockWebSocketRpc = require('../../../../test/mock/mockWebSocketRpc')
 
+chai.use(require('chai-as-promised'))
 chai.use(require('chai-bignumber')())
 chai.config.truncateThreshold = 0
 
@@ -53,7 +58,7 @@ describe('Ethereum RPC provider', () => {
     it('should return a txid without 0x', async () => {
       const tx = await client.chain.sendTransaction('635d7d148054b9471d79084b80b864a166956139', 1000)
       expect(tx.hash).to.match(/^[A-Fa-f0-9]+$/)
-      expect(tx.value).equal(1000)
+      expect(tx.value).equal('1000')
     })
 
     it('returned tx object should have input field', async () => {
@@ -96,10 +101,10 @@ describe('Ethereum RPC provider', () => {
             hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
             blockHash: '868b4c97d842aa758dfc97834088aee0687410365140adc4bebbc4c02b0eddc3',
             blockNumber: 1,
-            value: 10000,
+            value: '10000',
             confirmations: 11,
             feePrice: 20,
-            fee: 1800000000000000,
+            fee: '1800000000000000',
             _raw: {
               hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
               nonce: 0,
@@ -108,7 +113,7 @@ describe('Ethereum RPC provider', () => {
               transactionIndex: '00',
               from: '322d4959c911520645c0638204b42ce0689236e9',
               to: '635d7d148054b9471d79084b80b864a166956139',
-              value: 10000,
+              value: '10000',
               gas: '015f90',
               gasPrice: '04a817c800',
               input: '0'
@@ -129,10 +134,10 @@ describe('Ethereum RPC provider', () => {
           hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
           blockHash: '868b4c97d842aa758dfc97834088aee0687410365140adc4bebbc4c02b0eddc3',
           blockNumber: 1,
-          value: 10000,
+          value: '10000',
           confirmations: 11,
           feePrice: 20,
-          fee: 1800000000000000,
+          fee: '1800000000000000',
           _raw: {
             hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
             nonce: 0,
@@ -141,7 +146,7 @@ describe('Ethereum RPC provider', () => {
             transactionIndex: '00',
             from: '322d4959c911520645c0638204b42ce0689236e9',
             to: '635d7d148054b9471d79084b80b864a166956139',
-            value: 10000,
+            value: '10000',
             gas: '015f90',
             gasPrice: '04a817c800',
             input: '0'
@@ -199,4 +204,167 @@ describe('Ethereum RPC provider', () => {
       })
     })
   })
+
+  describe('isTransactionReplaced', () => {
+    it('should return true when the nonce was used by another transaction', async () => {
+      const tx = await provider.getTransactionByHash('ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd')
+      expect(await provider.isTransactionReplaced(tx)).to.equal(true)
+    })
+  })
+
+  describe('validateAddress', () => {
+    it('should return the checksummed address', async () => {
+      const { isValid, address, type } = await client.chain.validateAddress('322d4959c911520645c0638204b42ce0689236e9')
+      expect(isValid).to.equal(true)
+      expect(address).to.equal('0x322d4959C911520645C0638204b42Ce0689236E9')
+      expect(type).to.equal('unchecksummed')
+    })
+  })
+
+  describe('getTransactionStatus', () => {
+    it('should return failed for a reverted transaction', async () => {
+      const { status, confirmations, receipt } = await client.chain.getTransactionStatus('ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd')
+      expect(status).to.equal('failed')
+      expect(confirmations).to.equal(11)
+      expect(receipt.status).to.equal('0')
+    })
+  })
+
+  describe('isTransactionReverted', () => {
+    it('should return false for a successful transaction', async () => {
+      const tx = { hash: '836a5e038d599454d576493f55c8000d4cce30460437b9e23718154e8f0e4298' }
+      expect(await provider.isTransactionReverted(tx)).to.equal(false)
+    })
+  })
+
+  describe('getConnectedNetwork', () => {
+    const mockNetVersion = version => nock('http://localhost:8545')
+      .post('/', body => body.method === 'net_version')
+      .reply(200, { result: version }, { 'Content-Type': 'application/json' })
+
+    it('should return the network of the node', async () => {
+      mockNetVersion('4')
+      expect(await client.chain.getConnectedNetwork()).to.equal(networks.rinkeby)
+
+      mockNetVersion('1337')
+      expect(await client.chain.getConnectedNetwork()).to.deep.equal({ name: 'unknown', networkId: 1337 })
+    })
+
+    it('should reject switching the client to another network than the node', async () => {
+      mockNetVersion('1')
+      await expect(client.setNetwork(networks.rinkeby)).to.be.rejectedWith('Backend is connected to mainnet instead of rinkeby')
+    })
+  })
+
+  describe('retry policy', () => {
+    const uri = 'http://localhost:8546'
+    const jsonHeaders = { 'Content-Type': 'application/json' }
+
+    let retryProvider
+
+    beforeEach(() => {
+      retryProvider = new EthereumRpcProvider(uri, undefined, undefined, { retry: { minDelay: 0 } })
+    })
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    it('should retry read-only methods on JSON-RPC internal errors', async () => {
+      nock(uri).post('/').reply(200, { error: { code: -32603, message: 'Internal error' } }, jsonHeaders)
+      nock(uri).post('/').reply(200, { result: '0x10' }, jsonHeaders)
+
+      expect(await retryProvider.getBlockHeight()).to.equal(16)
+    })
+
+    it('should not retry sending transactions', async () => {
+      for (const method of [ 'eth_sendRawTransaction', 'eth_sendTransaction' ]) {
+        nock(uri).post('/').reply(200, { error: { code: -32603, message: 'Internal error' } }, jsonHeaders)
+        nock(uri).post('/').reply(200, { result: '0x1234' }, jsonHeaders)
+
+        await expect(retryProvider.jsonrpc(method, '0x00')).to.be.rejectedWith(/Internal error/)
+        nock.cleanAll()
+      }
+    })
+  })
+
+  describe('subscribe', () => {
+    let server
+    let wsClient
+    let wsProvider
+
+    const nextNotification = () => new Promise(resolve => { wsClient.notification = resolve })
+
+    beforeEach(async () => {
+      server = await mockWebSocketRpc(ethereumRpc)
+      wsClient = new Client()
+      wsProvider = new EthereumRpcProvider(server.url)
+      wsClient.addProvider(wsProvider)
+    })
+
+    afterEach(async () => {
+      wsProvider.close()
+      await server.close()
+    })
+
+    it('should send calls over the WebSocket connection', async () => {
+      expect(await wsClient.chain.getBlockHeight()).to.equal(11)
+    })
+
+    it('should receive new block headers', async () => {
+      await wsClient.chain.subscribe('newHeads', header => wsClient.notification(header))
+      const notification = nextNotification()
+
+      server.notify('newHeads', { number: '0x0c', hash: '0xabcd' })
+
+      expect(await notification).to.deep.equal({ number: 12, hash: 'abcd' })
+    })
+
+    it('should receive logs matching a filter', async () => {
+      await wsClient.chain.subscribe('logs', { address: '3c1f2e1ae9a1e14a2f8f1d5c6a1e4f3b6e4c2d1a' }, log => wsClient.notification(log))
+      expect(server.subscriptions['0x1'].params[1].address).to.equal('0x3c1f2e1ae9a1e14a2f8f1d5c6a1e4f3b6e4c2d1a')
+      const notification = nextNotification()
+
+      server.notify('logs', { data: '0x01' })
+
+      expect(await notification).to.deep.equal({ data: '01' })
+    })
+
+    it('should receive pending transaction hashes', async () => {
+      await wsClient.chain.subscribe('newPendingTransactions', hash => wsClient.notification(hash))
+      const notification = nextNotification()
+
+      server.notify('newPendingTransactions', '0xffff')
+
+      expect(await notification).to.equal('ffff')
+    })
+
+    it('should unsubscribe', async () => {
+      const subscription = await wsClient.chain.subscribe('newHeads', () => {})
+      expect(await subscription.unsubscribe()).to.equal(true)
+      expect(server.subscriptions).to.deep.equal({})
+    })
+
+    it('should subscribe again after the connection is lost', async () => {
+      await wsClient.chain.subscribe('newHeads', header => wsClient.notification(header))
+      server.dropConnections()
+
+      while (Object.keys(server.subscriptions).length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      }
+
+      const notification = nextNotification()
+      server.notify('newHeads', { number: '0x0d' })
+
+      expect(await notification).to.deep.equal({ number: 13 })
+    })
+
+    it('should reject unknown subscription types', async () => {
+      await expect(wsClient.chain.subscribe('syncing', () => {})).to.be.rejectedWith(TypeError)
+    })
+
+    it('should require a WebSocket endpoint', async () => {
+      await expect(client.chain.subscribe('newHeads', () => {})).to.be.rejectedWith(/WebSocket/)
+    })
+  })
 })
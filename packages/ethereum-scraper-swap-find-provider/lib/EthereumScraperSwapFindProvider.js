@@ -1,20 +1,21 @@
 import axios from 'axios'
 import Provider from '@liquality/provider'
 import { ensure0x, normalizeTransactionObject, formatEthResponse } from '@liquality/ethereum-utils'
-import { addressToString } from '@liquality/utils'
+import { addressToString, applyRetryPolicy, withCancelToken } from '@liquality/utils'
+import { ReceiptNotAvailableError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
 export default class EthereumScraperSwapFindProvider extends Provider {
-  constructor (url) {
+  constructor (url, options = {}) {
     super()
     this.url = url
 
-    this._axios = axios.create({
+    this._axios = applyRetryPolicy(axios.create({
       baseURL: url,
       responseType: 'text',
       transformResponse: undefined // https://github.com/axios/axios/issues/907,
-    })
+    }), options.retry)
   }
 
   normalizeTransactionResponse (tx) {
@@ -30,13 +31,14 @@ export default class EthereumScraperSwapFindProvider extends Provider {
 
     const limit = 250
     for (let page = 1; ; page++) {
-      const response = await this._axios(`/txs/${address}`, {
+      const response = await withCancelToken(this.signal, cancelToken => this._axios(`/txs/${address}`, {
         params: {
           limit,
           page,
           sort: 'desc'
-        }
-      })
+        },
+        cancelToken
+      }))
 
       const transactions = response.data.data.txs
       if (transactions.length === 0) return
@@ -57,7 +59,7 @@ export default class EthereumScraperSwapFindProvider extends Provider {
 
   async findClaimSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transaction = await this.findAddressTransaction(initiationTransactionReceipt.contractAddress,
       tx => this.getMethod('doesTransactionMatchClaim', false)(tx, initiationTransactionReceipt))
@@ -71,7 +73,7 @@ export default class EthereumScraperSwapFindProvider extends Provider {
 
   async findRefundSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transaction = await this.findAddressTransaction(
       initiationTransactionReceipt.contractAddress,
@@ -84,10 +86,7 @@ export default class EthereumScraperSwapFindProvider extends Provider {
 
     return transaction
   }
-
-  doesBlockScan () {
-    return false
-  }
 }
 
+EthereumScraperSwapFindProvider.capabilities = { doesBlockScan: false }
 EthereumScraperSwapFindProvider.version = version
@@ -1,7 +1,10 @@
+import { BigNumber } from 'bignumber.js'
+
 import Provider from '@liquality/provider'
 import { padHexStart } from '@liquality/crypto'
 import { addressToString } from '@liquality/utils'
 import { remove0x } from '@liquality/ethereum-utils'
+import { ReceiptNotAvailableError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
@@ -87,21 +90,21 @@ export default class EthereumSwapProvider extends Provider {
 
   async claimSwap (initiationTxHash, recipientAddress, refundAddress, secret, expiration, gasPrice) {
     const initiationTransaction = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransaction) throw new Error('Transaction receipt is not available')
+    if (!initiationTransaction) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     return this.getMethod('sendTransaction')(initiationTransaction.contractAddress, 0, secret, gasPrice)
   }
 
   async refundSwap (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, gasPrice) {
     const initiationTransaction = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransaction) throw new Error('Transaction receipt is not available')
+    if (!initiationTransaction) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     return this.getMethod('sendTransaction')(initiationTransaction.contractAddress, 0, '', gasPrice)
   }
 
   doesTransactionMatchInitiation (transaction, value, recipientAddress, refundAddress, secretHash, expiration) {
     const data = this.createSwapScript(recipientAddress, refundAddress, secretHash, expiration)
-    return transaction._raw.input === data && transaction._raw.value === value
+    return transaction._raw.input === data && BigNumber(transaction.value).isEqualTo(value)
   }
 
   doesTransactionMatchClaim (transaction, initiationTransactionReceipt) {
@@ -113,7 +116,7 @@ export default class EthereumSwapProvider extends Provider {
     if (!initiationTransaction) return false
 
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transactionMatchesSwapParams = this.doesTransactionMatchInitiation(
       initiationTransaction,
@@ -140,7 +143,7 @@ export default class EthereumSwapProvider extends Provider {
 
   async findClaimSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const transaction = await this.findSwapTransaction(blockNumber, transaction => this.doesTransactionMatchClaim(transaction, initiationTransactionReceipt))
     if (!transaction) return
@@ -159,7 +162,7 @@ export default class EthereumSwapProvider extends Provider {
 
   async findRefundSwapTransaction (initiationTxHash, recipientAddress, refundAddress, secretHash, expiration, blockNumber) {
     const initiationTransactionReceipt = await this.getMethod('getTransactionReceipt')(initiationTxHash)
-    if (!initiationTransactionReceipt) throw new Error('Transaction receipt is not available')
+    if (!initiationTransactionReceipt) throw new ReceiptNotAvailableError('Transaction receipt is not available', { txHash: initiationTxHash })
 
     const refundSwapTransaction = await this.findSwapTransaction(blockNumber, (transaction, block) =>
       transaction._raw.to === initiationTransactionReceipt.contractAddress &&
@@ -1,13 +1,16 @@
 import { Block, Transaction } from '@liquality/schema'
-import { padHexStart } from '@liquality/crypto'
+import { padHexStart, sha256 } from '@liquality/crypto'
 import { addressToString } from '@liquality/utils'
+import { gweiToWei, weiToGwei } from '@liquality/units'
 import BigNumber from 'bignumber.js'
 import eip55 from 'eip55'
+import * as ethUtil from 'ethereumjs-util'
 import _ from 'lodash'
 
 import { version } from '../package.json'
 
-const GWEI = 1e9
+// Amounts in wei, kept as decimal strings to avoid losing precision
+const AMOUNT_PROPERTIES = [ 'value' ]
 
 /**
  * Converts a hex string to the ethereum format
@@ -39,6 +42,87 @@ function checksumEncode (hash) {
   return eip55.encode(ensure0x(hash))
 }
 
+/**
+ * Validate an ethereum address.
+ * @param {string} address - The address, with or without 0x prefix
+ * @param {object} [network] - Network of the client. Ethereum addresses are
+ *  the same on every network, so this only fills the `network` field.
+ * @return {{ isValid: boolean, address: string, type: string, network: string, reason: string }}
+ *  `address` is the EIP-55 checksummed address. `type` is `eip55` when the
+ *  given address carries a valid checksum and `unchecksummed` when it is all
+ *  lower or upper case. Mixed case addresses with a wrong checksum are invalid.
+ */
+function validateAddress (address, network) {
+  const networkName = network ? network.name : undefined
+  const invalid = reason => ({ isValid: false, address, network: networkName, reason })
+
+  if (typeof address !== 'string' || !(/^(0x)?[0-9a-fA-F]{40}$/.test(address))) {
+    return invalid('Address should be a 20 bytes hex string')
+  }
+
+  const hex = remove0x(address)
+  const checksummed = checksumEncode(hex.toLowerCase())
+  const isMixedCase = hex !== hex.toLowerCase() && hex !== hex.toUpperCase()
+
+  if (isMixedCase && remove0x(checksummed) !== hex) return invalid('Invalid EIP-55 checksum')
+
+  return {
+    isValid: true,
+    address: checksummed,
+    type: isMixedCase ? 'eip55' : 'unchecksummed',
+    network: networkName
+  }
+}
+
+/**
+ * Mixin adding `validateAddress` to a provider. The `_network` of the
+ * provider, if any, fills the `network` field of the result.
+ * @param {!function} superclass - Provider class to extend
+ * @return {function} Provider class implementing `validateAddress`
+ */
+const AddressValidationProvider = superclass => class extends superclass {
+  async validateAddress (address) {
+    return validateAddress(addressToString(address), this._network)
+  }
+}
+
+/**
+ * Verify a message signed by `signMessage` of the Ethereum wallets. The
+ * js wallet signs the sha256 of the message in hex, MetaMask (`personal_sign`),
+ * Ledger and `eth_sign` nodes sign the message with the personal message
+ * prefix.
+ * @param {!string} message
+ * @param {!string|object} signature - `{ v, r, s }` with `r` and `s` in hex,
+ *  or the 65 byte signature in hex as returned by `personal_sign`
+ * @param {!string|Address} address - Address expected to have signed
+ * @return {boolean}
+ */
+function verifyMessage (message, signature, address) {
+  address = remove0x(addressToString(address)).toLowerCase()
+
+  let v, r, s
+  try {
+    ({ v, r, s } = _.isString(signature)
+      ? ethUtil.fromRpcSig(ensure0x(signature))
+      : { v: signature.v, r: Buffer.from(remove0x(signature.r), 'hex'), s: Buffer.from(remove0x(signature.s), 'hex') })
+  } catch (e) {
+    return false
+  }
+
+  const hashes = [
+    Buffer.from(sha256(Buffer.from(message).toString('hex')), 'hex'),
+    ethUtil.hashPersonalMessage(Buffer.from(message))
+  ]
+
+  return hashes.some(hash => {
+    try {
+      return ethUtil.publicToAddress(ethUtil.ecrecover(hash, v, r, s)).toString('hex') === address
+    } catch (e) {
+      return false
+    }
+  })
+}
+
 function ensureBlockFormat (block) {
   if (block === undefined) {
     return 'latest'
@@ -61,6 +145,8 @@ function formatEthResponse (obj) {
       if (obj[key] === null) continue
       if (Array.isArray(obj[key])) {
         obj[key] = formatEthResponse(obj[key])
+      } else if (AMOUNT_PROPERTIES.includes(key)) {
+        obj[key] = BigNumber(obj[key]).toFixed()
       } else {
         if ((Block.properties[key] &&
           Block.properties[key].type === 'number') ||
@@ -92,6 +178,10 @@ function normalizeTransactionObject (tx, currentHeight) {
     delete normalizedTx._raw.data
   }
 
+  if ('value' in normalizedTx) {
+    normalizedTx.value = BigNumber(normalizedTx.value).toFixed()
+  }
+
   if (normalizedTx.blockNumber === null) {
     delete normalizedTx.blockNumber
   } else if (!isNaN(normalizedTx.blockNumber) && !('confirmations' in normalizedTx)) {
@@ -102,11 +192,11 @@ function normalizeTransactionObject (tx, currentHeight) {
   }
 
   if (tx.gas && tx.gasPrice) {
-    const gas = BigNumber(parseInt(tx.gas, 16))
-    const gasPrice = BigNumber(parseInt(tx.gasPrice, 16))
+    const gas = BigNumber(ensure0x(tx.gas))
+    const gasPrice = BigNumber(ensure0x(tx.gasPrice))
 
-    normalizedTx.fee = gas.times(gasPrice).toNumber()
-    normalizedTx.feePrice = gasPrice.div(GWEI).toNumber()
+    normalizedTx.fee = gas.times(gasPrice).toFixed()
+    normalizedTx.feePrice = weiToGwei(gasPrice).toNumber()
   }
 
   return normalizedTx
@@ -118,7 +208,7 @@ function buildTransaction (from, to, value, data, gasPrice, nonce) {
     value: ensure0x(BigNumber(value).toString(16))
   }
 
-  if (gasPrice) tx.gasPrice = ensure0x(BigNumber(gasPrice).times(GWEI).toString(16))
+  if (gasPrice) tx.gasPrice = ensure0x(gweiToWei(gasPrice).toString(16))
   if (to) tx.to = ensure0x(addressToString(to))
   if (data) tx.data = ensure0x(data)
   if (nonce !== null && nonce !== undefined) tx.nonce = ensure0x(nonce.toString(16))
@@ -131,6 +221,9 @@ export {
   remove0x,
   removeAddress0x,
   checksumEncode,
+  validateAddress,
+  AddressValidationProvider,
+  verifyMessage,
   formatEthResponse,
   normalizeTransactionObject,
   ensureBlockFormat,
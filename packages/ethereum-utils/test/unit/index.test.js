@@ -25,6 +25,35 @@ describe('Ethereum Util', () => {
     })
   })
 
+  describe('formatEthResponse', () => {
+    it('should keep values above 2^53 lossless', () => {
+      const tx = EthereumUtil.formatEthResponse({ hash: '0xca218db6', value: '0x56bc75e2d63100001', gas: '0x5208' })
+      expect(tx.value).to.equal('100000000000000000001')
+      expect(EthereumUtil.normalizeTransactionObject(tx).value).to.equal('100000000000000000001')
+    })
+  })
+
+  describe('validateAddress', () => {
+    it('should accept checksummed addresses', () => {
+      expect(EthereumUtil.validateAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', { name: 'mainnet' })).to.deep.equal({
+        isValid: true, address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', type: 'eip55', network: 'mainnet'
+      })
+    })
+
+    it('should checksum single case addresses', () => {
+      const result = EthereumUtil.validateAddress('5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')
+      expect(result.isValid).to.equal(true)
+      expect(result.type).to.equal('unchecksummed')
+      expect(result.address).to.equal('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')
+    })
+
+    it('should reject invalid checksums and malformed addresses', () => {
+      expect(EthereumUtil.validateAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD').isValid).to.equal(false)
+      expect(EthereumUtil.validateAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1bea').isValid).to.equal(false)
+      expect(EthereumUtil.validateAddress('0xzaaeb6053f3e94c9b9a09f33669435e7ef1beaed').isValid).to.equal(false)
+    })
+  })
+
   describe('normalizeTransactionObject', () => {
     it('should remove blockNumber key if it is null', () => {
       expect(EthereumUtil.normalizeTransactionObject({
@@ -40,7 +69,7 @@ describe('Ethereum Util', () => {
         input: '0x0'
       })).to.deep.equal({
         hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
-        value: 100000,
+        value: '100000',
         _raw: {
           hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
           nonce: '0x0',
@@ -54,7 +83,7 @@ describe('Ethereum Util', () => {
           input: '0x0'
         },
         feePrice: 20,
-        fee: 1800000000000000
+        fee: '1800000000000000'
       })
     })
 
@@ -72,7 +101,7 @@ describe('Ethereum Util', () => {
         input: '0x0'
       }, 10)).to.deep.equal({
         hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
-        value: 100000,
+        value: '100000',
         _raw: {
           hash: 'ca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
           nonce: '0x0',
@@ -88,7 +117,7 @@ describe('Ethereum Util', () => {
         blockNumber: 5,
         confirmations: 6,
         feePrice: 20,
-        fee: 1800000000000000
+        fee: '1800000000000000'
       })
     })
 
@@ -100,7 +129,7 @@ describe('Ethereum Util', () => {
         value: 100000,
         data: '0x1234'
       }, 10)).to.deep.equal({
-        value: 100000,
+        value: '100000',
         _raw: {
           nonce: '0x0',
           from: '0x322d4959c911520645c0638204b42ce0689236e9',
@@ -111,4 +140,49 @@ describe('Ethereum Util', () => {
       })
     })
   })
+
+  describe('verifyMessage', () => {
+    const signature = {
+      v: 28,
+      r: 'ddb051aeeacd19776d0247e4aca9c2d3b8b3b51af68677b373dc705d3ba47523',
+      s: '7daa0981783f29d5b411a240ba3feac0b899060b6ef2e8b7e1375f8c573255ef'
+    }
+
+    it('should verify signatures of the address', () => {
+      expect(EthereumUtil.verifyMessage('swap offer', signature, '5050a4f4b3f9338c3472dcc01a87c76a144b3c9c')).to.equal(true)
+      expect(EthereumUtil.verifyMessage('swap offer', signature, '0x5050A4F4b3f9338C3472dcC01A87C76A144b3c9c')).to.equal(true)
+    })
+
+    it('should reject other messages, addresses and malformed signatures', () => {
+      expect(EthereumUtil.verifyMessage('swap offer!', signature, '5050a4f4b3f9338c3472dcc01a87c76a144b3c9c')).to.equal(false)
+      expect(EthereumUtil.verifyMessage('swap offer', signature, '322d4959c911520645c0638204b42ce0689236e9')).to.equal(false)
+      expect(EthereumUtil.verifyMessage('swap offer', { ...signature, v: 1 }, '5050a4f4b3f9338c3472dcc01a87c76a144b3c9c')).to.equal(false)
+      expect(EthereumUtil.verifyMessage('swap offer', 'abcd', '5050a4f4b3f9338c3472dcc01a87c76a144b3c9c')).to.equal(false)
+    })
+
+    describe('personal messages', () => {
+      const address = '1a642f0e3c3af545e7acbd38b07251b3990914f1'
+      const personalSignature = '0x7f135afe27f2c787c9fb8bdfe6f0e584d8b35e65445d744cf1649d96ca1e2f731ccd73291f23420fce380b0ddb87bfd462af5103d682354828fc4dd61d50d52d1c'
+      const ledgerSignature = {
+        v: 28,
+        r: '7f135afe27f2c787c9fb8bdfe6f0e584d8b35e65445d744cf1649d96ca1e2f73',
+        s: '1ccd73291f23420fce380b0ddb87bfd462af5103d682354828fc4dd61d50d52d'
+      }
+
+      it('should verify signatures of personal_sign', () => {
+        expect(EthereumUtil.verifyMessage('swap offer', personalSignature, address)).to.equal(true)
+        expect(EthereumUtil.verifyMessage('swap offer', EthereumUtil.remove0x(personalSignature), address)).to.equal(true)
+      })
+
+      it('should verify signatures of Ledger', () => {
+        expect(EthereumUtil.verifyMessage('swap offer', ledgerSignature, address)).to.equal(true)
+      })
+
+      it('should reject other messages and addresses', () => {
+        expect(EthereumUtil.verifyMessage('swap offer!', personalSignature, address)).to.equal(false)
+        expect(EthereumUtil.verifyMessage('swap offer', personalSignature, '5050a4f4b3f9338c3472dcc01a87c76a144b3c9c')).to.equal(false)
+        expect(EthereumUtil.verifyMessage('swap offer!', ledgerSignature, address)).to.equal(false)
+      })
+    })
+  })
 })
@@ -9,6 +9,21 @@ export default class InjectedProvider {
 
   setClient (client) {}
 
+  /**
+   * Forward the capabilities of the injected provider. Awaited by
+   * `client.ready()`.
+   */
+  async init () {
+    let doesBlockScan
+    try {
+      doesBlockScan = await this.injectedProvider.getMethod('swap.doesBlockScan')()
+    } catch (e) {
+      return // Not reported by the injected provider, use the default
+    }
+
+    if (typeof doesBlockScan === 'boolean') this.capabilities = { doesBlockScan }
+  }
+
   // <chain>
 
   async getBlockByHash (blockHash, includeTx = false) {
@@ -133,10 +148,6 @@ export default class InjectedProvider {
     return this.injectedProvider.getMethod('swap.refundSwap')(initiationTxHash, recipientAddress, refundAddress, secretHash, expiration)
   }
 
-  async doesBlockScan () {
-    return this.injectedProvider.getMethod('swap.doesBlockScan')()
-  }
-
   // </swap>
 }
 
@@ -1,10 +1,13 @@
 import axios from 'axios'
 import JSONBigInt from 'json-bigint'
-import { get, has } from 'lodash'
+import { get, has, isArray, keyBy } from 'lodash'
 
 import Provider from '@liquality/provider'
 import Debug from '@liquality/debug'
-import { NodeError, RpcError } from '@liquality/errors'
+import { abortable, withCancelToken, createRetryPolicy, withRetry } from '@liquality/utils'
+import { AbortError, NodeError, RpcError, UnsupportedMethodError } from '@liquality/errors'
+
+import WebSocketTransport from './WebSocketTransport'
 
 import { version } from '../package.json'
 
@@ -12,17 +15,52 @@ const debug = Debug('jsonrpc')
 
 const { parse } = JSONBigInt({ storeAsString: true, strict: true })
 
+const DEFAULT_BATCH_OPTIONS = {
+  maxSize: 100
+}
+
+function toNodeError (uri, e) {
+  if (e instanceof AbortError) return e
+
+  const { name, message, ...errorNoNameNoMessage } = e
+  return new NodeError(`${uri} - ${e.toString()}`, errorNoNameNoMessage)
+}
+
 export default class JsonRpcProvider extends Provider {
-  constructor (uri, username, password) {
+  /**
+   * JsonRpcProvider
+   * @param {!string} uri - URI of the JSON-RPC endpoint. `ws://` and `wss://`
+   *  URIs use a WebSocket connection, which also enables subscriptions.
+   * @param {string} [username]
+   * @param {string} [password]
+   * @param {object} [options]
+   * @param {object|boolean} [options.retry] - Retry policy overrides (see
+   *  `DEFAULT_RETRY_POLICY` in @liquality/utils), `false` to disable retries
+   * @param {object|boolean} [options.batch] - Send the calls made in the same
+   *  tick as one JSON-RPC batch. `true` or `{ maxSize }` to enable. Not used
+   *  over WebSocket.
+   */
+  constructor (uri, username, password, options = {}) {
     super()
 
     this._uri = uri
+    this._retryPolicy = createRetryPolicy(options.retry)
+    this._batchQueue = []
+    this._requestId = 0
 
+    if (/^wss?:\/\//i.test(uri)) {
+      this._transport = new WebSocketTransport(uri, parse, this._retryPolicy.timeout)
+      this._batchOptions = null
+      return
+    }
+
+    this._batchOptions = options.batch ? { ...DEFAULT_BATCH_OPTIONS, ...options.batch } : null
     this._axios = axios.create({
       baseURL: uri,
       responseType: 'text',
       transformResponse: undefined, // https://github.com/axios/axios/issues/907,
-      validateStatus: (status) => true
+      validateStatus: (status) => true,
+      timeout: this._retryPolicy.timeout
     })
 
     if (username || password) {
@@ -31,19 +69,23 @@ export default class JsonRpcProvider extends Provider {
   }
 
   _prepareRequest (method, params) {
-    const id = Date.now()
+    const id = ++this._requestId
     const req = { id, method, params }
     debug('jsonrpc request', req)
     return req
   }
 
-  _parseResponse ({ data, status, statusText, headers }) {
+  _parseBody ({ data, status, statusText, headers }) {
     if (headers['content-type'] !== 'application/json') {
       throw new RpcError(status, statusText, { data })
     }
 
     data = parse(data)
     debug('parsed jsonrpc response', data)
+    return data
+  }
+
+  _parseResult (data) {
     if (data.error != null) {
       throw new RpcError(
         get(data, 'error.code', -32603),
@@ -58,17 +100,152 @@ export default class JsonRpcProvider extends Provider {
     return data.result
   }
 
+  _parseResponse (response) {
+    return this._parseResult(this._parseBody(response))
+  }
+
+  /**
+   * Whether a failed call can safely be sent again. Subclasses only retry
+   * the read-only methods of their node: a call that timed out may have been
+   * applied, e.g. a broadcast, and fails when it is sent again.
+   * @param {!string} method - JSON-RPC method
+   * @return {boolean}
+   */
+  _isRetryableMethod (method) {
+    return true
+  }
+
+  _sendRequest (request, signal) {
+    if (this._transport) {
+      return abortable(this._transport.request(request), signal)
+        .then(data => this._parseResult(data))
+    }
+
+    return withCancelToken(signal, cancelToken => this._axios.post('', request, { cancelToken }))
+      .then(response => this._parseResponse(response))
+  }
+
+  _send (method, params, signal) {
+    if (!this._batchOptions) {
+      return this._sendRequest(this._prepareRequest(method, params), signal)
+    }
+
+    // A batch is shared by several calls: an aborted call stops waiting for it
+    return abortable(new Promise((resolve, reject) => {
+      this._batchQueue.push({ request: this._prepareRequest(method, params), resolve, reject })
+
+      if (this._batchQueue.length === 1) {
+        setTimeout(() => this._flushBatchQueue(), 0)
+      }
+    }), signal)
+  }
+
+  _flushBatchQueue () {
+    const queue = this._batchQueue
+    this._batchQueue = []
+
+    for (let i = 0; i < queue.length; i += this._batchOptions.maxSize) {
+      this._sendBatch(queue.slice(i, i + this._batchOptions.maxSize))
+    }
+  }
+
+  async _sendBatch (calls) {
+    if (calls.length === 1) {
+      const [ { request, resolve, reject } ] = calls
+      return this._sendRequest(request).then(resolve, reject)
+    }
+
+    let responses
+    try {
+      const response = await this._axios.post('', calls.map(call => call.request))
+      responses = this._parseBody(response)
+
+      if (!isArray(responses)) {
+        // Nodes reply with a single error object when the whole batch fails
+        this._parseResult(responses)
+        throw new RpcError(-32700, 'Expected an array as the result of the RPC batch call')
+      }
+    } catch (e) {
+      calls.forEach(call => call.reject(e))
+      return
+    }
+
+    const responsesById = keyBy(responses, 'id')
+
+    calls.forEach(({ request, resolve, reject }) => {
+      const data = responsesById[request.id]
+      if (!data) {
+        reject(new RpcError(-32700, `Missing response for the RPC call with id ${request.id}`))
+        return
+      }
+
+      try {
+        resolve(this._parseResult(data))
+      } catch (e) {
+        reject(e)
+      }
+    })
+  }
+
+  /**
+   * Call a JSON-RPC method. Calls made through a client view returned by
+   * `withSignal` are cancelled when its signal is aborted.
+   */
   jsonrpc (method, ...params) {
-    return this._axios.post(
-      '',
-      this._prepareRequest(method, params)
-    )
-      .then(this._parseResponse)
+    const retryPolicy = this._isRetryableMethod(method)
+      ? this._retryPolicy
+      : { ...this._retryPolicy, maxAttempts: 1 }
+
+    return withRetry(() => this._send(method, params, this.signal), retryPolicy, this.signal)
       .catch(e => {
-        const { name, message, ...errorNoNameNoMessage } = e
-        throw new NodeError(`${this._uri} - ${e.toString()}`, errorNoNameNoMessage)
+        throw toNodeError(this._uri, e)
       })
   }
+
+  /**
+   * Subscribe to notifications pushed by the node. Requires a WebSocket
+   * endpoint.
+   * @param {!string} method - Subscribe method, e.g. `eth_subscribe`
+   * @param {!string} unsubscribeMethod - Method cancelling the subscription
+   * @param {!Array} params - Parameters of the subscribe call
+   * @param {!function} callback - Called with the result of each notification
+   * @return {Promise<object>} Resolves with `{ id, unsubscribe }`
+   */
+  async _subscribe (method, unsubscribeMethod, params, callback) {
+    if (!this._transport) {
+      throw new UnsupportedMethodError('Subscriptions require a WebSocket endpoint')
+    }
+
+    const request = this._prepareRequest(method, params)
+
+    let id
+    try {
+      const data = await this._transport.request(request)
+      this._parseResult(data)
+      id = data.result
+    } catch (e) {
+      throw toNodeError(this._uri, e)
+    }
+
+    const stopTracking = this._transport.addSubscription(request, id, callback)
+
+    return {
+      id,
+      unsubscribe: () => this.jsonrpc(unsubscribeMethod, stopTracking())
+    }
+  }
+
+  /**
+   * Close the WebSocket connection, if any. It is opened again by the next
+   * call.
+   */
+  close () {
+    if (this._transport) this._transport.close()
+  }
+
+  async dispose () {
+    this.close()
+  }
 }
 
 JsonRpcProvider.version = version
@@ -0,0 +1,3 @@
+import WebSocket from 'ws'
+
+export default () => WebSocket
@@ -0,0 +1,155 @@
+import getWebSocket from './NodeWebSocket'
+
+const RECONNECT_DELAY = 1000
+
+function connectionError (message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+export default class WebSocketTransport {
+  /**
+   * WebSocketTransport keeps one connection to a JSON-RPC endpoint and routes
+   * responses and subscription notifications. Subscriptions are sent again
+   * when the connection is restored.
+   * @param {!string} uri - `ws://` or `wss://` URI of the endpoint
+   * @param {!function} parse - Parser of the received messages
+   * @param {number} [timeout=0] - Request timeout in milliseconds, 0 to disable
+   */
+  constructor (uri, parse, timeout = 0) {
+    this._uri = uri
+    this._parse = parse
+    this._timeout = timeout
+    this._socket = null
+    this._connecting = null
+    this._closed = false
+    this._pending = new Map()
+    this._subscriptions = new Map()
+  }
+
+  _connect () {
+    if (this._connecting) return this._connecting
+
+    this._closed = false
+    this._connecting = new Promise((resolve, reject) => {
+      const WebSocket = getWebSocket()
+      const socket = new WebSocket(this._uri)
+
+      socket.onopen = () => {
+        this._socket = socket
+        resolve(socket)
+      }
+      socket.onerror = event => {
+        if (!this._socket) reject(connectionError(`Could not connect to ${this._uri}`, 'ECONNREFUSED'))
+      }
+      socket.onclose = () => this._onClose(socket)
+      socket.onmessage = event => this._onMessage(event.data)
+    })
+
+    this._connecting.catch(() => { this._connecting = null })
+
+    return this._connecting
+  }
+
+  _onClose (socket) {
+    if (this._socket !== socket) return
+
+    this._socket = null
+    this._connecting = null
+
+    this._pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer)
+      reject(connectionError(`Connection to ${this._uri} closed`, 'ECONNRESET'))
+    })
+    this._pending.clear()
+
+    if (!this._closed && this._subscriptions.size > 0) {
+      setTimeout(() => this._resubscribe(), RECONNECT_DELAY)
+    }
+  }
+
+  _onMessage (message) {
+    const data = this._parse(message)
+    const messages = Array.isArray(data) ? data : [ data ]
+
+    messages.forEach(data => {
+      if (this._pending.has(data.id)) {
+        const { resolve, timer } = this._pending.get(data.id)
+        clearTimeout(timer)
+        this._pending.delete(data.id)
+        resolve(data)
+        return
+      }
+
+      if (data.params && data.params.subscription !== undefined) {
+        const subscription = [ ...this._subscriptions.values() ].find(sub => sub.id === data.params.subscription)
+        if (subscription) subscription.callback(data.params.result)
+      }
+    })
+  }
+
+  async _resubscribe () {
+    if (this._closed) return
+
+    try {
+      await Promise.all([ ...this._subscriptions.values() ].map(async subscription => {
+        const data = await this.request(subscription.request)
+        if (data.error == null) subscription.id = data.result
+      }))
+    } catch (e) {
+      if (!this._socket) setTimeout(() => this._resubscribe(), RECONNECT_DELAY)
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request.
+   * @param {!object} request - JSON-RPC request with a unique `id`
+   * @return {Promise<object>} Resolves with the JSON-RPC response object
+   */
+  async request (request) {
+    const socket = await this._connect()
+
+    return new Promise((resolve, reject) => {
+      const timer = this._timeout > 0
+        ? setTimeout(() => {
+          this._pending.delete(request.id)
+          reject(connectionError(`Request to ${this._uri} timed out`, 'ETIMEDOUT'))
+        }, this._timeout)
+        : null
+
+      this._pending.set(request.id, { resolve, reject, timer })
+      socket.send(JSON.stringify(request))
+    })
+  }
+
+  /**
+   * Track a subscription created by `request` so notifications reach
+   * `callback` and the subscription survives reconnections.
+   * @param {!object} request - The subscribe request
+   * @param {!string} id - Subscription id returned by the node
+   * @param {!function} callback - Called with the result of each notification
+   * @return {function} Stops tracking the subscription and returns the
+   *  current subscription id
+   */
+  addSubscription (request, id, callback) {
+    const subscription = { request, id, callback }
+    this._subscriptions.set(request.id, subscription)
+
+    return () => {
+      this._subscriptions.delete(request.id)
+      return subscription.id
+    }
+  }
+
+  close () {
+    this._closed = true
+    this._subscriptions.clear()
+
+    if (this._socket) {
+      this._socket.close()
+    } else if (this._connecting) {
+      this._connecting.then(socket => socket.close(), () => {})
+    }
+  }
+}
@@ -10,6 +10,10 @@ export default class KibaProvider extends Provider {
     this._network = network
   }
 
+  async setNetwork (network) {
+    this._network = network
+  }
+
   async kiba (method, params) {
     const blockchain = this._network.name.startsWith('bitcoin') ? 'bitcoin' : 'ethereum'
 
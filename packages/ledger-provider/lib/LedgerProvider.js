@@ -1,6 +1,7 @@
 import WalletProvider from '@liquality/wallet-provider'
-import { WalletError } from '@liquality/errors'
+import { AddressNotInWalletError, WalletError } from '@liquality/errors'
 import Debug from '@liquality/debug'
+import { addressToString, throwIfAborted } from '@liquality/utils'
 
 import getTransport from './LedgerNodeTransport'
 import { version } from '../package.json'
@@ -27,6 +28,12 @@ export default class LedgerProvider extends WalletProvider {
     this._addressCache = {}
   }
 
+  async setNetwork (network) {
+    await super.setNetwork(network)
+
+    this._addressCache = {}
+  }
+
   useWebBle () {
     this._useWebBle = true
     return this
@@ -54,10 +61,23 @@ export default class LedgerProvider extends WalletProvider {
         debug('ledger disconnected')
         this._appInstance = null
         this._transport = null
+        this.invalidateNetwork()
       })
     }
   }
 
+  /**
+   * Release the Ledger transport so the device can be used by other apps.
+   */
+  async dispose () {
+    const transport = this._transport
+    this._transport = null
+    this._appInstance = null
+    this.invalidateNetwork()
+
+    if (transport) await transport.close()
+  }
+
   errorProxy (target, func) {
     const method = target[func]
     const ctx = this
@@ -127,6 +147,7 @@ export default class LedgerProvider extends WalletProvider {
     const addressesPerCall = 50
 
     while (index < maxAddresses) {
+      throwIfAborted(this.signal)
       const addrs = await this.getAddresses(index, addressesPerCall, change)
       const addr = addrs.find(addr => addr.equals(address))
       if (addr) return addr
@@ -138,7 +159,7 @@ export default class LedgerProvider extends WalletProvider {
       }
     }
 
-    throw new Error('Ledger: Wallet does not contain address')
+    throw new AddressNotInWalletError('Ledger: Wallet does not contain address', { address: addressToString(address) })
   }
 }
 
@@ -1,12 +1,13 @@
 import Provider from '@liquality/provider'
-import { AddressTypes } from '@liquality/bitcoin-utils'
+import { AddressTypes, toSatoshiOutputs, sumOutputValues, AddressValidationProvider } from '@liquality/bitcoin-utils'
 import * as bitcoin from 'bitcoinjs-lib'
 import * as bitcoinMessage from 'bitcoinjs-message'
-import { Address, addressToString } from '@liquality/utils'
+import { Address, addressToString, throwIfAborted } from '@liquality/utils'
+import { convertUnits } from '@liquality/units'
+import { AddressNotInWalletError, InsufficientBalanceError } from '@liquality/errors'
 import { mnemonicToSeed } from 'bip39'
 import { fromSeed } from 'bip32'
 import coinselect from 'coinselect'
-import { BigNumber } from 'bignumber.js'
 
 import { version } from '../package.json'
 
@@ -21,7 +22,7 @@ const ADDRESS_TYPE_TO_LEDGER_PREFIX = {
   'bech32': 84
 }
 
-export default class BitcoinJsWalletProvider extends Provider {
+export default class BitcoinJsWalletProvider extends AddressValidationProvider(Provider) {
   constructor (network, mnemonic, addressType = 'legacy') {
     super()
     if (!AddressTypes.includes(addressType)) {
@@ -37,6 +38,11 @@ export default class BitcoinJsWalletProvider extends Provider {
     this._addressType = addressType
   }
 
+  async setNetwork (network) {
+    this._derivationPath = `${ADDRESS_TYPE_TO_LEDGER_PREFIX[this._addressType]}'/${network.coinType}'/2'/`
+    this._network = network
+  }
+
   async node () {
     console.log('here')
     const seed = await mnemonicToSeed(this._mnemonic)
@@ -109,15 +115,15 @@ export default class BitcoinJsWalletProvider extends Provider {
   }
 
   async buildTransaction (to, value, data, from) {
-    return this._buildTransaction([{ to, value }])
+    return this._buildTransaction(toSatoshiOutputs([{ to, value }]))
   }
 
   async buildBatchTransaction (transactions) {
-    return this._buildTransaction(transactions)
+    return this._buildTransaction(toSatoshiOutputs(transactions))
   }
 
   async _sendTransaction (transactions) {
-    const signedTransaction = await this._buildTransaction(transactions)
+    const signedTransaction = await this._buildTransaction(toSatoshiOutputs(transactions))
     return this.getMethod('sendRawTransaction')(signedTransaction)
   }
 
@@ -179,6 +185,7 @@ export default class BitcoinJsWalletProvider extends Provider {
     const addressesPerCall = 50
 
     while (index < maxAddresses) {
+      throwIfAborted(this.signal)
       const addrs = await this.getAddresses(index, addressesPerCall, change)
       const addr = addrs.find(addr => addr.equals(address))
       if (addr) return addr
@@ -190,7 +197,7 @@ export default class BitcoinJsWalletProvider extends Provider {
       }
     }
 
-    throw new Error('BitcoinJs: Wallet does not contain address')
+    throw new AddressNotInWalletError('BitcoinJs: Wallet does not contain address', { address: addressToString(address) })
   }
 
   getScriptType () {
@@ -260,6 +267,7 @@ export default class BitcoinJsWalletProvider extends Provider {
       (addressType === CHANGE_ADDRESS && addressCountMap.change < ADDRESS_GAP)
     ) {
       /* eslint-enable no-unmodified-loop-condition */
+      throwIfAborted(this.signal)
       addrList = []
 
       if ((addressType === NONCHANGE_OR_CHANGE_ADDRESS || addressType === CHANGE_ADDRESS) &&
@@ -340,6 +348,7 @@ export default class BitcoinJsWalletProvider extends Provider {
     let feePerByte = false
 
     while (addressCountMap.change < ADDRESS_GAP || addressCountMap.nonChange < ADDRESS_GAP) {
+      throwIfAborted(this.signal)
       let addrList = []
 
       if (addressCountMap.change < ADDRESS_GAP) {
@@ -361,7 +370,7 @@ export default class BitcoinJsWalletProvider extends Provider {
         const addr = addrList.find(a => a.equals(utxo.address))
         return {
           ...utxo,
-          value: BigNumber(utxo.amount).times(1e8).toNumber(),
+          value: convertUnits(utxo.amount, 'LTC', 'LTC', 'litoshi').toNumber(),
           derivationPath: addr.derivationPath
         }
       })
@@ -406,7 +415,8 @@ export default class BitcoinJsWalletProvider extends Provider {
       addressIndex += numAddressPerCall
     }
 
-    throw new Error('Not enough balance')
+    const amount = sumOutputValues(_targets)
+    throw new InsufficientBalanceError('Not enough balance', { amount })
   }
 }
 
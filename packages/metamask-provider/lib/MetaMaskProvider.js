@@ -9,6 +9,9 @@ import { version } from '../package.json'
 
 const debug = Debug('metamask')
 
+// Events of the injected provider after which the connected network must be read again
+const NETWORK_EVENTS = [ 'chainChanged', 'networkChanged', 'disconnect' ]
+
 export default class MetaMaskProvider extends WalletProvider {
   constructor (metamaskProvider, network) {
     super(network)
@@ -19,6 +22,21 @@ export default class MetaMaskProvider extends WalletProvider {
 
     this._metamaskProvider = metamaskProvider
     this._network = network
+
+    this._onNetworkEvent = () => {
+      debug('network changed')
+      this.invalidateNetwork()
+    }
+
+    if (isFunction(metamaskProvider.on)) {
+      NETWORK_EVENTS.forEach(event => metamaskProvider.on(event, this._onNetworkEvent))
+    }
+  }
+
+  async dispose () {
+    if (isFunction(this._metamaskProvider.removeListener)) {
+      NETWORK_EVENTS.forEach(event => this._metamaskProvider.removeListener(event, this._onNetworkEvent))
+    }
   }
 
   async metamask (method, ...params) {
@@ -18,6 +18,35 @@ export default class Provider {
   getMethod (method, requestor = this) {
     return this.client.getMethod(method, requestor).bind(this)
   }
+
+  /**
+   * Called by the client once the provider is added to the stack. Override to
+   * open connections or start background work.
+   * @return {Promise}
+   */
+  async init () {}
+
+  /**
+   * Called by `client.setNetwork`. Override to switch the provider to another
+   * network and reset the state derived from it, e.g. derivation paths and
+   * address caches.
+   * @param {!object} network - The new network
+   * @return {Promise}
+   */
+  async setNetwork (network) {}
+
+  /**
+   * Called by `client.close`. Override to release the resources opened by the
+   * provider, e.g. connections, devices and timers.
+   * @return {Promise}
+   */
+  async dispose () {}
 }
 
+/**
+ * Capabilities of the provider, such as `canUpdateFee` or `doesBlockScan`.
+ * Read by `client.getCapability`; subclasses override the defaults of the
+ * client by declaring their own.
+ */
+Provider.capabilities = {}
 Provider.version = version
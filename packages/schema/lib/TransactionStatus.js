@@ -0,0 +1,12 @@
+/**
+ * Normalized states of a transaction, see the `status` property of the
+ * Transaction schema.
+ */
+export default Object.freeze({
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped',
+  UNKNOWN: 'unknown'
+})
@@ -1,11 +1,13 @@
 import Block from './Block.json'
 import Transaction from './Transaction.json'
+import TransactionStatus from './TransactionStatus'
 
 import { version } from '../package.json'
 
 export {
   Block,
   Transaction,
+  TransactionStatus,
 
   version
 }
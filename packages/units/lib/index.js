@@ -0,0 +1,151 @@
+import BigNumber from 'bignumber.js'
+
+import { version } from '../package.json'
+
+/**
+ * Number of decimals of each unit, relative to the base unit of the asset.
+ */
+const units = {
+  BTC: {
+    satoshi: 0,
+    sat: 0,
+    BTC: 8
+  },
+  LTC: {
+    litoshi: 0,
+    LTC: 8
+  },
+  ETH: {
+    wei: 0,
+    gwei: 9,
+    ether: 18
+  }
+}
+
+/**
+ * Get the number of decimals of a unit.
+ * @param {!string} asset - Asset code, e.g. `BTC`
+ * @param {!string} unit - Unit of the asset, e.g. `sat`
+ * @return {number}
+ */
+function getUnitDecimals (asset, unit) {
+  const assetUnits = units[asset]
+  if (!assetUnits) throw new TypeError(`Unknown asset ${asset}`)
+  if (!(unit in assetUnits)) throw new TypeError(`Unknown unit ${unit} for ${asset}`)
+
+  return assetUnits[unit]
+}
+
+function toBigNumber (value) {
+  const amount = BigNumber(value)
+  if (amount.isNaN()) throw new TypeError(`Invalid amount ${value}`)
+
+  return amount
+}
+
+/**
+ * Convert an amount from display units to base units.
+ * @param {!number|string|BigNumber} value - Amount in display units
+ * @param {!number} decimals - Decimals of the display unit, e.g. 18 for an
+ *  ERC20 token with 18 decimals
+ * @return {BigNumber}
+ */
+function toBaseUnit (value, decimals) {
+  return toBigNumber(value).shiftedBy(decimals)
+}
+
+/**
+ * Convert an amount from base units to display units.
+ * @param {!number|string|BigNumber} value - Amount in base units
+ * @param {!number} decimals - Decimals of the display unit
+ * @return {BigNumber}
+ */
+function fromBaseUnit (value, decimals) {
+  return toBigNumber(value).shiftedBy(-decimals)
+}
+
+/**
+ * Convert an amount between two units of an asset.
+ * @param {!number|string|BigNumber} value - Amount in `from` units
+ * @param {!string} asset - Asset code, e.g. `ETH`
+ * @param {!string} from - Unit of the amount, e.g. `gwei`
+ * @param {!string} to - Unit to convert to, e.g. `wei`
+ * @return {BigNumber}
+ */
+function convertUnits (value, asset, from, to) {
+  return toBigNumber(value).shiftedBy(getUnitDecimals(asset, from) - getUnitDecimals(asset, to))
+}
+
+/**
+ * Format an amount in base units as a display string.
+ * @param {!number|string|BigNumber} value - Amount in base units
+ * @param {!number} decimals - Decimals of the display unit
+ * @param {number} [precision] - Maximum number of decimals to show. Extra
+ *  decimals are rounded down.
+ * @return {string} Amount without exponent or trailing zeros, e.g. `0.0001`
+ */
+function formatUnits (value, decimals, precision) {
+  let amount = fromBaseUnit(value, decimals)
+  if (precision !== undefined) amount = amount.decimalPlaces(precision, BigNumber.ROUND_DOWN)
+
+  return amount.toFixed()
+}
+
+/**
+ * Parse a display string into an amount in base units.
+ * @param {!string} value - Amount in display units, e.g. `1.5`
+ * @param {!number} decimals - Decimals of the display unit
+ * @return {string} Integer amount in base units
+ */
+function parseUnits (value, decimals) {
+  const amount = String(value).trim()
+  if (!(/^\d+(\.\d+)?$/.test(amount))) throw new TypeError(`Invalid amount ${value}`)
+
+  const [ , fraction = '' ] = amount.split('.')
+  if (fraction.replace(/0+$/, '').length > decimals) {
+    throw new TypeError(`Amount ${value} has more than ${decimals} decimals`)
+  }
+
+  return toBaseUnit(amount, decimals).toFixed()
+}
+
+function btcToSatoshi (value) {
+  return convertUnits(value, 'BTC', 'BTC', 'sat')
+}
+
+function satoshiToBtc (value) {
+  return convertUnits(value, 'BTC', 'sat', 'BTC')
+}
+
+function gweiToWei (value) {
+  return convertUnits(value, 'ETH', 'gwei', 'wei')
+}
+
+function weiToGwei (value) {
+  return convertUnits(value, 'ETH', 'wei', 'gwei')
+}
+
+function etherToWei (value) {
+  return convertUnits(value, 'ETH', 'ether', 'wei')
+}
+
+function weiToEther (value) {
+  return convertUnits(value, 'ETH', 'wei', 'ether')
+}
+
+export {
+  units,
+  getUnitDecimals,
+  toBaseUnit,
+  fromBaseUnit,
+  convertUnits,
+  formatUnits,
+  parseUnits,
+  btcToSatoshi,
+  satoshiToBtc,
+  gweiToWei,
+  weiToGwei,
+  etherToWei,
+  weiToEther,
+  version
+}
@@ -0,0 +1,59 @@
+/* eslint-env mocha */
+
+import { expect } from 'chai'
+
+import * as units from '../../lib'
+
+describe('Units', () => {
+  describe('convertUnits', () => {
+    it('should convert between units of an asset', () => {
+      expect(units.convertUnits('1.5', 'BTC', 'BTC', 'sat').toNumber()).to.equal(150000000)
+      expect(units.convertUnits(1, 'ETH', 'gwei', 'ether').toFixed()).to.equal('0.000000001')
+      expect(units.convertUnits('123', 'LTC', 'litoshi', 'LTC').toFixed()).to.equal('0.00000123')
+    })
+
+    it('should not lose precision', () => {
+      expect(units.btcToSatoshi(0.29).toNumber()).to.equal(29000000)
+      expect(units.etherToWei('1.123456789123456789').toFixed()).to.equal('1123456789123456789')
+      expect(units.weiToEther('1123456789123456789').toFixed()).to.equal('1.123456789123456789')
+    })
+
+    it('should throw on unknown units and invalid amounts', () => {
+      expect(() => units.convertUnits(1, 'ETH', 'sat', 'wei')).to.throw(TypeError)
+      expect(() => units.convertUnits(1, 'DOGE', 'DOGE', 'sat')).to.throw(TypeError)
+      expect(() => units.gweiToWei('abc')).to.throw(TypeError)
+    })
+  })
+
+  describe('ERC20 decimals', () => {
+    it('should convert with arbitrary decimals', () => {
+      expect(units.toBaseUnit('12.5', 6).toFixed()).to.equal('12500000')
+      expect(units.fromBaseUnit('12500000', 6).toFixed()).to.equal('12.5')
+    })
+  })
+
+  describe('formatUnits', () => {
+    it('should format without exponent or trailing zeros', () => {
+      expect(units.formatUnits(1, units.units.BTC.BTC)).to.equal('0.00000001')
+      expect(units.formatUnits('1500000000000000000', units.units.ETH.ether)).to.equal('1.5')
+    })
+
+    it('should round down to the given precision', () => {
+      expect(units.formatUnits('1999999999999999999', 18, 4)).to.equal('1.9999')
+    })
+  })
+
+  describe('parseUnits', () => {
+    it('should parse display amounts into base units', () => {
+      expect(units.parseUnits('1.5', 8)).to.equal('150000000')
+      expect(units.parseUnits(' 2 ', 18)).to.equal('2000000000000000000')
+      expect(units.parseUnits('0.100', 1)).to.equal('1')
+    })
+
+    it('should reject malformed amounts and extra decimals', () => {
+      expect(() => units.parseUnits('1e8', 8)).to.throw(TypeError)
+      expect(() => units.parseUnits('-1', 8)).to.throw(TypeError)
+      expect(() => units.parseUnits('0.000000001', 8)).to.throw(TypeError)
+    })
+  })
+})
@@ -1,7 +1,120 @@
+import { AbortError } from '@liquality/errors'
+
 import { version } from '../package.json'
 
-function sleep (ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+/**
+ * Throw if the operation was cancelled.
+ * @param {AbortSignal} [signal] - Signal of an `AbortController`
+ * @throws {AbortError} When the signal is aborted
+ */
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) throw new AbortError('The operation was aborted')
+}
+
+/**
+ * Settle with a promise, or reject with AbortError as soon as a signal is
+ * aborted. The underlying operation is not stopped.
+ * @param {!Promise} promise - Promise of the operation
+ * @param {AbortSignal|AbortSignal[]} [signal] - Signal of an
+ *  `AbortController`, or several signals
+ * @return {Promise}
+ */
+function abortable (promise, signal) {
+  const signals = [].concat(signal).filter(Boolean)
+  if (signals.length === 0) return promise
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => signals.forEach(signal => signal.removeEventListener('abort', onAbort))
+    const onAbort = () => {
+      cleanup()
+      reject(new AbortError('The operation was aborted'))
+    }
+
+    if (signals.some(signal => signal.aborted)) return onAbort()
+
+    signals.forEach(signal => signal.addEventListener('abort', onAbort))
+
+    promise.then(
+      result => { cleanup(); resolve(result) },
+      error => { cleanup(); reject(error) }
+    )
+  })
+}
+
+/**
+ * Cancel token for axios requests, cancelled when the signal is aborted.
+ * Call `dispose` once the request settled to stop listening to the signal,
+ * or use `withCancelToken`.
+ * @param {AbortSignal} [signal] - Signal of an `AbortController`
+ * @return {object} Returns a token for the `cancelToken` option of axios, or
+ *  undefined without signal
+ */
+function createCancelToken (signal) {
+  if (!signal) return
+
+  let reason
+  let dispose = () => {}
+  const promise = new Promise(resolve => {
+    const onAbort = () => {
+      dispose()
+      reason = new AbortError('The operation was aborted')
+      resolve(reason)
+    }
+
+    if (signal.aborted) return onAbort()
+
+    signal.addEventListener('abort', onAbort)
+    dispose = () => signal.removeEventListener('abort', onAbort)
+  })
+
+  return {
+    promise,
+    get reason () {
+      return reason
+    },
+    throwIfRequested () {
+      if (reason) throw reason
+    },
+    dispose () {
+      dispose()
+    }
+  }
+}
+
+/**
+ * Send an axios request cancelled when the signal is aborted. The cancel
+ * token stops listening to the signal once the request settled.
+ * @param {AbortSignal} [signal] - Signal of an `AbortController`
+ * @param {!function} request - Sends the request with the cancel token, e.g.
+ *  `cancelToken => axios.get(url, { cancelToken })`
+ * @return {Promise} Settles with the request
+ */
+async function withCancelToken (signal, request) {
+  const cancelToken = createCancelToken(signal)
+
+  try {
+    return await request(cancelToken)
+  } finally {
+    if (cancelToken) cancelToken.dispose()
+  }
+}
+
+/**
+ * Wait for some time.
+ * @param {!number} ms - Milliseconds to wait
+ * @param {AbortSignal|AbortSignal[]} [signal] - Rejects with AbortError when
+ *  aborted
+ * @return {Promise}
+ */
+function sleep (ms, signal) {
+  if (!signal) return new Promise(resolve => setTimeout(resolve, ms))
+
+  let timer
+  return abortable(new Promise(resolve => { timer = setTimeout(resolve, ms) }), signal)
+    .catch(e => {
+      clearTimeout(timer)
+      throw e
+    })
 }
 
 class Address {
@@ -86,11 +199,144 @@ function asyncSetImmediate () {
   return new Promise(resolve => setImmediate(resolve))
 }
 
+const RETRYABLE_ERROR_CODES = [
+  'ECONNABORTED', // axios timeout
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+]
+
+const RETRYABLE_RPC_CODES = [
+  -32603 // JSON-RPC internal error
+]
+
+/**
+ * Check whether a failed network call is worth retrying.
+ * @param {Error} error - Error thrown by axios or a JSON-RPC call
+ * @return {boolean} True for connection errors, timeouts, HTTP 429/5xx and
+ *  JSON-RPC internal errors
+ */
+function isRetryableError (error) {
+  if (!error) return false
+  if (RETRYABLE_ERROR_CODES.includes(error.code)) return true
+  if (RETRYABLE_RPC_CODES.includes(error.code)) return true
+
+  // axios errors carry the response, RpcError uses the HTTP status as code
+  const status = error.response ? error.response.status : error.code
+  return status === 429 || (status >= 500 && status < 600)
+}
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  minDelay: 250,
+  maxDelay: 5000,
+  factor: 2,
+  jitter: true,
+  timeout: 30000,
+  isRetryable: isRetryableError
+}
+
+/**
+ * Build a retry policy from partial options.
+ * @param {object|boolean} [options] - Overrides of `DEFAULT_RETRY_POLICY`.
+ *  `false` disables retries while keeping the default timeout.
+ * @return {object} Complete retry policy
+ */
+function createRetryPolicy (options = {}) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 }
+  }
+
+  return { ...DEFAULT_RETRY_POLICY, ...options }
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter.
+ * @param {number} attempt - Number of the attempt that just failed, from 1
+ * @param {object} policy - Retry policy
+ * @return {number} Delay in milliseconds
+ */
+function getRetryDelay (attempt, policy) {
+  const { minDelay, maxDelay, factor, jitter } = policy
+  const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1))
+
+  return jitter ? Math.round(Math.random() * delay) : delay
+}
+
+/**
+ * Call `fn` until it succeeds, the error is not retryable or the policy runs
+ * out of attempts.
+ * @param {function} fn - Async function receiving the attempt number
+ * @param {object} [policy] - Retry policy or overrides
+ * @param {AbortSignal} [signal] - Stops retrying once aborted
+ * @return {Promise} Resolves with the result of `fn`
+ */
+async function withRetry (fn, policy = DEFAULT_RETRY_POLICY, signal) {
+  policy = createRetryPolicy(policy)
+
+  for (let attempt = 1; ; attempt++) {
+    throwIfAborted(signal)
+
+    try {
+      return await fn(attempt)
+    } catch (e) {
+      if (attempt >= policy.maxAttempts || !policy.isRetryable(e)) throw e
+
+      await sleep(getRetryDelay(attempt, policy), signal)
+    }
+  }
+}
+
+/**
+ * Apply a retry policy to an axios instance: sets the per-request timeout and
+ * replays failed requests according to the policy. Requests are replayed by
+ * the adapter of the instance, which keeps the attempt count out of the axios
+ * config: axios 0.19.0 drops unknown config keys on every request.
+ * @param {Axios} instance - axios instance created with `axios.create`
+ * @param {object} [policy] - Retry policy or overrides
+ * @return {Axios} The same instance
+ */
+function applyRetryPolicy (instance, policy) {
+  policy = createRetryPolicy(policy)
+
+  const { adapter } = instance.defaults
+
+  instance.defaults.timeout = policy.timeout
+  instance.defaults.adapter = async config => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await adapter(config)
+      } catch (e) {
+        if (attempt >= policy.maxAttempts || !policy.isRetryable(e)) throw e
+
+        await sleep(getRetryDelay(attempt, policy))
+        if (config.cancelToken) config.cancelToken.throwIfRequested()
+      }
+    }
+  }
+
+  return instance
+}
+
 export {
   Address,
   addressToString,
   sleep,
   asyncSetImmediate,
 
+  throwIfAborted,
+  abortable,
+  createCancelToken,
+  withCancelToken,
+
+  DEFAULT_RETRY_POLICY,
+  isRetryableError,
+  createRetryPolicy,
+  getRetryDelay,
+  withRetry,
+  applyRetryPolicy,
+
   version
 }
@@ -1,66 +1,146 @@
 import { isEqual } from 'lodash'
 
+import Debug from '@liquality/debug'
 import Provider from '@liquality/provider'
-import { WalletError } from '@liquality/errors'
+import { NetworkMismatchError, UnimplementedMethodError } from '@liquality/errors'
 
 import { version } from '../package.json'
 
+const debug = Debug('wallet')
+
+const NETWORK_CHECKS = [ 'throw', 'warn' ]
+
 export default class WalletProvider extends Provider {
   constructor (network) {
     super()
     this._network = network
+    this._networkCheck = 'throw'
+    // Wallets created without network are checked once `setNetwork` sets one
+    this._checksNetwork = Boolean(network)
+    this._connectedNetwork = null
+    this._mismatchWarned = false
     this._methods = Object.getOwnPropertyNames(WalletProvider.prototype)
       .filter(method => ![
         'constructor',
         '_networkMatchProxy',
         'getConnectedNetwork',
         'assertNetworkMatch',
-        'isWalletAvailable'
+        'invalidateNetwork',
+        'setNetworkCheck',
+        'setNetwork',
+        'isWalletAvailable',
+        'verifyMessage'
       ].includes(method))
-    return network ? new Proxy(this, { get: this._networkMatchProxy.bind(this) }) : this
+
+    this._proxy = new Proxy(this, { get: this._networkMatchProxy.bind(this) })
+    return this._proxy
   }
 
-  _networkMatchProxy (target, func) {
+  _networkMatchProxy (target, func, receiver) {
     const method = target[func]
     if (this._methods.includes(func)) {
+      // Keep the view of the provider scoped by `client.withSignal`
+      const context = receiver === this._proxy ? target : receiver
       return async (...args) => {
         await this.assertNetworkMatch()
-        return method.bind(target)(...args)
+        return method.bind(context)(...args)
       }
     } else {
       return method
     }
   }
 
+  /**
+   * Set how wallet calls handle a wallet connected to another network than
+   * the configured one.
+   * @param {!string} mode - `throw` rejects them with NetworkMismatchError,
+   *  `warn` logs the mismatch once with `@liquality/debug` and lets them
+   *  through
+   * @return {WalletProvider} Returns instance of WalletProvider
+   */
+  setNetworkCheck (mode) {
+    if (!NETWORK_CHECKS.includes(mode)) {
+      throw new TypeError(`Network check should be one of ${NETWORK_CHECKS.join(', ')}`)
+    }
+
+    this._networkCheck = mode
+    return this
+  }
+
+  /**
+   * Forget the connected network, so that the next wallet call asks the wallet
+   * again. Subclasses call it when the wallet disconnects or changes chain.
+   */
+  invalidateNetwork () {
+    this._connectedNetwork = null
+    this._mismatchWarned = false
+  }
+
+  /**
+   * Check that the wallet is connected to the configured network. The
+   * connected network is cached until `invalidateNetwork` is called. Wallets
+   * without network are not checked.
+   * @return {Promise<undefined, NetworkMismatchError>}
+   */
   async assertNetworkMatch () {
-    const connectedNetwork = await this.getConnectedNetwork()
-    if (!(isEqual(connectedNetwork, this._network) || connectedNetwork.name === 'unknown')) {
-      throw new WalletError(`Network mismatch. Configured network '${this._network.name}' does not match connected network '${connectedNetwork.name}'`)
+    if (!this._checksNetwork || !this._network) return
+
+    if (!this._connectedNetwork) {
+      const request = Promise.resolve().then(() => this.getConnectedNetwork())
+      request.catch(() => {
+        if (this._connectedNetwork === request) this._connectedNetwork = null
+      })
+      this._connectedNetwork = request
+    }
+
+    const connectedNetwork = await this._connectedNetwork
+    if (isEqual(connectedNetwork, this._network) || connectedNetwork.name === 'unknown') return
+
+    const error = new NetworkMismatchError(
+      `Network mismatch. Configured network '${this._network.name}' does not match connected network '${connectedNetwork.name}'`,
+      { network: this._network, connectedNetwork }
+    )
+
+    if (this._networkCheck === 'throw') throw error
+
+    if (!this._mismatchWarned) {
+      this._mismatchWarned = true
+      debug(error.message)
     }
   }
 
+  async setNetwork (network) {
+    this._network = network
+    this._checksNetwork = this._checksNetwork || Boolean(network)
+    this.invalidateNetwork()
+  }
+
   isWalletAvailable () {
-    throw new Error('isWalletAvailable not implemented.')
+    throw new UnimplementedMethodError('isWalletAvailable not implemented.')
   }
 
   getAddresses () {
-    throw new Error('getAddresses not implemented.')
+    throw new UnimplementedMethodError('getAddresses not implemented.')
   }
 
   getUsedAddresses () {
-    throw new Error('getUsedAddresses not implemented.')
+    throw new UnimplementedMethodError('getUsedAddresses not implemented.')
   }
 
   getUnusedAddress () {
-    throw new Error('getUnusedAddress not implemented.')
+    throw new UnimplementedMethodError('getUnusedAddress not implemented.')
   }
 
   signMessage () {
-    throw new Error('signMessage not implemented.')
+    throw new UnimplementedMethodError('signMessage not implemented.')
+  }
+
+  verifyMessage () {
+    throw new UnimplementedMethodError('verifyMessage not implemented.')
   }
 
   async getConnectedNetwork () {
-    throw new Error('getConnectedNetwork not implemented.')
+    throw new UnimplementedMethodError('getConnectedNetwork not implemented.')
   }
 }
 
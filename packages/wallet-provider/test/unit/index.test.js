@@ -0,0 +1,129 @@
+/* eslint-env mocha */
+
+import path from 'path'
+import { format } from 'util'
+
+import WalletProvider from '../../lib'
+import { NetworkMismatchError, WalletError } from '@liquality/errors'
+
+const { expect } = require('chai').use(require('chai-as-promised'))
+
+// `debug` instance of @liquality/debug, logging for the wallet provider
+const debug = require(require.resolve('debug', { paths: [ path.dirname(require.resolve('@liquality/debug')) ] }))
+
+const bitcoin = { name: 'bitcoin', coinType: '0' }
+const testnet = { name: 'bitcoin_testnet', coinType: '1' }
+
+class TestWalletProvider extends WalletProvider {
+  constructor (network, connectedNetwork) {
+    super(network)
+    this.connectedNetwork = connectedNetwork
+    this.networkRequests = 0
+  }
+
+  async getConnectedNetwork () {
+    this.networkRequests++
+    return this.connectedNetwork
+  }
+
+  async getAddresses () {
+    return [ 'bc1q' ]
+  }
+
+  async verifyMessage () {
+    return true
+  }
+}
+
+describe('Wallet provider', () => {
+  let provider
+
+  beforeEach(() => {
+    provider = new TestWalletProvider(bitcoin, bitcoin)
+  })
+
+  it('should cache the connected network between wallet calls', async () => {
+    await provider.getAddresses()
+    await Promise.all([ provider.getAddresses(), provider.getAddresses() ])
+
+    expect(provider.networkRequests).to.equal(1)
+  })
+
+  it('should verify messages without checking the network', async () => {
+    provider.connectedNetwork = testnet
+
+    expect(await provider.verifyMessage('message', 'signature', 'bc1q')).to.equal(true)
+    expect(provider.networkRequests).to.equal(0)
+  })
+
+  it('should read the connected network again once invalidated', async () => {
+    await provider.getAddresses()
+
+    provider.connectedNetwork = testnet
+    provider.invalidateNetwork()
+
+    await expect(provider.getAddresses()).to.be.rejectedWith(NetworkMismatchError)
+    expect(provider.networkRequests).to.equal(2)
+  })
+
+  it('should reject with NetworkMismatchError holding both networks', async () => {
+    provider.connectedNetwork = testnet
+
+    const error = await provider.getAddresses().catch(e => e)
+    expect(error).to.be.instanceOf(NetworkMismatchError)
+    expect(error).to.be.instanceOf(WalletError)
+    expect(error.network).to.equal(bitcoin)
+    expect(error.connectedNetwork).to.equal(testnet)
+  })
+
+  it('should let wallet calls through in warn mode and log the mismatch once', async () => {
+    provider.connectedNetwork = testnet
+    provider.setNetworkCheck('warn')
+
+    const log = debug.log
+    const history = console.history
+    const messages = []
+    debug.log = (...args) => messages.push(format(...args))
+    debug.enable('liquality:cal:wallet')
+
+    try {
+      expect(await provider.getAddresses()).to.deep.equal([ 'bc1q' ])
+      expect(await provider.getAddresses()).to.deep.equal([ 'bc1q' ])
+    } finally {
+      debug.disable()
+      debug.log = log
+      console.history = history
+    }
+
+    expect(messages).to.have.lengthOf(1)
+    expect(messages[0]).to.include('liquality:cal:wallet')
+    expect(messages[0]).to.include(`Configured network 'bitcoin' does not match connected network 'bitcoin_testnet'`)
+  })
+
+  it('should read the connected network again after a failure', async () => {
+    provider.getConnectedNetwork = async () => {
+      provider.networkRequests++
+      throw new Error('Wallet locked')
+    }
+
+    await expect(provider.getAddresses()).to.be.rejectedWith('Wallet locked')
+    delete provider.getConnectedNetwork
+
+    await provider.getAddresses()
+    expect(provider.networkRequests).to.equal(2)
+  })
+
+  it('should check the network set on a wallet created without network', async () => {
+    provider = new TestWalletProvider(undefined, testnet)
+
+    await provider.getAddresses()
+    expect(provider.networkRequests).to.equal(0)
+
+    await provider.setNetwork(bitcoin)
+    await expect(provider.getAddresses()).to.be.rejectedWith(NetworkMismatchError)
+  })
+
+  it('should throw TypeError for an unknown network check', () => {
+    expect(() => provider.setNetworkCheck('ignore')).to.throw(TypeError)
+  })
+})
@@ -184,6 +184,18 @@ describe('Wallet Interaction', function () {
     })
 
     testWallet(chains.bitcoinWithJs)
+
+    describe('verifyMessage', () => {
+      it('should verify the signer of a message', async () => {
+        const [ { address }, { address: otherAddress } ] = await chains.bitcoinWithJs.client.wallet.getAddresses(0, 2)
+
+        const signedMessage = await chains.bitcoinWithJs.client.wallet.signMessage('secret', address)
+
+        expect(await chains.bitcoinWithJs.client.wallet.verifyMessage('secret', signedMessage, address)).to.equal(true)
+        expect(await chains.bitcoinWithJs.client.wallet.verifyMessage('public', signedMessage, address)).to.equal(false)
+        expect(await chains.bitcoinWithJs.client.wallet.verifyMessage('secret', signedMessage, otherAddress)).to.equal(false)
+      })
+    })
   })
 
   describeExternal('Bitcoin - Ledger', () => {
@@ -67,6 +67,18 @@ function testWallet (chain) {
       expect(s1).to.equal(s2)
     })
   })
+
+  describe('verifyMessage', () => {
+    it('should verify the signer of a message', async () => {
+      const addresses = await chain.client.wallet.getAddresses()
+      const { address } = addresses[0]
+
+      const signature = await chain.client.wallet.signMessage('secret', address)
+
+      expect(await chain.client.wallet.verifyMessage('secret', signature, address)).to.equal(true)
+      expect(await chain.client.wallet.verifyMessage('public', signature, address)).to.equal(false)
+    })
+  })
 }
 
 describe('Wallet Interaction', function () {
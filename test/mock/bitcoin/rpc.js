@@ -325,5 +325,16 @@ module.exports = {
       params: [],
       result: 114
     }
+  ],
+  'getblockchaininfo': [
+    {
+      params: [],
+      result: {
+        chain: 'regtest',
+        blocks: 114,
+        headers: 114,
+        mediantime: 1590562814
+      }
+    }
   ]
 }
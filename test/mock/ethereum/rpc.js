@@ -121,6 +121,20 @@ module.exports = {
     }
   ],
   'eth_getTransactionReceipt': [
+    {
+      params: ['0xca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd'],
+      result: {
+        transactionHash: '0xca218db60aaad1a3e4d7ea815750e8bf44a89d967266c3662746f796800412cd',
+        transactionIndex: '0x0',
+        blockHash: '0x868b4c97d842aa758dfc97834088aee0687410365140adc4bebbc4c02b0eddc3',
+        blockNumber: '0x1',
+        gasUsed: '0x5208',
+        cumulativeGasUsed: '0x5208',
+        contractAddress: null,
+        logs: [],
+        status: '0x0'
+      }
+    },
     {
       params: ['0x836a5e038d599454d576493f55c8000d4cce30460437b9e23718154e8f0e4298'],
       result: {
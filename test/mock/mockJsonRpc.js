@@ -2,12 +2,22 @@ const _ = require('lodash')
 const nock = require('nock')
 
 module.exports = (endpoint, mockDataObject, times = 1) => {
+  const findResult = ({ method, params }) => {
+    const { result } = mockDataObject[method].find(req => _.isEqual(req.params, params))
+    return result
+  }
+
   return nock(endpoint)
-    .post('/', body => !!mockDataObject[body.method])
+    .post('/', body => _.castArray(body).every(req => !!mockDataObject[req.method]))
     .times(times)
     .reply(200, (uri, requestBody) => {
-      const { method, params } = JSON.parse(requestBody)
-      const { result } = mockDataObject[method].find(req => _.isEqual(req.params, params))
-      return { result }
-    })
+      const body = JSON.parse(requestBody)
+
+      if (_.isArray(body)) {
+        // Serialized as nock would read an array as [status, body, headers]
+        return JSON.stringify(body.map(req => ({ id: req.id, result: findResult(req) })))
+      }
+
+      return { result: findResult(body) }
+    }, { 'Content-Type': 'application/json' })
 }
@@ -0,0 +1,54 @@
+const _ = require('lodash')
+const WebSocket = require('ws')
+
+/**
+ * Start a local WebSocket JSON-RPC server answering from `mockDataObject`.
+ * `eth_subscribe` and `eth_unsubscribe` are handled by the server and
+ * `notify` pushes `eth_subscription` notifications to the subscribers.
+ */
+module.exports = (mockDataObject) => new Promise(resolve => {
+  const server = new WebSocket.Server({ port: 0 })
+  const subscriptions = {}
+  let subscriptionId = 0
+
+  server.on('connection', socket => {
+    socket.on('message', message => {
+      const { id, method, params } = JSON.parse(message)
+
+      if (method === 'eth_subscribe') {
+        const subscription = `0x${(++subscriptionId).toString(16)}`
+        subscriptions[subscription] = { socket, params }
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id, result: subscription }))
+        return
+      }
+
+      if (method === 'eth_unsubscribe') {
+        const result = !!subscriptions[params[0]]
+        delete subscriptions[params[0]]
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id, result }))
+        return
+      }
+
+      const { result } = (mockDataObject[method] || []).find(req => _.isEqual(req.params, params)) || {}
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id, result }))
+    })
+  })
+
+  server.on('listening', () => resolve({
+    url: `ws://localhost:${server.address().port}`,
+    subscriptions,
+    notify (type, result) {
+      _.forEach(subscriptions, ({ socket, params }, subscription) => {
+        if (params[0] !== type || socket.readyState !== WebSocket.OPEN) return
+        socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription, result } }))
+      })
+    },
+    dropConnections () {
+      server.clients.forEach(socket => socket.terminate())
+      _.keys(subscriptions).forEach(subscription => delete subscriptions[subscription])
+    },
+    close () {
+      return new Promise(resolve => server.close(resolve))
+    }
+  }))
+})